@@ -0,0 +1,464 @@
+/* 
+ * Copyright (c) 2016, Pierre-Anthony Lemieux <pal@sandflow.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice, this
+ *   list of conditions and the following disclaimer.
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/**
+ * @module imscCondition
+ */
+
+;
+(function (imscCondition) { // wrapper for non-node envs
+
+    /**
+     * Values against which conditions are evaluated
+     * @typedef {Object} ConditionOptions
+     * @property {?Object.<string, *>} parameters Values of the parameters returned by
+     *                         <pre>parameter()</pre>, which override the defaults of the
+     *                         TTML2 bound parameters, e.g. <pre>{forced: true}</pre>
+     * @property {?Object.<string, (number|string)>} media Media features against which
+     *                         the queries of <pre>media()</pre> are evaluated, e.g.
+     *                         <pre>{type: "screen", width: 1920, height: 1080}</pre>
+     */
+
+    /**
+     * Parses a TTML2 condition expression, e.g.
+     * <pre>parameter('forced') || media('(min-width: 1280)')</pre>, which
+     * can combine literals, the <pre>parameter()</pre>, <pre>media()</pre> and
+     * <pre>supports()</pre> functions and the <pre>!</pre>, <pre>&&</pre>,
+     * <pre>||</pre>, comparison and arithmetic operators.
+     * 
+     * @param {string} str Condition expression
+     * @returns {?Condition} Parsed condition, or null if the expression is invalid
+     */
+
+    imscCondition.parse = function (str) {
+
+        var tokens = tokenize(str);
+
+        if (tokens === null) return null;
+
+        var parser = new Parser(tokens);
+
+        try {
+
+            var expr = parser.parseOr();
+
+            if (parser.peek() !== null) return null;
+
+            return new Condition(str, expr);
+
+        } catch (e) {
+
+            if (e instanceof SyntaxError) return null;
+
+            throw e;
+        }
+
+    };
+
+    /**
+     * Parsed condition expression
+     * 
+     * @param {string} expression Source of the expression
+     * @param {function} expr Compiled expression
+     * @constructor
+     */
+
+    function Condition(expression, expr) {
+        this.expression = expression;
+
+        /* not enumerable, so that documents can be compared as JSON */
+
+        Object.defineProperty(this, "expr", {value: expr});
+    }
+
+    /**
+     * Evaluates the condition
+     * 
+     * @param {?ConditionOptions} options Parameters and media features
+     * @returns {boolean}
+     */
+
+    Condition.prototype.evaluate = function (options) {
+
+        var context = {
+            parameters: (options && options.parameters) || {},
+            media: (options && options.media) || {}
+        };
+
+        return !!this.expr(context);
+    };
+
+    imscCondition.Condition = Condition;
+
+    /* defaults of the TTML2 bound parameters */
+
+    var DEFAULT_PARAMETERS = {
+        forced: false,
+        mediaAspectRatio: null,
+        mediaLanguage: "",
+        mediaType: "",
+        playbackRate: 1,
+        userLanguage: ""
+    };
+
+    /* TTML2 features supported by the processor */
+
+    var FEATURE_NS = "http://www.w3.org/ns/ttml/feature/";
+
+    var SUPPORTED_FEATURES = [
+        "#animate", "#animation", "#animation-version-2", "#backgroundColor",
+        "#color", "#condition", "#content", "#core", "#direction", "#display",
+        "#displayAlign", "#extent", "#fontFamily", "#fontSize", "#fontStyle",
+        "#fontWeight", "#image", "#layout", "#lineHeight", "#metadata",
+        "#opacity", "#origin", "#padding", "#presentation", "#profile",
+        "#ruby", "#set", "#showBackground", "#structure", "#styling",
+        "#textAlign", "#textCombine", "#textDecoration", "#textEmphasis",
+        "#textOutline", "#textShadow", "#timing", "#transformation",
+        "#unicodeBidi", "#visibility", "#wrapOption", "#writingMode"
+    ];
+
+    /* functions that can be called from expressions */
+
+    var FUNCTIONS = {
+
+        parameter: function (context, name) {
+
+            if (context.parameters.hasOwnProperty(name)) return context.parameters[name];
+
+            return DEFAULT_PARAMETERS.hasOwnProperty(name) ? DEFAULT_PARAMETERS[name] : null;
+        },
+
+        media: function (context, query) {
+
+            return evaluateMediaQuery(query, context.media);
+        },
+
+        supports: function (context, feature) {
+
+            if (feature.indexOf(FEATURE_NS) === 0) {
+                feature = feature.substring(FEATURE_NS.length);
+            }
+
+            return SUPPORTED_FEATURES.indexOf(feature) !== -1;
+        }
+    };
+
+    var BINARY_OPERATORS = {
+        "||": function (a, b) {
+            return a || b;
+        },
+        "&&": function (a, b) {
+            return a && b;
+        },
+        "==": function (a, b) {
+            return a === b;
+        },
+        "!=": function (a, b) {
+            return a !== b;
+        },
+        "<": function (a, b) {
+            return a < b;
+        },
+        "<=": function (a, b) {
+            return a <= b;
+        },
+        ">": function (a, b) {
+            return a > b;
+        },
+        ">=": function (a, b) {
+            return a >= b;
+        },
+        "+": function (a, b) {
+            return a + b;
+        },
+        "-": function (a, b) {
+            return a - b;
+        },
+        "*": function (a, b) {
+            return a * b;
+        },
+        "/": function (a, b) {
+            return a / b;
+        },
+        "%": function (a, b) {
+            return a % b;
+        }
+    };
+
+    /* splits the expression into numbers, strings, identifiers and operators */
+
+    var TOKEN_RE = /\s*(?:(\d+(?:\.\d+)?)|'([^']*)'|"([^"]*)"|([A-Za-z_][\w-]*)|(\|\||&&|==|!=|<=|>=|[<>+\-*\/%!(),]))/g;
+
+    function tokenize(str) {
+
+        var tokens = [];
+
+        TOKEN_RE.lastIndex = 0;
+
+        while (!/^\s*$/.test(str.substring(TOKEN_RE.lastIndex))) {
+
+            var start = TOKEN_RE.lastIndex;
+
+            var m = TOKEN_RE.exec(str);
+
+            /* tokens must follow each other */
+
+            if (m === null || m.index !== start) return null;
+
+            if (m[1] !== undefined) {
+
+                tokens.push({type: "literal", value: parseFloat(m[1])});
+
+            } else if (m[2] !== undefined || m[3] !== undefined) {
+
+                tokens.push({type: "literal", value: m[2] !== undefined ? m[2] : m[3]});
+
+            } else if (m[4] === "true" || m[4] === "false") {
+
+                tokens.push({type: "literal", value: m[4] === "true"});
+
+            } else if (m[4] !== undefined) {
+
+                tokens.push({type: "identifier", value: m[4]});
+
+            } else {
+
+                tokens.push({type: "operator", value: m[5]});
+
+            }
+
+        }
+
+        return tokens;
+    }
+
+    /* recursive descent parser, which compiles the expression into functions of the context */
+
+    function Parser(tokens) {
+        this.tokens = tokens;
+        this.pos = 0;
+    }
+
+    Parser.prototype.peek = function () {
+        return this.pos < this.tokens.length ? this.tokens[this.pos] : null;
+    };
+
+    Parser.prototype.accept = function (operators) {
+
+        var t = this.peek();
+
+        if (t !== null && t.type === "operator" && operators.indexOf(t.value) !== -1) {
+
+            this.pos++;
+
+            return t.value;
+        }
+
+        return null;
+    };
+
+    Parser.prototype.expect = function (operator) {
+
+        if (this.accept([operator]) === null) throw new SyntaxError("Expected " + operator);
+
+    };
+
+    Parser.prototype.parseBinary = function (operators, next) {
+
+        var left = next.call(this);
+
+        for (var op = this.accept(operators); op !== null; op = this.accept(operators)) {
+            left = binary(BINARY_OPERATORS[op], left, next.call(this));
+        }
+
+        return left;
+    };
+
+    Parser.prototype.parseOr = function () {
+        return this.parseBinary(["||"], this.parseAnd);
+    };
+
+    Parser.prototype.parseAnd = function () {
+        return this.parseBinary(["&&"], this.parseEquality);
+    };
+
+    Parser.prototype.parseEquality = function () {
+        return this.parseBinary(["==", "!="], this.parseRelational);
+    };
+
+    Parser.prototype.parseRelational = function () {
+        return this.parseBinary(["<", "<=", ">", ">="], this.parseAdditive);
+    };
+
+    Parser.prototype.parseAdditive = function () {
+        return this.parseBinary(["+", "-"], this.parseMultiplicative);
+    };
+
+    Parser.prototype.parseMultiplicative = function () {
+        return this.parseBinary(["*", "/", "%"], this.parseUnary);
+    };
+
+    Parser.prototype.parseUnary = function () {
+
+        var op = this.accept(["!", "-", "+"]);
+
+        if (op === null) return this.parsePrimary();
+
+        var operand = this.parseUnary();
+
+        return function (context) {
+
+            var v = operand(context);
+
+            return op === "!" ? !v : (op === "-" ? -v : +v);
+        };
+    };
+
+    Parser.prototype.parsePrimary = function () {
+
+        var t = this.peek();
+
+        if (t === null) throw new SyntaxError("Unexpected end of expression");
+
+        this.pos++;
+
+        if (t.type === "literal") {
+
+            return function () {
+                return t.value;
+            };
+
+        } else if (t.type === "identifier" && FUNCTIONS.hasOwnProperty(t.value)) {
+
+            /* the argument of functions is a string literal */
+
+            this.expect("(");
+
+            var arg = this.peek();
+
+            if (arg === null || arg.type !== "literal" || typeof arg.value !== "string") {
+                throw new SyntaxError("Expected string argument");
+            }
+
+            this.pos++;
+
+            this.expect(")");
+
+            var f = FUNCTIONS[t.value];
+
+            return function (context) {
+                return f(context, arg.value);
+            };
+
+        } else if (t.type === "operator" && t.value === "(") {
+
+            var expr = this.parseOr();
+
+            this.expect(")");
+
+            return expr;
+
+        }
+
+        throw new SyntaxError("Unexpected " + t.value);
+    };
+
+    function binary(op, left, right) {
+        return function (context) {
+            return op(left(context), right(context));
+        };
+    }
+
+    /*
+     * Evaluates a list of media queries, e.g. "screen and (min-width: 1280)",
+     * against media features. Features can be prefixed with min- or max-, and
+     * lengths and ratios are compared as numbers.
+     */
+
+    function evaluateMediaQuery(query, media) {
+
+        return query.split(",").some(function (q) {
+
+            var terms = q.trim().split(/\s+and\s+/i);
+
+            return terms.every(function (term) {
+
+                var m = /^\(\s*([a-z-]+)\s*(?::\s*([^)]*?))?\s*\)$/i.exec(term);
+
+                if (m === null) {
+
+                    /* media type */
+
+                    var type = term.toLowerCase();
+
+                    return type === "all" || type === media.type;
+                }
+
+                var name = m[1].toLowerCase();
+
+                var range = /^(min|max)-/.exec(name);
+
+                if (range !== null) {
+                    name = name.substring(4);
+                }
+
+                if (!media.hasOwnProperty(name)) return false;
+
+                var actual = media[name];
+
+                if (m[2] === undefined) return !!actual;
+
+                var expected = mediaFeatureValue(m[2]);
+
+                if (range === null) {
+
+                    return typeof expected === "number" ? mediaFeatureValue(String(actual)) === expected : String(actual) === expected;
+
+                }
+
+                actual = mediaFeatureValue(String(actual));
+
+                return range[1] === "min" ? actual >= expected : actual <= expected;
+
+            });
+
+        });
+    }
+
+    /* converts a ratio, e.g. 16/9, or a length, e.g. 1280px, to a number */
+
+    function mediaFeatureValue(str) {
+
+        var ratio = /^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/.exec(str.trim());
+
+        if (ratio !== null) return parseFloat(ratio[1]) / parseFloat(ratio[2]);
+
+        var n = parseFloat(str);
+
+        return isNaN(n) ? str.trim() : n;
+    }
+
+})(typeof exports === 'undefined' ? this.imscCondition = {} : exports);
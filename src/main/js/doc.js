@@ -29,7 +29,7 @@
  */
 
 ;
-(function (imscDoc, sax, imscNames, imscStyles, imscUtils) {
+(function (imscDoc, sax, imscNames, imscStyles, imscUtils, imscCondition) {
 
 
     /**
@@ -60,6 +60,31 @@
      * @param {string} contents Contents of the text node
      */
 
+    /**
+     * Options that control how a document is parsed
+     * @typedef {Object} ParseOptions
+     * @property {?(Date|number)} clockOrigin Wall-clock time (as a <pre>Date</pre>
+     *                                        or milliseconds since the epoch) that
+     *                                        corresponds to media time 0 when
+     *                                        <pre>ttp:timeBase="clock"</pre>. Clock times
+     *                                        are offset from midnight if absent.
+     * @property {?number} timeOffset Offset (in seconds) added to all the times
+     *                               of the document, e.g. the start time of the
+     *                               ISOBMFF sample that carries it. Defaults to 0.
+     * @property {?boolean} rationalTime If true, times are represented as exact
+     *                                   <pre>imscUtils.Rational</pre> objects instead
+     *                                   of numbers, so that frame and tick times do
+     *                                   not accumulate rounding errors. Defaults to false.
+     * @property {?boolean} recover If true, common errors are repaired instead of
+     *                              terminating processing, and each repair is
+     *                              reported: orphan <pre>p</pre>, <pre>span</pre> and
+     *                              <pre>br</pre> elements are wrapped in implicit
+     *                              <pre>div</pre> and <pre>p</pre> elements, unknown
+     *                              parents are skipped, other misplaced elements are
+     *                              ignored, and elements left open are closed.
+     *                              Defaults to false.
+     */
+
     /**
      * Parses an IMSC1 document into an opaque in-memory representation that exposes
      * a single method <pre>getMediaTimeEvents()</pre> that returns a list of time
@@ -70,15 +95,48 @@
      * @param {string} xmlstring XML document
      * @param {?module:imscUtils.ErrorHandler} errorHandler Error callback
      * @param {?MetadataHandler} metadataHandler Callback for <Metadata> elements
+     * @param {?ParseOptions} options Parsing options
      * @returns {Object} Opaque in-memory representation of an IMSC1 document
      */
 
-    imscDoc.fromXML = function (xmlstring, errorHandler, metadataHandler) {
+    imscDoc.fromXML = function (xmlstring, errorHandler, metadataHandler, options) {
+
+        return imscDoc.createParser(errorHandler, metadataHandler, options).write(xmlstring).close();
+
+    };
+
+    /**
+     * Incremental parser returned by <pre>createParser()</pre>
+     * @typedef {Object} IncrementalParser
+     * @property {function(string): IncrementalParser} write Parses the next chunk
+     *           of the XML document. Throws if a fatal error is encountered, after
+     *           which the parser can no longer be used.
+     * @property {function(): Object} close Signals the end of the XML document and
+     *           returns the opaque in-memory representation of the IMSC1 document,
+     *           identical to the one returned by <pre>fromXML()</pre>
+     */
+
+    /**
+     * Creates a parser that builds the in-memory representation of an IMSC1 document
+     * from successive chunks of the XML document, e.g. as they are downloaded.
+     * 
+     * @param {?module:imscUtils.ErrorHandler} errorHandler Error callback
+     * @param {?MetadataHandler} metadataHandler Callback for <Metadata> elements
+     * @param {?ParseOptions} options Parsing options
+     * @returns {IncrementalParser} Incremental parser
+     */
+
+    imscDoc.createParser = function (errorHandler, metadataHandler, options) {
         var p = sax.parser(true, {xmlns: true});
         var estack = [];
         var xmllangstack = [];
         var xmlspacestack = [];
         var metadata_depth = 0;
+        var pathstack = [{path: "", counts: {}}];
+        var linestarts = [0];
+        var consumed = 0;
+        var recover = options && options.recover;
+        var implicits = [];
         var doc = null;
 
         p.onclosetag = function (node) {
@@ -153,13 +211,25 @@
 
                     metadata_depth--;
 
-                } else if (metadata_depth > 0 &&
-                        metadataHandler &&
-                        'onCloseTag' in metadataHandler) {
+                } else {
+
+                    /* complete the text of head metadata, e.g. ttm:title */
+
+                    if (estack[0].onText) {
+
+                        estack[0].onText(estack[0].text.trim());
+
+                    }
+
+                    if (metadata_depth > 0 &&
+                            metadataHandler &&
+                            'onCloseTag' in metadataHandler) {
 
-                    /* end of child of metadata element */
+                        /* end of child of metadata element */
 
-                    metadataHandler.onCloseTag();
+                        metadataHandler.onCloseTag();
+
+                    }
 
                 }
 
@@ -175,6 +245,12 @@
 
             xmllangstack.shift();
 
+            // maintain the element path and complete the source range
+
+            pathstack[0].sourceRange.end = sourceLocation(this.position);
+
+            pathstack.shift();
+
             // prepare for the next element
 
             estack.shift();
@@ -210,14 +286,23 @@
 
                 estack[0].contents.push(s);
 
-            } else if (estack[0] instanceof ForeignElement &&
-                    metadata_depth > 0 &&
-                    metadataHandler &&
-                    'onText' in metadataHandler) {
+            } else if (estack[0] instanceof ForeignElement) {
+
+                /* text of head metadata, e.g. ttm:title */
+
+                if (estack[0].onText) {
+
+                    estack[0].text += str;
+
+                }
 
                 /* text node within a child of metadata element */
 
-                metadataHandler.onText(str);
+                if (metadata_depth > 0 && metadataHandler && 'onText' in metadataHandler) {
+
+                    metadataHandler.onText(str);
+
+                }
 
             }
 
@@ -226,6 +311,24 @@
 
         p.onopentag = function (node) {
 
+            /* remember where the element is, for use in messages */
+
+            node.position = {line: this.line, column: this.column};
+
+            /* the end of the range is known when the element is closed */
+
+            node.sourceRange = {start: sourceLocation(this.startTagPosition - 1), end: null};
+
+            /* maintain the element path, e.g. /tt[1]/body[1]/div[1]/p[2] */
+
+            var counts = pathstack[0].counts;
+
+            counts[node.name] = (counts[node.name] || 0) + 1;
+
+            node.path = pathstack[0].path + "/" + node.name + "[" + counts[node.name] + "]";
+
+            pathstack.unshift({name: node.name, path: node.path, counts: {}, sourceRange: node.sourceRange});
+
             // maintain the xml:space stack
 
             var xmlspace = node.attributes["xml:space"];
@@ -287,36 +390,44 @@
                 }
             }
 
-            /* process the element */
+            /* process the element, repairing its parent in recovery mode */
+
+            var parent = recover ? repairParent(node) : estack[0];
 
-            if (node.uri === imscNames.ns_tt) {
+            if (parent === null) {
+
+                /* misplaced element that cannot be repaired */
+
+                estack.unshift(new ForeignElement(node));
+
+            } else if (node.uri === imscNames.ns_tt) {
 
                 if (node.local === 'tt') {
 
                     if (doc !== null) {
 
-                        reportFatal(errorHandler, "Two <tt> elements at (" + this.line + "," + this.column + ")");
+                        reportFatal(errorHandler, "Two <tt> elements" + nodePosition(node), "duplicate-element", node);
 
                     }
 
                     doc = new TT();
 
-                    doc.initFromNode(node, errorHandler);
+                    doc.initFromNode(node, options || {}, errorHandler);
 
                     estack.unshift(doc);
 
                 } else if (node.local === 'head') {
 
-                    if (!(estack[0] instanceof TT)) {
-                        reportFatal(errorHandler, "Parent of <head> element is not <tt> at (" + this.line + "," + this.column + ")");
+                    if (!(parent instanceof TT)) {
+                        reportFatal(errorHandler, "Parent of <head> element is not <tt>" + nodePosition(node), "invalid-parent", node);
                     }
 
                     estack.unshift(doc.head);
 
                 } else if (node.local === 'styling') {
 
-                    if (!(estack[0] instanceof Head)) {
-                        reportFatal(errorHandler, "Parent of <styling> element is not <head> at (" + this.line + "," + this.column + ")");
+                    if (!(parent instanceof Head)) {
+                        reportFatal(errorHandler, "Parent of <styling> element is not <head>" + nodePosition(node), "invalid-parent", node);
                     }
 
                     estack.unshift(doc.head.styling);
@@ -325,7 +436,7 @@
 
                     var s;
 
-                    if (estack[0] instanceof Styling) {
+                    if (parent instanceof Styling) {
 
                         s = new Style();
 
@@ -335,7 +446,7 @@
 
                         if (!s.id) {
 
-                            reportError(errorHandler, "<style> element missing @id attribute");
+                            reportError(errorHandler, "<style> element missing @id attribute", "invalid-id", node);
 
                         } else {
 
@@ -345,7 +456,7 @@
 
                         estack.unshift(s);
 
-                    } else if (estack[0] instanceof Region) {
+                    } else if (parent instanceof Region) {
 
                         /* nested styles can be merged with specified styles
                          * immediately, with lower priority
@@ -356,13 +467,13 @@
 
                         s.initFromNode(node, errorHandler);
 
-                        mergeStylesIfNotPresent(s.styleAttrs, estack[0].styleAttrs);
+                        mergeStylesIfNotPresent(s.styleAttrs, parent.styleAttrs);
 
                         estack.unshift(s);
 
                     } else {
 
-                        reportFatal(errorHandler, "Parent of <style> element is not <styling> or <region> at (" + this.line + "," + this.column + ")");
+                        reportFatal(errorHandler, "Parent of <style> element is not <styling> or <region>" + nodePosition(node), "invalid-parent", node);
 
                     }
 
@@ -370,7 +481,7 @@
 
                     var ini;
 
-                    if (estack[0] instanceof Styling) {
+                    if (parent instanceof Styling) {
 
                         ini = new Initial();
 
@@ -386,15 +497,15 @@
 
                     } else {
 
-                        reportFatal(errorHandler, "Parent of <initial> element is not <styling> at (" + this.line + "," + this.column + ")");
+                        reportFatal(errorHandler, "Parent of <initial> element is not <styling>" + nodePosition(node), "invalid-parent", node);
 
                     }
 
                 } else if (node.local === 'layout') {
 
-                    if (!(estack[0] instanceof Head)) {
+                    if (!(parent instanceof Head)) {
 
-                        reportFatal(errorHandler, "Parent of <layout> element is not <head> at " + this.line + "," + this.column + ")");
+                        reportFatal(errorHandler, "Parent of <layout> element is not <head>" + nodePosition(node), "invalid-parent", node);
 
                     }
 
@@ -402,17 +513,19 @@
 
                 } else if (node.local === 'region') {
 
-                    if (!(estack[0] instanceof Layout)) {
-                        reportFatal(errorHandler, "Parent of <region> element is not <layout> at " + this.line + "," + this.column + ")");
+                    if (!(parent instanceof Layout)) {
+                        reportFatal(errorHandler, "Parent of <region> element is not <layout>" + nodePosition(node), "invalid-parent", node);
                     }
 
                     var r = new Region();
 
                     r.initFromNode(doc, node, errorHandler);
 
+                    r.sourceRange = node.sourceRange;
+
                     if (!r.id || r.id in doc.head.layout.regions) {
 
-                        reportError(errorHandler, "Ignoring <region> with duplicate or missing @id at " + this.line + "," + this.column + ")");
+                        reportError(errorHandler, "Ignoring <region> with duplicate or missing @id" + nodePosition(node), "invalid-id", node);
 
                     } else {
 
@@ -424,15 +537,15 @@
 
                 } else if (node.local === 'body') {
 
-                    if (!(estack[0] instanceof TT)) {
+                    if (!(parent instanceof TT)) {
 
-                        reportFatal(errorHandler, "Parent of <body> element is not <tt> at " + this.line + "," + this.column + ")");
+                        reportFatal(errorHandler, "Parent of <body> element is not <tt>" + nodePosition(node), "invalid-parent", node);
 
                     }
 
                     if (doc.body !== null) {
 
-                        reportFatal(errorHandler, "Second <body> element at " + this.line + "," + this.column + ")");
+                        reportFatal(errorHandler, "Second <body> element" + nodePosition(node), "duplicate-element", node);
 
                     }
 
@@ -440,21 +553,25 @@
 
                     b.initFromNode(doc, node, errorHandler);
 
+                    b.sourceRange = node.sourceRange;
+
                     doc.body = b;
 
                     estack.unshift(b);
 
                 } else if (node.local === 'div') {
 
-                    if (!(estack[0] instanceof Div || estack[0] instanceof Body)) {
+                    if (!(parent instanceof Div || parent instanceof Body)) {
 
-                        reportFatal(errorHandler, "Parent of <div> element is not <body> or <div> at " + this.line + "," + this.column + ")");
+                        reportFatal(errorHandler, "Parent of <div> element is not <body> or <div>" + nodePosition(node), "invalid-parent", node);
 
                     }
 
                     var d = new Div();
 
-                    d.initFromNode(doc, estack[0], node, errorHandler);
+                    d.initFromNode(doc, parent, node, errorHandler);
+
+                    d.sourceRange = node.sourceRange;
                     
                     /* transform smpte:backgroundImage to TTML2 image element */
                     
@@ -465,92 +582,100 @@
                         delete d.styleAttrs[imscStyles.byName.backgroundImage.qname];                  
                     }
 
-                    estack[0].contents.push(d);
+                    parent.contents.push(d);
 
                     estack.unshift(d);
 
                 } else if (node.local === 'image') {
 
-                    if (!(estack[0] instanceof Div)) {
+                    if (!(parent instanceof Div)) {
 
-                        reportFatal(errorHandler, "Parent of <image> element is not <div> at " + this.line + "," + this.column + ")");
+                        reportFatal(errorHandler, "Parent of <image> element is not <div>" + nodePosition(node), "invalid-parent", node);
 
                     }
 
                     var img = new Image();
                     
-                    img.initFromNode(doc, estack[0], node, errorHandler);
-                    
-                    estack[0].contents.push(img);
+                    img.initFromNode(doc, parent, node, errorHandler);
+
+                    img.sourceRange = node.sourceRange;
+
+                    parent.contents.push(img);
 
                     estack.unshift(img);
 
                 } else if (node.local === 'p') {
 
-                    if (!(estack[0] instanceof Div)) {
+                    if (!(parent instanceof Div)) {
 
-                        reportFatal(errorHandler, "Parent of <p> element is not <div> at " + this.line + "," + this.column + ")");
+                        reportFatal(errorHandler, "Parent of <p> element is not <div>" + nodePosition(node), "invalid-parent", node);
 
                     }
 
                     var p = new P();
 
-                    p.initFromNode(doc, estack[0], node, errorHandler);
+                    p.initFromNode(doc, parent, node, errorHandler);
 
-                    estack[0].contents.push(p);
+                    p.sourceRange = node.sourceRange;
+
+                    parent.contents.push(p);
 
                     estack.unshift(p);
 
                 } else if (node.local === 'span') {
 
-                    if (!(estack[0] instanceof Span || estack[0] instanceof P)) {
+                    if (!(parent instanceof Span || parent instanceof P)) {
 
-                        reportFatal(errorHandler, "Parent of <span> element is not <span> or <p> at " + this.line + "," + this.column + ")");
+                        reportFatal(errorHandler, "Parent of <span> element is not <span> or <p>" + nodePosition(node), "invalid-parent", node);
 
                     }
 
                     var ns = new Span();
 
-                    ns.initFromNode(doc, estack[0], node, xmlspacestack[0], errorHandler);
+                    ns.initFromNode(doc, parent, node, xmlspacestack[0], errorHandler);
+
+                    ns.sourceRange = node.sourceRange;
 
-                    estack[0].contents.push(ns);
+                    parent.contents.push(ns);
 
                     estack.unshift(ns);
 
                 } else if (node.local === 'br') {
 
-                    if (!(estack[0] instanceof Span || estack[0] instanceof P)) {
+                    if (!(parent instanceof Span || parent instanceof P)) {
 
-                        reportFatal(errorHandler, "Parent of <br> element is not <span> or <p> at " + this.line + "," + this.column + ")");
+                        reportFatal(errorHandler, "Parent of <br> element is not <span> or <p>" + nodePosition(node), "invalid-parent", node);
 
                     }
 
                     var nb = new Br();
 
-                    nb.initFromNode(doc, estack[0], node, errorHandler);
+                    nb.initFromNode(doc, parent, node, errorHandler);
 
-                    estack[0].contents.push(nb);
+                    nb.sourceRange = node.sourceRange;
+
+                    parent.contents.push(nb);
 
                     estack.unshift(nb);
 
-                } else if (node.local === 'set') {
+                } else if (node.local === 'set' || node.local === 'animate') {
 
-                    if (!(estack[0] instanceof Span ||
-                            estack[0] instanceof P ||
-                            estack[0] instanceof Div ||
-                            estack[0] instanceof Body ||
-                            estack[0] instanceof Region ||
-                            estack[0] instanceof Br)) {
+                    if (!(parent instanceof Span ||
+                            parent instanceof P ||
+                            parent instanceof Div ||
+                            parent instanceof Body ||
+                            parent instanceof Region ||
+                            parent instanceof Br)) {
 
-                        reportFatal(errorHandler, "Parent of <set> element is not a content element or a region at " + this.line + "," + this.column + ")");
+                        reportFatal(errorHandler, "Parent of <" + node.local + "> element is not a content element or a region" + nodePosition(node), "invalid-parent", node);
 
                     }
 
-                    var st = new Set();
+                    var st = node.local === 'set' ? new Set() : new Animate();
 
-                    st.initFromNode(doc, estack[0], node, errorHandler);
+                    st.initFromNode(doc, parent, node, errorHandler);
 
-                    estack[0].sets.push(st);
+                    parent.sets.push(st);
 
                     estack.unshift(st);
 
@@ -580,8 +705,21 @@
 
                     metadata_depth++;
 
-                } else if (
+                } else if (doc !== null && estack.indexOf(doc.head) !== -1) {
+
+                    /* well-known metadata of the head is modeled */
+
+                    processHeadMetadata(node, estack[0], estack[1]);
+
+                } else if (metadata_depth > 0 && node.uri === imscNames.ns_ttm && node.local === 'agent') {
+
+                    reportWarning(errorHandler, "Ignoring <ttm:agent> element outside of <head>" + nodePosition(node), "invalid-parent", node);
+
+                }
+
+                if (
                         metadata_depth > 0 &&
+                        !(node.uri === imscNames.ns_tt && node.local === 'metadata') &&
                         metadataHandler &&
                         'onOpenTag' in metadataHandler
                         ) {
@@ -609,298 +747,1448 @@
 
         };
 
-        // parse the document
+        /* builds the model of the metadata of the head: ttm:agent elements,
+         * with their ttm:name and ttm:actor children, ttm:title, ttm:desc and
+         * ttm:copyright elements, the children of ebuttm:documentMetadata and
+         * the attributes of smpte:information */
 
-        p.write(xmlstring).close();
+        function processHeadMetadata(node, element, parent) {
 
-        // all referential styling has been flatten, so delete styles
+            var metadata = doc.head.metadata;
 
-        delete doc.head.styling.styles;
-       
-        // create default region if no regions specified
+            if (node.uri === imscNames.ns_ttm) {
 
-        var hasRegions = false;
+                if (node.local === 'agent') {
 
-        /* AFAIK the only way to determine whether an object has members */
+                    var a = new Agent();
 
-        for (var i in doc.head.layout.regions) {
-            if (doc.head.layout.regions.hasOwnProperty(i)) {
-                hasRegions = true;
+                    a.initFromNode(node, errorHandler);
 
-                break;
-            }
-        }
+                    if (!a.id || a.id in doc.head.agents) {
 
-        if (!hasRegions) {
+                        reportError(errorHandler, "Ignoring <ttm:agent> with duplicate or missing @xml:id" + nodePosition(node), "invalid-id", node);
 
-            /* create default region */
+                        return;
 
-            var dr = Region.prototype.createDefaultRegion(doc, errorHandler);
+                    }
 
-            doc.head.layout.regions[dr.id] = dr;
+                    doc.head.agents[a.id] = a;
 
-        }
+                    element.agent = a;
 
-        /* resolve desired timing for regions */
+                } else if (node.local === 'name' && parent.agent) {
 
-        for (var region_i in doc.head.layout.regions) {
-            if (doc.head.layout.regions.hasOwnProperty(region_i)) {
-                resolveTiming(doc, doc.head.layout.regions[region_i], null, null);
-            }
-        }
+                    var name = {type: attributeValue(node, "type", null), text: ""};
 
-        /* resolve desired timing for content elements */
+                    if (AGENT_NAME_TYPES.indexOf(name.type) === -1) {
 
-        if (doc.body) {
-            resolveTiming(doc, doc.body, null, null);
-        }
+                        reportWarning(errorHandler, "Invalid <ttm:name> type " + name.type + " (using other)" + nodePosition(node), "invalid-attribute", node);
 
-        /* remove undefined spans in ruby containers */
+                        name.type = "other";
 
-        if (doc.body) {
-            cleanRubyContainers(doc.body);
-        }
+                    }
 
-        if (doc.body) {
-            pushBackgroundColorDown(doc.body);
-        }
+                    parent.agent.names.push(name);
 
-        return doc;
-    };
+                    collectText(element, function (text) {
+                        name.text = text;
+                    });
 
-    // Background colours on body or div look bad. As a post-parse step, move them to spans below (when undefined in the P)
-    function pushBackgroundColorDown(node, lastBG) {
-        var currentBG = node.styleAttrs && node.styleAttrs["http://www.w3.org/ns/ttml#styling backgroundColor"];
+                } else if (node.local === 'actor' && parent.agent) {
 
-        if (node.kind === "span") {
-            if (!currentBG && lastBG) {
-                if (!node.styleAttrs) {
-                    node.styleAttrs = {};
-                }
-                node.styleAttrs["http://www.w3.org/ns/ttml#styling backgroundColor"] = lastBG;
-            }
-        } else {
-            if (currentBG) {
-                delete node.styleAttrs["http://www.w3.org/ns/ttml#styling backgroundColor"];
-            }
-            if (node.contents) {
-                for (var i = 0; i < node.contents.length; i++) {
-                    pushBackgroundColorDown(node.contents[i], currentBG || lastBG);
-                }
-            }
-        }
-    }
+                    var actor = attributeValue(node, "agent", null);
 
-    function cleanRubyContainers(element) {
-        
-        if (! ('contents' in element)) return;
+                    if (actor === null) {
 
-        var rubyval = 'styleAttrs' in element ? element.styleAttrs[imscStyles.byName.ruby.qname] : null;
+                        reportError(errorHandler, "Ignoring <ttm:actor> element missing @agent" + nodePosition(node), "invalid-attribute", node);
 
-        var isrubycontainer = (element.kind === 'span' && (rubyval === "container" || rubyval === "textContainer" || rubyval === "baseContainer"));
+                    } else {
 
-        for (var i = element.contents.length - 1; i >= 0; i--) {
+                        parent.agent.actor = actor;
 
-            if (isrubycontainer && !('styleAttrs' in element.contents[i] && imscStyles.byName.ruby.qname in element.contents[i].styleAttrs)) {
+                    }
 
-                /* prune undefined <span> in ruby containers */
+                } else if (node.local === 'title' || node.local === 'desc' || node.local === 'copyright') {
 
-                delete element.contents[i];
+                    collectText(element, function (text) {
 
-            } else {
+                        if (metadata[node.local] !== null) {
 
-                cleanRubyContainers(element.contents[i]);
+                            reportWarning(errorHandler, "Ignoring duplicate <ttm:" + node.local + "> element" + nodePosition(node), "duplicate-element", node);
 
-            }
+                        } else {
 
-        }
+                            metadata[node.local] = text;
 
-    }
+                        }
 
-    function resolveTiming(doc, element, prev_sibling, parent) {
+                    });
 
-        /* are we in a seq container? */
+                }
 
-        var isinseq = parent && parent.timeContainer === "seq";
+            } else if (node.uri === imscNames.ns_ebuttm) {
 
-        /* determine implicit begin */
+                if (node.local === 'documentMetadata') {
 
-        var implicit_begin = 0; /* default */
+                    element.documentMetadata = true;
 
-        if (parent) {
+                } else if (parent.documentMetadata) {
 
-            if (isinseq && prev_sibling) {
+                    /* elements such as ebuttm:conformsToStandard can be repeated */
 
-                /*
-                 * if seq time container, offset from the previous sibling end
-                 */
+                    collectText(element, function (text) {
 
-                implicit_begin = prev_sibling.end;
+                        if (text.length === 0) return;
+
+                        if (!metadata.ebuttm.hasOwnProperty(node.local)) {
+                            metadata.ebuttm[node.local] = [];
+                        }
 
+                        metadata.ebuttm[node.local].push(text);
 
-            } else {
+                    });
 
-                implicit_begin = parent.begin;
+                }
+
+            } else if (node.uri === imscNames.ns_smpte && node.local === 'information') {
+
+                for (var i in node.attributes) {
+                    if (node.attributes.hasOwnProperty(i)) {
+                        metadata.smpte[node.attributes[i].local] = node.attributes[i].value;
+                    }
+                }
 
             }
 
         }
 
-        /* compute desired begin */
+        /* accumulates the text of the element, which is passed to the callback
+         * when the element is closed */
 
-        element.begin = element.explicit_begin ? element.explicit_begin + implicit_begin : implicit_begin;
+        function collectText(element, callback) {
 
+            element.text = "";
 
-        /* determine implicit end */
+            element.onText = callback;
 
-        var implicit_end = element.begin;
+        }
 
-        var s = null;
+        /* converts an offset in the document into a source location */
 
-        for (var set_i in element.sets) {
-            if (element.sets.hasOwnProperty(set_i)) {
-                resolveTiming(doc, element.sets[set_i], s, element);
+        function sourceLocation(offset) {
 
-                if (element.timeContainer === "seq") {
-                    
-                    implicit_end = element.sets[set_i].end;
-                    
-                } else {
-                    
-                    implicit_end = Math.max(implicit_end, element.sets[set_i].end);
-                    
-                }
+            var r = indexOf(linestarts, offset);
+
+            var line = r.found ? r.index : r.index - 1;
+
+            return {offset: offset, line: line + 1, column: offset - linestarts[line]};
 
-                s = element.sets[set_i];
-            }
         }
 
-        if (!('contents' in element)) {
+        /* in recovery mode, repairs the parent of the element, or returns null
+         * if the element is to be ignored */
 
-            /* anonymous spans and regions and <set> and <br>s and spans with only children text nodes */
+        function repairParent(node) {
 
-            if (isinseq) {
+            var parent = estack[0];
 
-                /* in seq container, implicit duration is zero */
+            if (node.uri !== imscNames.ns_tt || !PARENTS.hasOwnProperty(node.local))
+                return parent;
 
-                implicit_end = element.begin;
+            if ((node.local === "tt" && doc !== null) ||
+                    (node.local === "body" && doc !== null && doc.body !== null)) {
 
-            } else {
+                reportError(errorHandler, "Ignoring duplicate <" + node.local + "> element" + nodePosition(node), "duplicate-element", node);
 
-                /* in par container, implicit duration is indefinite */
+                return null;
 
-                implicit_end = Number.POSITIVE_INFINITY;
+            }
+
+            /* skip unknown parents, e.g. <font>, outside of metadata */
+
+            if (metadata_depth === 0 && parent instanceof ForeignElement) {
+
+                var i = 0;
+
+                while (estack[i] instanceof ForeignElement) i++;
+
+                reportWarning(errorHandler, "Ignoring the <" + parent.node.name + "> parent of the <" + node.local + "> element" + nodePosition(node), "invalid-parent", node);
+
+                parent = estack[i];
 
             }
 
-        } else {
+            /* wrap orphan elements in implicit elements */
 
-            for (var content_i in element.contents) {
-                if (element.contents.hasOwnProperty(content_i)) {
-                    resolveTiming(doc, element.contents[content_i], s, element);
+            if (node.local === "p" && parent instanceof Body) {
+
+                parent = implicitElement(parent, Div, node);
+
+            } else if ((node.local === "span" || node.local === "br") &&
+                    (parent instanceof Body || parent instanceof Div)) {
+
+                if (parent instanceof Body) {
+
+                    parent = implicitElement(parent, Div, node);
 
-                    if (element.timeContainer === "seq") {
-                       
-                        implicit_end = element.contents[content_i].end;
-                       
-                    } else {
-                       
-                        implicit_end = Math.max(implicit_end, element.contents[content_i].end);
-                       
-                    }
-                    
-                    s = element.contents[content_i];
                 }
+
+                parent = implicitElement(parent, P, node);
+
+            }
+
+            if (!PARENTS[node.local](parent)) {
+
+                reportError(errorHandler, "Ignoring misplaced <" + node.local + "> element" + nodePosition(node), "invalid-parent", node);
+
+                return null;
+
             }
 
+            return parent;
         }
 
-        /* determine desired end */
-        /* it is never made really clear in SMIL that the explicit end is offset by the implicit begin */
+        /* returns the implicit element of the parent that precedes the element,
+         * creating it if needed */
 
-        if (element.explicit_end !== null && element.explicit_dur !== null) {
+        function implicitElement(parent, ElementType, node) {
 
-            element.end = Math.min(element.begin + element.explicit_dur, implicit_begin + element.explicit_end);
+            var e = parent.contents[parent.contents.length - 1];
 
-        } else if (element.explicit_end === null && element.explicit_dur !== null) {
+            if (!(e instanceof ElementType) || implicits.indexOf(e) === -1) {
 
-            element.end = element.begin + element.explicit_dur;
+                e = new ElementType();
 
-        } else if (element.explicit_end !== null && element.explicit_dur === null) {
+                e.initFromNode(doc, parent, {attributes: {}}, errorHandler);
 
-            element.end = implicit_begin + element.explicit_end;
+                parent.contents.push(e);
 
-        } else {
+                implicits.push(e);
 
-            element.end = implicit_end;
+            }
+
+            reportWarning(errorHandler, "Wrapping the <" + node.local + "> element in an implicit <" + e.kind + "> element" + nodePosition(node), "invalid-parent", node);
+
+            return e;
         }
 
-        delete element.explicit_begin;
-        delete element.explicit_dur;
-        delete element.explicit_end;
+        /* in recovery mode, resumes parsing after well-formedness errors */
 
-        doc._registerEvent(element);
+        if (recover) {
 
-    }
+            p.onerror = function (e) {
 
-    function ForeignElement(node) {
-        this.node = node;
-    }
+                var msg = e.message.split("\n")[0];
 
-    function TT() {
-        this.events = [];
-        this.head = new Head();
-        this.body = null;
-    }
+                /* elements left open are reported when the parser is closed */
 
-    TT.prototype.initFromNode = function (node, errorHandler) {
+                if (msg !== "Unclosed root tag") {
 
-        /* compute cell resolution */
+                    var position = {position: {line: this.line, column: this.column}};
 
-        var cr = extractCellResolution(node, errorHandler);
-        
-        this.cellLength = {
-                'h': new imscUtils.ComputedLength(0, 1/cr.h),
-                'w': new imscUtils.ComputedLength(1/cr.w, 0)
+                    reportWarning(errorHandler, "Recovering from malformed XML: " + msg + nodePosition(position), "malformed-xml", position);
+
+                }
+
+                this.resume();
             };
 
-        /* extract frame rate and tick rate */
+        }
 
-        var frtr = extractFrameAndTickRate(node, errorHandler);
+        /* fatal error that interrupted parsing, if any */
 
-        this.effectiveFrameRate = frtr.effectiveFrameRate;
+        var fatal = null;
 
-        this.tickRate = frtr.tickRate;
+        return {
 
-        /* extract aspect ratio */
+            write: function (chunk) {
 
-        this.aspectRatio = extractAspectRatio(node, errorHandler);
+                if (fatal !== null) {
+                    throw fatal;
+                }
 
-        /* check timebase */
+                /* record where lines start, to locate elements in the source */
 
-        var attr = findAttribute(node, imscNames.ns_ttp, "timeBase");
+                for (var i = chunk.indexOf("\n"); i !== -1; i = chunk.indexOf("\n", i + 1)) {
+                    linestarts.push(consumed + i + 1);
+                }
 
-        if (attr !== null && attr !== "media") {
+                consumed += chunk.length;
 
-            reportFatal(errorHandler, "Unsupported time base");
+                try {
 
-        }
+                    p.write(chunk);
 
-        /* retrieve extent */
+                } catch (e) {
 
-        var e = extractExtent(node, errorHandler);
+                    fatal = e;
 
-        if (e === null) {
+                    throw e;
+                }
 
-            this.pxLength = {
-                'h': null,
-                'w': null
-            };
+                return this;
+            },
 
-        } else {
+            close: function () {
+
+                if (fatal !== null) {
+                    throw fatal;
+                }
+
+                /* in recovery mode, close the elements left open */
+
+                while (recover && estack.length > 0) {
+
+                    reportWarning(errorHandler, "Closing unclosed <" + pathstack[0].name + "> element", "unclosed-element");
+
+                    p.onclosetag(pathstack[0].name);
+
+                }
+
+                p.close();
+
+                if (doc === null) {
+
+                    reportFatal(errorHandler, "No <tt> element", "missing-element");
+
+                }
+
+                /* ttm:actor elements can reference agents defined later */
+
+                for (var agent_i in doc.head.agents) {
+                    if (doc.head.agents.hasOwnProperty(agent_i)) {
+
+                        var actor = doc.head.agents[agent_i].actor;
+
+                        if (actor !== null && !(actor in doc.head.agents)) {
+
+                            reportWarning(errorHandler, "Actor of agent " + agent_i + " references unknown agent " + actor, "unknown-reference");
+
+                        }
+
+                    }
+                }
+
+                // all referential styling has been flatten, so delete styles
+
+                delete doc.head.styling.styles;
+
+                // create default region if no regions specified
+
+                var hasRegions = false;
+
+                /* AFAIK the only way to determine whether an object has members */
+
+                for (var i in doc.head.layout.regions) {
+                    if (doc.head.layout.regions.hasOwnProperty(i)) {
+                        hasRegions = true;
+
+                        break;
+                    }
+                }
+
+                if (!hasRegions) {
+
+                    /* create default region */
+
+                    var dr = Region.prototype.createDefaultRegion(doc, errorHandler);
+
+                    doc.head.layout.regions[dr.id] = dr;
+
+                }
+
+                /* resolve desired timing for regions */
+
+                for (var region_i in doc.head.layout.regions) {
+                    if (doc.head.layout.regions.hasOwnProperty(region_i)) {
+                        resolveTiming(doc, doc.head.layout.regions[region_i], null, null);
+                    }
+                }
+
+                /* resolve desired timing for content elements */
+
+                if (doc.body) {
+                    resolveTiming(doc, doc.body, null, null);
+                }
+
+                /* remove undefined spans in ruby containers */
+
+                if (doc.body) {
+                    cleanRubyContainers(doc.body);
+                }
+
+                if (doc.body) {
+                    pushBackgroundColorDown(doc.body);
+                }
+
+                return doc;
+            }
+        };
+    };
+
+    /**
+     * Merges documents returned by <pre>fromXML()</pre>, e.g. the documents of
+     * successive DASH segments, into a single document whose timeline spans all
+     * of them. The input documents are not modified.
+     * 
+     * The cell resolution, pixel extent and initial values of the first document
+     * are retained, and the lengths and initial values of the other documents are
+     * converted accordingly. Regions that are identical across documents are
+     * shared, and conflicting region identifiers are renamed. Identical paragraphs
+     * whose intervals overlap or abut, e.g. a paragraph repeated at a segment
+     * boundary, are merged into a single paragraph.
+     * 
+     * @param {Array.<Object>} tts Documents to be merged, in presentation order
+     * @param {?module:imscUtils.ErrorHandler} errorHandler Error callback
+     * @returns {Object} Opaque in-memory representation of an IMSC1 document
+     */
+
+    imscDoc.merge = function (tts, errorHandler) {
+
+        if (!tts || tts.length === 0) {
+
+            reportFatal(errorHandler, "No document to merge", "invalid-argument");
+
+        }
+
+        var merged = new TT();
+
+        for (var prop in tts[0]) {
+            if (tts[0].hasOwnProperty(prop) && prop !== "events" && prop !== "head" && prop !== "body") {
+                merged[prop] = tts[0][prop];
+            }
+        }
+
+        merged.head.styling.styles = tts[0].head.styling.styles;
+
+        merged.head.metadata = tts[0].head.metadata;
+
+        for (var qname in tts[0].head.styling.initials) {
+            if (tts[0].head.styling.initials.hasOwnProperty(qname)) {
+                merged.head.styling.initials[qname] = tts[0].head.styling.initials[qname];
+            }
+        }
+
+        /* pixel lengths are resolved against the first document that specifies an extent */
+
+        for (var i = 0; i < tts.length && merged.pxLength.h === null; i++) {
+            merged.pxLength = tts[i].pxLength;
+        }
+
+        merged.body = new Body();
+        StyledElement.call(merged.body, {});
+        TimedElement.call(merged.body, 0, Number.POSITIVE_INFINITY, null);
+        AnimatedElement.call(merged.body, []);
+        LayoutElement.call(merged.body, '');
+        MetadataElement.call(merged.body, null, null);
+        ConditionalElement.call(merged.body, null);
+        ContainerElement.call(merged.body, []);
+
+        merged.body.begin = Number.POSITIVE_INFINITY;
+        merged.body.end = Number.NEGATIVE_INFINITY;
+
+        /* paragraphs of the documents already merged, indexed by their content */
+
+        var paragraphs = {};
+
+        /* roots of the documents associated with the default region */
+
+        var default_roots = [];
+
+        for (var j = 0; j < tts.length; j++) {
+
+            var tt = tts[j];
+
+            if (tt.aspectRatio !== merged.aspectRatio) {
+                reportWarning(errorHandler, "Document " + j + " has a different aspect ratio (ignoring)", "inconsistent-documents");
+            }
+
+            /* agents are shared, and identifiers are expected to be stable across documents */
+
+            for (var agent_id in tt.head.agents) {
+                if (tt.head.agents.hasOwnProperty(agent_id)) {
+
+                    if (!(agent_id in merged.head.agents)) {
+
+                        merged.head.agents[agent_id] = tt.head.agents[agent_id];
+
+                    } else if (JSON.stringify(merged.head.agents[agent_id]) !== JSON.stringify(tt.head.agents[agent_id])) {
+
+                        reportWarning(errorHandler, "Document " + j + " defines a different agent " + agent_id + " (ignoring)", "inconsistent-documents");
+
+                    }
+
+                }
+            }
+
+            var regions = {};
+
+            for (var region_i in tt.head.layout.regions) {
+                if (tt.head.layout.regions.hasOwnProperty(region_i)) {
+                    regions[region_i] = cloneElement(tt.head.layout.regions[region_i]);
+                }
+            }
+
+            var root = tt.body === null ? null : cloneElement(tt.body);
+
+            /* convert lengths and initial values to those of the merged document */
+
+            var convert = lengthConverter(tt, merged, errorHandler);
+
+            var initials = differingInitials(tt, merged);
+
+            for (var r in regions) {
+                if (regions.hasOwnProperty(r)) {
+                    applyInitials(regions[r], initials, true);
+                    convertLengths(regions[r], convert);
+                }
+            }
+
+            if (root !== null) {
+                applyInitials(root, initials, false);
+                convertLengths(root, convert);
+            }
+
+            /* add the regions of the document */
+
+            var renamed = {};
+
+            for (var id in regions) {
+                if (regions.hasOwnProperty(id)) {
+
+                    var new_id = mergeRegion(merged, regions[id]);
+
+                    if (new_id !== id) {
+                        renamed[id] = new_id;
+                    }
+
+                    if (id === '' && root !== null) {
+                        default_roots.push(root);
+                    }
+                }
+            }
+
+            if (root === null) continue;
+
+            renameRegions(root, renamed);
+
+            /* the body of each document becomes a div of the merged body */
+
+            root.kind = 'div';
+
+            mergeParagraphs(root, paragraphs, errorHandler);
+
+            merged.body.contents.push(root);
+
+        }
+
+        /* the intervals of the roots can be extended by merged paragraphs */
+
+        merged.body.contents.forEach(function (root) {
+            merged.body.begin = timeMin(merged.body.begin, root.begin);
+            merged.body.end = timeMax(merged.body.end, root.end);
+        });
+
+        if (merged.body.contents.length === 0) {
+
+            merged.body = null;
+
+        } else if ('' in merged.head.layout.regions && Object.keys(merged.head.layout.regions).length > 1) {
+
+            /* the default region is only used if no other region is defined */
+
+            var default_id = uniqueRegionID(merged, "default");
+
+            var dr = merged.head.layout.regions[''];
+
+            delete merged.head.layout.regions[''];
+
+            dr.id = default_id;
+
+            merged.head.layout.regions[default_id] = dr;
+
+            default_roots.forEach(function (root) {
+                if (root.regionID === '') {
+                    root.regionID = default_id;
+                }
+            });
+
+        }
+
+        /* register the events of the merged document */
+
+        retime(merged, function (t) {
+            return t;
+        });
+
+        return merged;
+
+    };
+
+    function cloneElement(element) {
+
+        var clone = Object.create(Object.getPrototypeOf(element));
+
+        for (var prop in element) {
+            if (element.hasOwnProperty(prop)) {
+                clone[prop] = element[prop];
+            }
+        }
+
+        if (element.styleAttrs) {
+
+            clone.styleAttrs = {};
+
+            for (var qname in element.styleAttrs) {
+                if (element.styleAttrs.hasOwnProperty(qname)) {
+                    clone.styleAttrs[qname] = element.styleAttrs[qname];
+                }
+            }
+
+        }
+
+        if (element.sets) {
+            clone.sets = element.sets.map(cloneElement);
+        }
+
+        if (element.contents) {
+            clone.contents = element.contents.map(cloneElement);
+        }
+
+        return clone;
+    }
+
+    /*
+     * Returns a function that converts cell and pixel lengths of a document
+     * into those of the merged document, or null if no conversion is needed.
+     * The axis of a length is 0 for widths, 1 for heights and null if unknown,
+     * in which case the vertical ratio is used.
+     */
+
+    function lengthConverter(tt, merged, errorHandler) {
+
+        var ratios = {};
+
+        if (tt.cellLength.w.rw !== merged.cellLength.w.rw || tt.cellLength.h.rh !== merged.cellLength.h.rh) {
+
+            ratios.c = [tt.cellLength.w.rw / merged.cellLength.w.rw, tt.cellLength.h.rh / merged.cellLength.h.rh];
+
+        }
+
+        if (tt.pxLength.h !== null && (tt.pxLength.w.rw !== merged.pxLength.w.rw || tt.pxLength.h.rh !== merged.pxLength.h.rh)) {
+
+            ratios.px = [tt.pxLength.w.rw / merged.pxLength.w.rw, tt.pxLength.h.rh / merged.pxLength.h.rh];
+
+        }
+
+        if (Object.keys(ratios).length === 0) return null;
+
+        var reported = {};
+
+        return function (v, axis) {
+
+            if (!(v.unit in ratios)) return v.value;
+
+            var r = ratios[v.unit];
+
+            if (axis === null && Math.abs(r[0] - r[1]) > 1e-9 && !(v.unit in reported)) {
+
+                reportWarning(errorHandler, "Lengths in " + v.unit + " units cannot be converted exactly (approximating)", "approximation");
+
+                reported[v.unit] = true;
+
+            }
+
+            return v.value * r[axis === 0 ? 0 : 1];
+
+        };
+    }
+
+    function convertAnimationLengths(animation, element, convert) {
+
+        if (animation instanceof Animate) {
+
+            animation.animations = animation.animations.map(function (a) {
+                return {
+                    qname: a.qname,
+                    values: a.values.map(function (v) {
+                        return convertStyleLengths(a.qname, v, element, convert);
+                    })
+                };
+            });
+
+        } else {
+
+            animation.value = convertStyleLengths(animation.qname, animation.value, element, convert);
+
+        }
+
+    }
+
+    function convertLengths(element, convert) {
+
+        if (convert === null) return;
+
+        for (var qname in element.styleAttrs) {
+            if (element.styleAttrs.hasOwnProperty(qname)) {
+                element.styleAttrs[qname] = convertStyleLengths(qname, element.styleAttrs[qname], element, convert);
+            }
+        }
+
+        for (var set_i in element.sets) {
+            if (element.sets.hasOwnProperty(set_i)) {
+                convertAnimationLengths(element.sets[set_i], element, convert);
+            }
+        }
+
+        for (var content_i in element.contents) {
+            if (element.contents.hasOwnProperty(content_i)) {
+                convertLengths(element.contents[content_i], convert);
+            }
+        }
+
+    }
+
+    /* converts the lengths of a parsed style value, along the axis of each of its components */
+
+    function convertStyleLengths(qname, value, element, convert) {
+
+        if (qname === imscStyles.byName.textShadow.qname && Array.isArray(value)) {
+
+            /* each shadow is [x offset, y offset, blur radius, color] */
+
+            return value.map(function (shadow) {
+                return shadow.map(function (v, i) {
+                    return convertLengthValue(v, convert, i === 0 ? 0 : 1);
+                });
+            });
+
+        }
+
+        if (qname === imscStyles.byName.padding.qname && Array.isArray(value) && value.length > 1) {
+
+            /* the padding is [before, end, after, start], or a shorthand thereof */
+
+            var wm = element.styleAttrs[imscStyles.byName.writingMode.qname] || "lrtb";
+
+            var block_axis = wm.charAt(0) === "t" ? 0 : 1;
+
+            return value.map(function (v, i) {
+                return convertLengthValue(v, convert, i % 2 === 0 ? block_axis : 1 - block_axis);
+            });
+
+        }
+
+        return convertLengthValue(value, convert, null);
+    }
+
+    /* returns a copy of a parsed style value, with its cell and pixel lengths converted */
+
+    function convertLengthValue(value, convert, axis) {
+
+        if (value === null || typeof value !== "object") return value;
+
+        if (Array.isArray(value)) {
+
+            return value.map(function (v) {
+                return convertLengthValue(v, convert, axis);
+            });
+
+        }
+
+        if ((value.unit === "c" || value.unit === "px") && typeof value.value === "number") {
+
+            return {value: convert(value, axis), unit: value.unit};
+
+        }
+
+        var r = {};
+
+        for (var prop in value) {
+            if (value.hasOwnProperty(prop)) {
+
+                /* w and h are the width and height of extents and origins,
+                 * while h and v are the horizontal and vertical offsets of positions */
+
+                var prop_axis = axis;
+
+                if (prop === "w" || (prop === "h" && "v" in value)) {
+
+                    prop_axis = 0;
+
+                } else if (prop === "h" || prop === "v") {
+
+                    prop_axis = 1;
+
+                }
+
+                r[prop] = convertLengthValue(value[prop], convert, prop_axis);
+            }
+        }
+
+        return r;
+    }
+
+    /* returns the parsed initial values of a document that differ from those of the merged document */
+
+    function differingInitials(tt, merged) {
+
+        var r = {};
+
+        for (var k in imscStyles.all) {
+            if (imscStyles.all.hasOwnProperty(k)) {
+
+                var sa = imscStyles.all[k];
+
+                var iv = tt.head.styling.initials[sa.qname] || sa.initial;
+
+                if (iv !== null && iv !== (merged.head.styling.initials[sa.qname] || sa.initial)) {
+
+                    var piv = sa.parse(iv);
+
+                    if (piv !== null) {
+                        r[sa.qname] = piv;
+                    }
+
+                }
+            }
+        }
+
+        return r;
+    }
+
+    /*
+     * Specifies initial values explicitly: all values on regions, from which
+     * content elements inherit, and non-inherited values on content elements
+     */
+
+    function applyInitials(element, initials, isRegion) {
+
+        if (!element.styleAttrs) return;
+
+        for (var qname in initials) {
+            if (initials.hasOwnProperty(qname) && !(qname in element.styleAttrs)) {
+
+                if (!isRegion && imscStyles.byQName[qname].inherit) continue;
+
+                if (qname === imscStyles.byName.origin.qname && imscStyles.byName.position.qname in element.styleAttrs) continue;
+
+                if (qname === imscStyles.byName.position.qname && imscStyles.byName.origin.qname in element.styleAttrs) continue;
+
+                element.styleAttrs[qname] = initials[qname];
+            }
+        }
+
+        for (var content_i in element.contents) {
+            if (element.contents.hasOwnProperty(content_i)) {
+                applyInitials(element.contents[content_i], initials, false);
+            }
+        }
+
+    }
+
+    /* compares elements regardless of where they are in their source document */
+
+    function ignoreSourceRange(k, v) {
+        return k === "sourceRange" ? undefined : v;
+    }
+
+    /* adds a region to the merged document, and returns its identifier */
+
+    function mergeRegion(merged, region) {
+
+        var existing = merged.head.layout.regions[region.id];
+
+        if (existing === undefined) {
+
+            merged.head.layout.regions[region.id] = region;
+
+            return region.id;
+
+        }
+
+        if (JSON.stringify(existing, ignoreSourceRange) === JSON.stringify(region, ignoreSourceRange)) {
+
+            return region.id;
+
+        }
+
+        region.id = uniqueRegionID(merged, region.id === '' ? "default" : region.id);
+
+        merged.head.layout.regions[region.id] = region;
+
+        return region.id;
+    }
+
+    function uniqueRegionID(merged, id) {
+
+        var r = id;
+
+        for (var i = 1; r in merged.head.layout.regions; i++) {
+            r = id + "_" + i;
+        }
+
+        return r;
+    }
+
+    function renameRegions(element, renamed) {
+
+        if (element.regionID in renamed) {
+            element.regionID = renamed[element.regionID];
+        }
+
+        for (var content_i in element.contents) {
+            if (element.contents.hasOwnProperty(content_i)) {
+                renameRegions(element.contents[content_i], renamed);
+            }
+        }
+
+    }
+
+    /*
+     * Merges the paragraphs of a document with identical paragraphs of the
+     * documents already merged, if their intervals overlap or abut
+     */
+
+    function mergeParagraphs(root, paragraphs, errorHandler) {
+
+        var added = [];
+
+        (function walk(element, ancestors, region_id) {
+
+            region_id = element.regionID || region_id;
+
+            for (var i = 0; i < element.contents.length; i++) {
+
+                var c = element.contents[i];
+
+                if (c.kind !== 'p') {
+
+                    if (c.contents) {
+                        walk(c, ancestors.concat([c]), region_id);
+                    }
+
+                    continue;
+                }
+
+                var key = (c.regionID || region_id) + " " + JSON.stringify(c, function (k, v) {
+                    return k === "begin" || k === "end" || k === "id" || k === "sourceRange" ? undefined : v;
+                });
+
+                var prev = paragraphs[key];
+
+                if (prev !== undefined && prev.p.end >= c.begin && prev.p.begin <= c.end) {
+
+                    reportInfo(errorHandler, "Merging paragraph repeated at " + c.begin + "s", "merged-content");
+
+                    extendElement(prev.p, timeMin(prev.p.begin, c.begin), timeMax(prev.p.end, c.end));
+
+                    for (var j = 0; j < prev.ancestors.length; j++) {
+                        prev.ancestors[j].begin = timeMin(prev.ancestors[j].begin, prev.p.begin);
+                        prev.ancestors[j].end = timeMax(prev.ancestors[j].end, prev.p.end);
+                    }
+
+                    element.contents.splice(i--, 1);
+
+                } else {
+
+                    added.push({key: key, value: {p: c, ancestors: ancestors}});
+
+                }
+
+            }
+
+        })(root, [root], '');
+
+        /* paragraphs are only merged across documents */
+
+        added.forEach(function (a) {
+            paragraphs[a.key] = a.value;
+        });
+
+    }
+
+    /* extends the interval of an element, and of its descendants that span it */
+
+    function extendElement(element, begin, end) {
+
+        var old_begin = element.begin;
+
+        var old_end = element.end;
+
+        (function walk(e) {
+
+            if (e.begin === old_begin) e.begin = begin;
+
+            if (e.end === old_end) e.end = end;
+
+            for (var content_i in e.contents) {
+                if (e.contents.hasOwnProperty(content_i)) {
+                    walk(e.contents[content_i]);
+                }
+            }
+
+        })(element);
+
+    }
+
+    /**
+     * @typedef {Object} Segment
+     * @property {number} begin Begin of the segment (in seconds)
+     * @property {number} end End of the segment (in seconds)
+     * @property {Object} tt Document containing the content active within the segment
+     */
+
+    /**
+     * Splits a document returned by <pre>fromXML()</pre> into segments of equal
+     * duration, e.g. to package it into fragmented ISOBMFF. The segments start
+     * at 0 and cover all the events of the document. Content that straddles a
+     * segment boundary is duplicated in each segment and clipped to it, while
+     * regions, styles and <pre>set</pre> animations are preserved. Times remain
+     * expressed on the timeline of the original document, which is not
+     * modified. Each segment can be serialized using <pre>imscTTML.toXML()</pre>.
+     * 
+     * @param {Object} tt Document to be split
+     * @param {number} duration Duration of each segment (in seconds)
+     * @param {?module:imscUtils.ErrorHandler} errorHandler Error callback
+     * @returns {Array.<Segment>} Segments, in presentation order
+     */
+
+    imscDoc.split = function (tt, duration, errorHandler) {
+
+        if (isNaN(duration) || duration <= 0 || duration === Number.POSITIVE_INFINITY) {
+
+            reportFatal(errorHandler, "Invalid segment duration " + duration, "invalid-argument");
+
+        }
+
+        var events = tt.getMediaTimeEvents();
+
+        if (events.length === 0) return [];
+
+        var last = events[events.length - 1];
+
+        /* content with an indefinite end is active in the segment following the last event */
+
+        var count = tt.body !== null && tt.body.end === Number.POSITIVE_INFINITY ?
+            Math.floor(last / duration) + 1 :
+            Math.ceil(last / duration);
+
+        var segments = [];
+
+        for (var i = 0; i < count; i++) {
+
+            var begin = i * duration;
+
+            var end = (i + 1) * duration;
+
+            var segment = cloneDocument(tt).clip(begin, end, errorHandler);
+
+            if (segment.body !== null) {
+                pruneElement(segment.body);
+            }
+
+            segments.push({begin: begin, end: end, tt: segment});
+
+        }
+
+        return segments;
+    };
+
+    function cloneDocument(tt) {
+
+        var clone = new TT();
+
+        for (var prop in tt) {
+            if (tt.hasOwnProperty(prop) && prop !== "events" && prop !== "head" && prop !== "body") {
+                clone[prop] = tt[prop];
+            }
+        }
+
+        clone.head.styling = tt.head.styling;
+
+        clone.head.agents = tt.head.agents;
+
+        clone.head.metadata = tt.head.metadata;
+
+        for (var region_i in tt.head.layout.regions) {
+            if (tt.head.layout.regions.hasOwnProperty(region_i)) {
+                clone.head.layout.regions[region_i] = cloneElement(tt.head.layout.regions[region_i]);
+            }
+        }
+
+        clone.body = tt.body === null ? null : cloneElement(tt.body);
+
+        clone.events = tt.events.slice();
+
+        return clone;
+    }
+
+    /* removes the descendants and animations that are never active, e.g. after clipping */
+
+    function pruneElement(element) {
+
+        if (element.sets) {
+            element.sets = element.sets.filter(function (set) {
+                return set.begin < set.end;
+            });
+        }
+
+        if (element.contents) {
+            element.contents = element.contents.filter(function (c) {
+                return c.begin < c.end;
+            });
+
+            element.contents.forEach(pruneElement);
+        }
+
+    }
+
+    // Background colours on body or div look bad. As a post-parse step, move them to spans below (when undefined in the P)
+    function pushBackgroundColorDown(node, lastBG) {
+        var currentBG = node.styleAttrs && node.styleAttrs["http://www.w3.org/ns/ttml#styling backgroundColor"];
+
+        if (node.kind === "span") {
+            if (!currentBG && lastBG) {
+                if (!node.styleAttrs) {
+                    node.styleAttrs = {};
+                }
+                node.styleAttrs["http://www.w3.org/ns/ttml#styling backgroundColor"] = lastBG;
+            }
+        } else {
+            if (currentBG) {
+                delete node.styleAttrs["http://www.w3.org/ns/ttml#styling backgroundColor"];
+            }
+            if (node.contents) {
+                for (var i = 0; i < node.contents.length; i++) {
+                    pushBackgroundColorDown(node.contents[i], currentBG || lastBG);
+                }
+            }
+        }
+    }
+
+    function cleanRubyContainers(element) {
+        
+        if (! ('contents' in element)) return;
+
+        var rubyval = 'styleAttrs' in element ? element.styleAttrs[imscStyles.byName.ruby.qname] : null;
+
+        var isrubycontainer = (element.kind === 'span' && (rubyval === "container" || rubyval === "textContainer" || rubyval === "baseContainer"));
+
+        for (var i = element.contents.length - 1; i >= 0; i--) {
+
+            if (isrubycontainer && !('styleAttrs' in element.contents[i] && imscStyles.byName.ruby.qname in element.contents[i].styleAttrs)) {
+
+                /* prune undefined <span> in ruby containers */
+
+                delete element.contents[i];
+
+            } else {
+
+                cleanRubyContainers(element.contents[i]);
+
+            }
+
+        }
+
+    }
+
+    function resolveTiming(doc, element, prev_sibling, parent) {
+
+        /* are we in a seq container? */
+
+        var isinseq = parent && parent.timeContainer === "seq";
+
+        /* determine implicit begin */
+
+        var implicit_begin = doc.timeOffset; /* default */
+
+        if (parent) {
+
+            if (isinseq && prev_sibling) {
+
+                /*
+                 * if seq time container, offset from the previous sibling end
+                 */
+
+                implicit_begin = prev_sibling.end;
+
+
+            } else {
+
+                implicit_begin = parent.begin;
+
+            }
+
+        }
+
+        /* explicit times are offset from the implicit begin, except wall-clock
+         * times of the clock time base, which are already media times */
+
+        var explicit_base = doc.timeBase === "clock" ? doc.timeOffset : implicit_begin;
+
+        /* compute desired begin */
+
+        element.begin = element.explicit_begin ? timeAdd(element.explicit_begin, explicit_base) : implicit_begin;
+
+
+        /* determine implicit end */
+
+        var implicit_end = element.begin;
+
+        var s = null;
+
+        for (var set_i in element.sets) {
+            if (element.sets.hasOwnProperty(set_i)) {
+                resolveTiming(doc, element.sets[set_i], s, element);
+
+                if (element.timeContainer === "seq") {
+                    
+                    implicit_end = element.sets[set_i].end;
+                    
+                } else {
+                    
+                    implicit_end = timeMax(implicit_end, element.sets[set_i].end);
+                    
+                }
+
+                s = element.sets[set_i];
+            }
+        }
+
+        if (!('contents' in element)) {
+
+            /* anonymous spans and regions and <set> and <br>s and spans with only children text nodes */
+
+            if (isinseq) {
+
+                /* in seq container, implicit duration is zero */
+
+                implicit_end = element.begin;
+
+            } else {
+
+                /* in par container, implicit duration is indefinite */
+
+                implicit_end = Number.POSITIVE_INFINITY;
+
+            }
+
+        } else {
+
+            for (var content_i in element.contents) {
+                if (element.contents.hasOwnProperty(content_i)) {
+                    resolveTiming(doc, element.contents[content_i], s, element);
+
+                    if (element.timeContainer === "seq") {
+                       
+                        implicit_end = element.contents[content_i].end;
+                       
+                    } else {
+                       
+                        implicit_end = timeMax(implicit_end, element.contents[content_i].end);
+                       
+                    }
+                    
+                    s = element.contents[content_i];
+                }
+            }
+
+        }
+
+        /* determine desired end */
+        /* it is never made really clear in SMIL that the explicit end is offset by the implicit begin */
+
+        if (element.explicit_end !== null && element.explicit_dur !== null) {
+
+            element.end = timeMin(timeAdd(element.begin, element.explicit_dur), timeAdd(explicit_base, element.explicit_end));
+
+        } else if (element.explicit_end === null && element.explicit_dur !== null) {
+
+            element.end = timeAdd(element.begin, element.explicit_dur);
+
+        } else if (element.explicit_end !== null && element.explicit_dur === null) {
+
+            element.end = timeAdd(explicit_base, element.explicit_end);
+
+        } else {
+
+            element.end = implicit_end;
+        }
+
+        /* animations interpolate over their simple duration, which is repeated */
+
+        if (element instanceof Animate) {
+
+            element.animationBegin = element.begin;
+
+            element.simpleDuration = element.explicit_dur !== null ? element.explicit_dur : timeSub(element.end, element.begin);
+
+            if (element.repeatCount !== 1 && element.explicit_dur !== null) {
+
+                var active_end = timeAdd(element.begin, timeMul(element.explicit_dur, element.repeatCount));
+
+                element.end = element.explicit_end !== null ? timeMin(active_end, timeAdd(explicit_base, element.explicit_end)) : active_end;
+
+            }
+
+        }
+
+        delete element.explicit_begin;
+        delete element.explicit_dur;
+        delete element.explicit_end;
+
+        doc._registerEvent(element);
+
+    }
+
+    /* valid parents of the elements of the TT namespace, used in recovery mode */
+
+    var PARENTS = {
+        tt: function (parent) {
+            return parent === undefined;
+        },
+        head: function (parent) {
+            return parent instanceof TT;
+        },
+        styling: function (parent) {
+            return parent instanceof Head;
+        },
+        style: function (parent) {
+            return parent instanceof Styling || parent instanceof Region;
+        },
+        initial: function (parent) {
+            return parent instanceof Styling;
+        },
+        layout: function (parent) {
+            return parent instanceof Head;
+        },
+        region: function (parent) {
+            return parent instanceof Layout;
+        },
+        body: function (parent) {
+            return parent instanceof TT;
+        },
+        div: function (parent) {
+            return parent instanceof Body || parent instanceof Div;
+        },
+        image: function (parent) {
+            return parent instanceof Div;
+        },
+        p: function (parent) {
+            return parent instanceof Div;
+        },
+        span: function (parent) {
+            return parent instanceof P || parent instanceof Span;
+        },
+        br: function (parent) {
+            return parent instanceof P || parent instanceof Span;
+        },
+        set: function (parent) {
+            return parent instanceof Span || parent instanceof P ||
+                parent instanceof Div || parent instanceof Body ||
+                parent instanceof Region || parent instanceof Br;
+        },
+        animate: function (parent) {
+            return PARENTS.set(parent);
+        }
+    };
+
+    function ForeignElement(node) {
+        this.node = node;
+    }
+
+    function TT() {
+        this.events = [];
+        this.head = new Head();
+        this.body = null;
+    }
+
+    TT.prototype.initFromNode = function (node, options, errorHandler) {
+
+        /* compute cell resolution */
+
+        var cr = extractCellResolution(node, errorHandler);
+        
+        this.cellLength = {
+                'h': new imscUtils.ComputedLength(0, 1/cr.h),
+                'w': new imscUtils.ComputedLength(1/cr.w, 0)
+            };
+
+        /* extract frame rate and tick rate */
+
+        var frtr = extractFrameAndTickRate(node, errorHandler);
+
+        this.effectiveFrameRate = frtr.effectiveFrameRate;
+
+        this.exactEffectiveFrameRate = frtr.exactEffectiveFrameRate;
+
+        this.frameRate = frtr.frameRate;
+
+        this.subFrameRate = frtr.subFrameRate;
+
+        this.tickRate = frtr.tickRate;
+
+        this.exactTickRate = frtr.exactTickRate;
+
+        /* extract aspect ratio */
+
+        this.aspectRatio = extractAspectRatio(node, errorHandler);
+
+        /* remember the document language */
+
+        this.lang = 'xml:lang' in node.attributes ? node.attributes['xml:lang'].value : "";
+
+        /* extract time base, and marker and drop modes if smpte */
+
+        var tb = extractTimeBase(node, errorHandler);
+
+        this.timeBase = tb.timeBase;
+
+        this.markerMode = tb.markerMode;
+
+        this.dropMode = tb.timeBase === "smpte" ? frtr.dropMode : "nonDrop";
+
+        this.clockMode = tb.clockMode;
+
+        /* offset of media time 0 from midnight, in seconds of the document clock,
+         * or null if clock times are offset from midnight */
+
+        this.clockOrigin = tb.timeBase === "clock" ? computeClockOrigin(options.clockOrigin, tb.clockMode) : 0;
+
+        /* offset of the document within the media timeline */
+
+        this.timeOffset = options.timeOffset || 0;
+
+        /* represent times exactly, if requested */
+
+        this.rationalTime = !!options.rationalTime;
+
+        if (this.rationalTime && this.clockOrigin !== null) {
+
+            /* clock origins have a resolution of one millisecond */
+
+            this.clockOrigin = new imscUtils.Rational(Math.round(this.clockOrigin * 1000), 1000);
+
+            this.timeOffset = imscUtils.Rational.from(this.timeOffset) || this.timeOffset;
+
+        }
+
+        /* retrieve extent */
+
+        var e = extractExtent(node, errorHandler);
+
+        if (e === null) {
+
+            this.pxLength = {
+                'h': null,
+                'w': null
+            };
+
+        } else {
 
             if (e.h.unit !== "px" || e.w.unit !== "px") {
-                reportFatal(errorHandler, "Extent on TT must be in px or absent");
+                reportFatal(errorHandler, "Extent on TT must be in px or absent", "unsupported-value", node);
             }
 
             this.pxLength = {
@@ -918,69 +2206,496 @@
                 'w': new imscUtils.ComputedLength(1, 0)
     };
 
-    };
+    };
+
+    /* register a temporal events */
+    TT.prototype._registerEvent = function (elem) {
+
+        /* skip if begin is not < then end */
+
+        if (elem.end <= elem.begin)
+            return;
+
+        /* index the begin time of the event */
+
+        var b_i = indexOf(this.events, elem.begin);
+
+        if (!b_i.found) {
+            this.events.splice(b_i.index, 0, elem.begin);
+        }
+
+        /* index the end time of the event */
+
+        if (elem.end !== Number.POSITIVE_INFINITY) {
+
+            var e_i = indexOf(this.events, elem.end);
+
+            if (!e_i.found) {
+                this.events.splice(e_i.index, 0, elem.end);
+            }
+
+        }
+
+        /* discrete animations also change at each of their key times */
+
+        if (elem instanceof Animate && elem.calcMode === "discrete") {
+
+            var steps = animationSteps(elem) || [];
+
+            for (var i = 0; i < steps.length; i++) {
+
+                var s_i = indexOf(this.events, steps[i]);
+
+                if (!s_i.found) {
+                    this.events.splice(s_i.index, 0, steps[i]);
+                }
+
+            }
+
+        }
+
+    };
+
+    /**
+     * Interval during which the ISD changes continuously
+     * @typedef {Object} AnimationInterval
+     * @property {number} begin Begin of the interval (in seconds)
+     * @property {number} end End of the interval (in seconds), which can be
+     *                        <pre>Number.POSITIVE_INFINITY</pre>
+     * @property {(number|module:imscUtils.Rational)} frameRate Suggested rate (in
+     *                              frames per second) at which ISDs are generated
+     *                              during the interval, i.e. the effective frame
+     *                              rate of the document
+     */
+
+    /**
+     * Returns the intervals during which the ISD changes continuously, e.g. while
+     * an <pre>animate</pre> element interpolates a color, in which ISDs should be
+     * generated at every frame rather than only at the times returned by
+     * <pre>getMediaTimeEvents()</pre>. The intervals are sorted and do not overlap.
+     * 
+     * @param {?boolean} exact If true and the document was parsed with the
+     *                         <pre>rationalTime</pre> option, the times are
+     *                         returned as <pre>imscUtils.Rational</pre> objects
+     * @returns {Array.<AnimationInterval>}
+     */
+    TT.prototype.getAnimationIntervals = function (exact) {
+
+        var intervals = [];
+
+        function walk(element) {
+
+            for (var set_i in element.sets) {
+                if (element.sets.hasOwnProperty(set_i) && isContinuous(element.sets[set_i])) {
+
+                    /* animations apply only while their parent is active */
+
+                    var begin = timeMax(element.sets[set_i].begin, element.begin);
+                    var end = timeMin(element.sets[set_i].end, element.end);
+
+                    if (begin < end) {
+                        intervals.push({begin: begin, end: end});
+                    }
+
+                }
+            }
+
+            for (var content_i in element.contents) {
+                if (element.contents.hasOwnProperty(content_i)) {
+                    walk(element.contents[content_i]);
+                }
+            }
+
+        }
+
+        for (var region_i in this.head.layout.regions) {
+            if (this.head.layout.regions.hasOwnProperty(region_i)) {
+                walk(this.head.layout.regions[region_i]);
+            }
+        }
+
+        if (this.body) {
+            walk(this.body);
+        }
+
+        /* merge overlapping intervals */
+
+        intervals.sort(function (a, b) {
+            return a.begin - b.begin;
+        });
+
+        var merged = [];
+
+        for (var i = 0; i < intervals.length; i++) {
+
+            var last = merged[merged.length - 1];
+
+            if (last !== undefined && intervals[i].begin <= last.end) {
+
+                last.end = timeMax(last.end, intervals[i].end);
+
+            } else {
+
+                merged.push(intervals[i]);
+
+            }
+
+        }
+
+        var toNumbers = !exact && this.rationalTime;
+
+        var frameRate = this.rationalTime && !toNumbers ? this.exactEffectiveFrameRate : this.effectiveFrameRate;
+
+        return merged.map(function (interval) {
+            return {
+                begin: toNumbers ? Number(interval.begin) : interval.begin,
+                end: toNumbers ? Number(interval.end) : interval.end,
+                frameRate: frameRate
+            };
+        });
+    };
+
+
+    /**
+     * Person, character or other entity defined by a <pre>ttm:agent</pre> element
+     * @typedef {Object} Agent
+     * @property {string} id Identifier of the agent, referenced by the
+     *                       <pre>agents</pre> property of content elements
+     * @property {string} type One of <pre>person</pre>, <pre>character</pre>,
+     *                         <pre>group</pre>, <pre>organization</pre> or <pre>other</pre>
+     * @property {Array.<{type: string, text: string}>} names Names of the agent,
+     *                         as specified by its <pre>ttm:name</pre> children
+     * @property {?string} actor Identifier of the agent that plays the
+     *                         character, as specified by <pre>ttm:actor</pre>
+     */
+
+    /**
+     * Returns the agents defined in the head of the document, in document order,
+     * e.g. to list the speakers of the document
+     * 
+     * @returns {Array.<Agent>}
+     */
+    TT.prototype.getAgents = function () {
+
+        var agents = this.head.agents;
+
+        /* copies are returned so that the document cannot be modified */
+
+        return Object.keys(agents).map(function (id) {
+            return {
+                id: agents[id].id,
+                type: agents[id].type,
+                names: agents[id].names.map(function (n) {
+                    return {type: n.type, text: n.text};
+                }),
+                actor: agents[id].actor
+            };
+        });
+    };
+
+    /**
+     * Well-known metadata of the head of the document
+     * @typedef {Object} DocumentMetadata
+     * @property {?string} title Text of the <pre>ttm:title</pre> element
+     * @property {?string} desc Text of the <pre>ttm:desc</pre> element
+     * @property {?string} copyright Text of the <pre>ttm:copyright</pre> element
+     * @property {Object.<string, Array.<string>>} ebuttm Text of the children of
+     *                         <pre>ebuttm:documentMetadata</pre>, indexed by local
+     *                         name, e.g. <pre>conformsToStandard</pre>
+     * @property {Object.<string, string>} smpte Attributes of
+     *                         <pre>smpte:information</pre>, indexed by local name
+     */
+
+    /**
+     * Returns the well-known metadata of the head of the document, e.g. to
+     * index documents without providing a <pre>MetadataHandler</pre>
+     * 
+     * @returns {DocumentMetadata}
+     */
+    TT.prototype.getMetadata = function () {
+
+        var metadata = this.head.metadata;
+
+        /* a copy is returned so that the document cannot be modified */
+
+        var ebuttm = {};
+
+        for (var name in metadata.ebuttm) {
+            if (metadata.ebuttm.hasOwnProperty(name)) {
+                ebuttm[name] = metadata.ebuttm[name].slice();
+            }
+        }
+
+        var smpte = {};
+
+        for (var attr in metadata.smpte) {
+            if (metadata.smpte.hasOwnProperty(attr)) {
+                smpte[attr] = metadata.smpte[attr];
+            }
+        }
+
+        return {
+            title: metadata.title,
+            desc: metadata.desc,
+            copyright: metadata.copyright,
+            ebuttm: ebuttm,
+            smpte: smpte
+        };
+    };
+
+    /*
+     * Retrieves the range of ISD times covered by the document
+     * 
+     * @returns {Array} Array of two elements: min_begin_time and max_begin_time
+     * 
+     */
+    TT.prototype.getMediaTimeRange = function () {
+
+        return [this.events[0], this.events[this.events.length - 1]];
+    };
+
+    /*
+     * Returns list of ISD begin times  
+     * 
+     * @param {?boolean} exact If true and the document was parsed with the
+     *                         <pre>rationalTime</pre> option, the times are
+     *                         returned as <pre>imscUtils.Rational</pre> objects
+     * @returns {Array}
+     */
+    TT.prototype.getMediaTimeEvents = function (exact) {
+
+        if (exact || !this.rationalTime) return this.events;
+
+        return this.events.map(Number);
+    };
+
+    /**
+     * Returns the frame numbers of the ISD begin times, i.e. the index of the
+     * frame, counted from media time 0, during which each ISD begins.
+     * 
+     * @param {?(number|module:imscUtils.Rational)} frameRate Frame rate, which
+     *                         defaults to the effective frame rate of the document
+     * @returns {Array.<number>}
+     */
+    TT.prototype.getMediaTimeEventFrames = function (frameRate) {
+
+        if (frameRate === undefined || frameRate === null) {
+
+            frameRate = this.rationalTime ? this.exactEffectiveFrameRate : this.effectiveFrameRate;
+
+        }
+
+        return this.events.map(function (t) {
+
+            var f = timeMul(t, frameRate);
+
+            /* tolerate the rounding errors of times that are not exact */
+
+            return f instanceof imscUtils.Rational ? f.floor() : Math.floor(f + 1e-6);
+
+        });
+    };
+
+    /**
+     * Shifts all the times of the document, e.g. to splice it into a
+     * programme or to rebase a segment-relative document.
+     * 
+     * @param {number} offset Offset (in seconds) added to all times
+     * @param {?module:imscUtils.ErrorHandler} errorHandler Error callback
+     * @returns {Object} The document
+     */
+    TT.prototype.shift = function (offset, errorHandler) {
+
+        if (!isFinite(offset)) {
+
+            reportFatal(errorHandler, "Invalid shift offset " + offset, "invalid-argument");
+
+        }
+
+        retime(this, function (t) {
+            return timeAdd(t, offset);
+        });
+
+        return this;
+    };
+
+    /**
+     * Scales all the times of the document, e.g. <pre>scale(25 * 1001 / 24000)</pre>
+     * conforms a document authored at 25 fps to 23.976 fps.
+     * 
+     * @param {number} factor Positive factor by which all times are multiplied
+     * @param {?module:imscUtils.ErrorHandler} errorHandler Error callback
+     * @returns {Object} The document
+     */
+    TT.prototype.scale = function (factor, errorHandler) {
+
+        if (!(factor > 0 && isFinite(factor))) {
+
+            reportFatal(errorHandler, "Invalid scale factor " + factor, "invalid-argument");
+
+        }
+
+        retime(this, function (t) {
+            return timeMul(t, factor);
+        });
+
+        return this;
+    };
+
+    /**
+     * Clips the document to a time window, outside of which no content is
+     * presented.
+     * 
+     * @param {number} begin Begin of the window (in seconds)
+     * @param {?number} end End of the window (in seconds), indefinite if absent
+     * @param {?module:imscUtils.ErrorHandler} errorHandler Error callback
+     * @returns {Object} The document
+     */
+    TT.prototype.clip = function (begin, end, errorHandler) {
+
+        if (end === null || end === undefined) {
+
+            end = Number.POSITIVE_INFINITY;
+
+        }
+
+        if (isNaN(begin) || isNaN(end) || end <= begin) {
+
+            reportFatal(errorHandler, "Invalid clipping window [" + begin + ", " + end + "[", "invalid-argument");
+
+        }
+
+        /* content outside the window collapses to a zero duration at its edges */
+
+        /* animations keep their timeline, so that they are not distorted */
+
+        retime(this, function (t) {
+            return timeMin(timeMax(t, begin), end);
+        }, function (t) {
+            return t;
+        });
+
+        return this;
+    };
+
+    /*
+     * Maps the resolved times of all the elements of a document through a
+     * non-decreasing function, and registers the resulting events. The timeline
+     * of animations is mapped through <pre>timeline</pre>, which defaults to
+     * <pre>f</pre>.
+     */
+
+    function retime(doc, f, timeline) {
 
-    /* register a temporal events */
-    TT.prototype._registerEvent = function (elem) {
+        timeline = timeline || f;
 
-        /* skip if begin is not < then end */
+        doc.events = [];
 
-        if (elem.end <= elem.begin)
-            return;
+        for (var region_i in doc.head.layout.regions) {
+            if (doc.head.layout.regions.hasOwnProperty(region_i)) {
+                retimeElement(doc, doc.head.layout.regions[region_i], f, timeline);
+            }
+        }
 
-        /* index the begin time of the event */
+        if (doc.body) {
+            retimeElement(doc, doc.body, f, timeline);
+        }
 
-        var b_i = indexOf(this.events, elem.begin);
+    }
 
-        if (!b_i.found) {
-            this.events.splice(b_i.index, 0, elem.begin);
-        }
+    function retimeElement(doc, element, f, timeline) {
 
-        /* index the end time of the event */
+        if (element instanceof Animate) {
 
-        if (elem.end !== Number.POSITIVE_INFINITY) {
+            element.simpleDuration = timeSub(
+                timeline(timeAdd(element.animationBegin, element.simpleDuration)),
+                timeline(element.animationBegin)
+            );
 
-            var e_i = indexOf(this.events, elem.end);
+            element.animationBegin = timeline(element.animationBegin);
 
-            if (!e_i.found) {
-                this.events.splice(e_i.index, 0, elem.end);
+        }
+
+        element.begin = f(element.begin);
+
+        element.end = f(element.end);
+
+        for (var set_i in element.sets) {
+            if (element.sets.hasOwnProperty(set_i)) {
+                retimeElement(doc, element.sets[set_i], f, timeline);
             }
+        }
 
+        for (var content_i in element.contents) {
+            if (element.contents.hasOwnProperty(content_i)) {
+                retimeElement(doc, element.contents[content_i], f, timeline);
+            }
         }
 
-    };
+        doc._registerEvent(element);
 
+    }
 
     /*
-     * Retrieves the range of ISD times covered by the document
-     * 
-     * @returns {Array} Array of two elements: min_begin_time and max_begin_time
-     * 
+     * Represents a TTML Head element
      */
-    TT.prototype.getMediaTimeRange = function () {
 
-        return [this.events[0], this.events[this.events.length - 1]];
-    };
+    function Head() {
+        this.styling = new Styling();
+        this.layout = new Layout();
+        this.agents = {};
+        this.metadata = new Metadata();
+    }
 
     /*
-     * Returns list of ISD begin times  
-     * 
-     * @returns {Array}
+     * Represents the well-known metadata of the head
      */
-    TT.prototype.getMediaTimeEvents = function () {
 
-        return this.events;
-    };
+    function Metadata() {
+        this.title = null;
+        this.desc = null;
+        this.copyright = null;
+        this.ebuttm = {};
+        this.smpte = {};
+    }
 
     /*
-     * Represents a TTML Head element
+     * Represents a TTML ttm:agent element
      */
 
-    function Head() {
-        this.styling = new Styling();
-        this.layout = new Layout();
+    function Agent() {
+        this.id = null;
+        this.type = null;
+        this.names = [];
+        this.actor = null;
     }
 
+    Agent.prototype.initFromNode = function (node, errorHandler) {
+
+        this.id = elementGetXMLID(node);
+
+        this.type = attributeValue(node, "type", null);
+
+        if (AGENT_TYPES.indexOf(this.type) === -1) {
+
+            reportWarning(errorHandler, "Invalid <ttm:agent> type " + this.type + " (using other)" + nodePosition(node), "invalid-attribute", node);
+
+            this.type = "other";
+
+        }
+
+    };
+
+    var AGENT_TYPES = ["person", "character", "group", "organization", "other"];
+
+    var AGENT_NAME_TYPES = ["full", "family", "given", "alias", "other"];
+
+    var ROLES = [
+        "action", "caption", "description", "dialog", "expletive", "kinesic",
+        "lyrics", "music", "narration", "quality", "sound", "source",
+        "suppressed", "reproduction", "thought", "title", "transcription"
+    ];
+
     /*
      * Represents a TTML Styling element
      */
@@ -1056,19 +2771,21 @@
         this.src = 'src' in node.attributes ? node.attributes.src.value : null;
         
         if (! this.src) {
-            reportError(errorHandler, "Invalid image@src attribute");
+            reportError(errorHandler, "Invalid image@src attribute", "invalid-attribute", node);
         }
         
         this.type = 'type' in node.attributes ? node.attributes.type.value : null;
         
         if (! this.type) {
-            reportError(errorHandler, "Invalid image@type attribute");
+            reportError(errorHandler, "Invalid image@type attribute", "invalid-attribute", node);
         }
         
         StyledElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
         TimedElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
         AnimatedElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
         LayoutElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
+        MetadataElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
+        ConditionalElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
     };
 
     /*
@@ -1110,6 +2827,24 @@
 
     };
 
+    function MetadataElement(agents, roles) {
+        this.agents = agents;
+        this.roles = roles;
+    }
+
+    MetadataElement.prototype.initFromNode = function (doc, parent, node, errorHandler) {
+        this.agents = elementGetAgents(doc, node, errorHandler);
+        this.roles = elementGetRoles(node, errorHandler);
+    };
+
+    function ConditionalElement(condition) {
+        this.condition = condition;
+    }
+
+    ConditionalElement.prototype.initFromNode = function (doc, parent, node, errorHandler) {
+        this.condition = elementGetCondition(node, errorHandler);
+    };
+
     function AnimatedElement(sets) {
         this.sets = sets;
     }
@@ -1158,6 +2893,8 @@
         TimedElement.prototype.initFromNode.call(this, doc, null, node, errorHandler);
         AnimatedElement.prototype.initFromNode.call(this, doc, null, node, errorHandler);
         LayoutElement.prototype.initFromNode.call(this, doc, null, node, errorHandler);
+        MetadataElement.prototype.initFromNode.call(this, doc, null, node, errorHandler);
+        ConditionalElement.prototype.initFromNode.call(this, doc, null, node, errorHandler);
         ContainerElement.prototype.initFromNode.call(this, doc, null, node, errorHandler);
     };
 
@@ -1174,6 +2911,8 @@
         TimedElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
         AnimatedElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
         LayoutElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
+        MetadataElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
+        ConditionalElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
         ContainerElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
     };
 
@@ -1190,6 +2929,8 @@
         TimedElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
         AnimatedElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
         LayoutElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
+        MetadataElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
+        ConditionalElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
         ContainerElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
     };
 
@@ -1206,6 +2947,8 @@
         TimedElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
         AnimatedElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
         LayoutElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
+        MetadataElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
+        ConditionalElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
         ContainerElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
 
         this.space = xmlspace;
@@ -1237,6 +2980,8 @@
     Br.prototype.initFromNode = function (doc, parent, node, errorHandler) {
         LayoutElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
         TimedElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
+        MetadataElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
+        ConditionalElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
     };
 
     /*
@@ -1311,6 +3056,7 @@
         IdentifiedElement.prototype.initFromNode.call(this, doc, null, node, errorHandler);
         TimedElement.prototype.initFromNode.call(this, doc, null, node, errorHandler);
         AnimatedElement.prototype.initFromNode.call(this, doc, null, node, errorHandler);
+        ConditionalElement.prototype.initFromNode.call(this, doc, null, node, errorHandler);
 
         /* add specified styles */
 
@@ -1332,6 +3078,7 @@
     Set.prototype.initFromNode = function (doc, parent, node, errorHandler) {
 
         TimedElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
+        ConditionalElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
 
         var styles = elementGetStyles(node, errorHandler);
 
@@ -1342,7 +3089,7 @@
             if (styles.hasOwnProperty(qname)) {
                 if (this.qname) {
 
-                    reportError(errorHandler, "More than one style specified on set");
+                    reportError(errorHandler, "More than one style specified on set", "invalid-attribute", node);
                     break;
 
                 }
@@ -1354,21 +3101,325 @@
 
     };
 
+    /*
+     * Represents a TTML2 Animate element, which interpolates styles between
+     * successive values
+     * 
+     */
+
+    function Animate() {
+    }
+
+    Animate.prototype.initFromNode = function (doc, parent, node, errorHandler) {
+
+        TimedElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
+        ConditionalElement.prototype.initFromNode.call(this, doc, parent, node, errorHandler);
+
+        /* animated styles, e.g. tts:opacity="0;1" */
+
+        this.animations = [];
+
+        for (var i in node.attributes) {
+            if (node.attributes.hasOwnProperty(i)) {
+
+                var qname = node.attributes[i].uri + " " + node.attributes[i].local;
+
+                var sa = imscStyles.byQName[qname];
+
+                if (sa === undefined) continue;
+
+                var strs = node.attributes[i].value.split(";");
+
+                var values = [];
+
+                for (var j = 0; j < strs.length; j++) {
+
+                    var v = sa.parse(strs[j].trim());
+
+                    if (v === null) break;
+
+                    values.push(v);
+
+                }
+
+                if (values.length === strs.length) {
+
+                    this.animations.push({qname: qname, values: values});
+
+                } else {
+
+                    reportError(errorHandler, "Cannot parse animated styling attribute " + qname + " --> " + node.attributes[i].value, "invalid-attribute", node);
+
+                }
+
+            }
+        }
+
+        this.calcMode = attributeValue(node, "calcMode", "linear");
+
+        if (ANIMATE_CALC_MODES.indexOf(this.calcMode) === -1) {
+
+            reportWarning(errorHandler, "Malformed calcMode attribute " + this.calcMode + nodePosition(node) + " (using linear instead)", "invalid-attribute", node);
+
+            this.calcMode = "linear";
+
+        }
+
+        this.fill = attributeValue(node, "fill", "remove");
+
+        if (this.fill !== "remove" && this.fill !== "freeze") {
+
+            reportWarning(errorHandler, "Malformed fill attribute " + this.fill + nodePosition(node) + " (using remove instead)", "invalid-attribute", node);
+
+            this.fill = "remove";
+
+        }
+
+        var rc = attributeValue(node, "repeatCount", "1");
+
+        this.repeatCount = rc === "indefinite" ? Number.POSITIVE_INFINITY : parseFloat(rc);
+
+        if (isNaN(this.repeatCount) || this.repeatCount <= 0 || (rc !== "indefinite" && !/^\d*(\.\d+)?$/.test(rc))) {
+
+            reportWarning(errorHandler, "Malformed repeatCount attribute " + rc + nodePosition(node) + " (using 1 instead)", "invalid-attribute", node);
+
+            this.repeatCount = 1;
+
+        }
+
+        this.keyTimes = parseKeyTimes(this, attributeValue(node, "keyTimes", null), node, errorHandler);
+
+        this.keySplines = null;
+
+        if (this.calcMode === "spline") {
+
+            this.keySplines = parseKeySplines(this, attributeValue(node, "keySplines", ""), node, errorHandler);
+
+            if (this.keySplines === null) {
+
+                this.calcMode = "linear";
+
+            }
+
+        }
+
+    };
+
+    var ANIMATE_CALC_MODES = ["discrete", "linear", "paced", "spline"];
+
+    /* maximum number of key times registered as events for a discrete animation */
+
+    var MAX_ANIMATION_STEPS = 10000;
+
+    /* does the animation change the ISD between its begin and end? */
+
+    function isContinuous(animate) {
+
+        if (!(animate instanceof Animate) || animate.begin >= animate.end) return false;
+
+        var changes = animate.animations.some(function (a) {
+            return a.values.length > 1;
+        });
+
+        /* discrete animations are continuous if they step indefinitely */
+
+        return changes && (animate.calcMode !== "discrete" || animationSteps(animate) === null);
+
+    }
+
+    /* returns the times at which a discrete animation changes value, or null
+     * if it changes indefinitely or too often */
+
+    function animationSteps(animate) {
+
+        var steps = [];
+
+        if (!(animate.simpleDuration > 0 && isFinite(animate.simpleDuration)))
+            return steps;
+
+        for (var a_i = 0; a_i < animate.animations.length; a_i++) {
+
+            var n = animate.animations[a_i].values.length;
+
+            for (var iteration = 0; ; iteration++) {
+
+                var t = timeAdd(animate.animationBegin, timeMul(animate.simpleDuration, iteration));
+
+                if (t >= animate.end) break;
+
+                for (var k = 0; k < n; k++) {
+
+                    var kt = animate.keyTimes === null ? k / n : animate.keyTimes[k];
+
+                    var step = timeAdd(t, timeMul(animate.simpleDuration, kt));
+
+                    if (step > animate.begin && step < animate.end) {
+                        steps.push(step);
+                    }
+
+                }
+
+                if (steps.length > MAX_ANIMATION_STEPS) return null;
+
+            }
+
+        }
+
+        return steps;
+
+    }
+
+    function attributeValue(node, name, dflt) {
+
+        return name in node.attributes ? node.attributes[name].value.trim() : dflt;
+
+    }
+
+    /* parses keyTimes, which must match the number of values */
+
+    function parseKeyTimes(animate, str, node, errorHandler) {
+
+        if (str === null || animate.calcMode === "paced") return null;
+
+        var kt = str.split(";").map(function (t) {
+            return /^\s*\d*(\.\d+)?\s*$/.test(t) ? parseFloat(t) : NaN;
+        });
+
+        var valid = kt[0] === 0 &&
+            (animate.calcMode === "discrete" || kt[kt.length - 1] === 1) &&
+            animate.animations.every(function (a) {
+                return a.values.length === kt.length;
+            });
+
+        for (var i = 0; valid && i < kt.length; i++) {
+
+            valid = kt[i] <= 1 && (i === 0 || kt[i] >= kt[i - 1]);
+
+        }
+
+        if (!valid) {
+
+            reportWarning(errorHandler, "Malformed keyTimes attribute " + str + nodePosition(node) + " (ignoring)", "invalid-attribute", node);
+
+            return null;
+
+        }
+
+        return kt;
+
+    }
+
+    /* parses keySplines, one cubic Bezier control point pair per interval */
+
+    function parseKeySplines(animate, str, node, errorHandler) {
+
+        var ks = str.split(";").map(function (s) {
+            return s.trim().split(/[\s,]+/).map(function (c) {
+                return /^\d*(\.\d+)?$/.test(c) && c !== "" ? parseFloat(c) : NaN;
+            });
+        });
+
+        var valid = animate.animations.every(function (a) {
+            return a.values.length === ks.length + 1;
+        }) && ks.every(function (s) {
+            return s.length === 4 && s.every(function (c) {
+                return c >= 0 && c <= 1;
+            });
+        });
+
+        if (!valid) {
+
+            reportWarning(errorHandler, "Malformed keySplines attribute " + str + nodePosition(node) + " (using linear interpolation instead)", "invalid-attribute", node);
+
+            return null;
+
+        }
+
+        return ks;
+
+    }
+
     /*
      * Utility functions
      * 
      */
 
 
-    function elementGetXMLID(node) {
-        var ret = null;
-        if (node) {
-            var idAttribute = node.attributes['xml:id'] || node.attributes.id;
-            if (idAttribute) {
-                ret = idAttribute.value || null;
-            }
+    function elementGetXMLID(node) {
+        var ret = null;
+        if (node) {
+            var idAttribute = node.attributes['xml:id'] || node.attributes.id;
+            if (idAttribute) {
+                ret = idAttribute.value || null;
+            }
+        }
+        return ret;
+    }
+
+    /* returns the value of the attribute of the TTML metadata namespace, if any */
+
+    function elementGetMetadataAttribute(node, local) {
+
+        if (node) {
+
+            for (var i in node.attributes) {
+                if (node.attributes.hasOwnProperty(i) &&
+                        node.attributes[i].uri === imscNames.ns_ttm &&
+                        node.attributes[i].local === local) {
+                    return node.attributes[i].value.trim();
+                }
+            }
+
+        }
+
+        return null;
+    }
+
+    function elementGetAgents(doc, node, errorHandler) {
+
+        var value = elementGetMetadataAttribute(node, "agent");
+
+        if (!value) return null;
+
+        return value.split(/\s+/).filter(function (id) {
+
+            if (id in doc.head.agents) return true;
+
+            reportWarning(errorHandler, "Ignoring reference to unknown agent " + id + nodePosition(node), "unknown-reference", node);
+
+            return false;
+        });
+    }
+
+    function elementGetRoles(node, errorHandler) {
+
+        var value = elementGetMetadataAttribute(node, "role");
+
+        if (!value) return null;
+
+        return value.split(/\s+/).filter(function (role) {
+
+            if (ROLES.indexOf(role) !== -1 || role.indexOf("x-") === 0) return true;
+
+            reportWarning(errorHandler, "Ignoring unknown role " + role + nodePosition(node), "unsupported-value", node);
+
+            return false;
+        });
+    }
+
+    function elementGetCondition(node, errorHandler) {
+
+        if (!node || !('condition' in node.attributes)) return null;
+
+        var condition = imscCondition.parse(node.attributes.condition.value);
+
+        if (condition === null) {
+
+            reportError(errorHandler, "Invalid condition expression " + node.attributes.condition.value + " (ignoring)" + nodePosition(node), "invalid-attribute", node);
+
         }
-        return ret;
+
+        return condition;
     }
 
     function elementGetRegionID(node) {
@@ -1389,7 +3440,7 @@
 
         } else {
 
-            reportError(errorHandler, "Illegal value of timeContainer (assuming 'par')");
+            reportError(errorHandler, "Illegal value of timeContainer (assuming 'par')", "invalid-attribute", node);
 
             return "par";
 
@@ -1426,12 +3477,12 @@
                             /* TODO: consider refactoring errorHandler into parse and compute routines */
 
                             if (sa === imscStyles.byName.zIndex) {
-                                reportWarning(errorHandler, "zIndex attribute present but not used by IMSC1 since regions do not overlap");
+                                reportWarning(errorHandler, "zIndex attribute present but not used by IMSC1 since regions do not overlap", "ignored-attribute", node);
                             }
 
                         } else {
 
-                            reportError(errorHandler, "Cannot parse styling attribute " + qname + " --> " + node.attributes[i].value);
+                            reportError(errorHandler, "Cannot parse styling attribute " + qname + " --> " + node.attributes[i].value, "invalid-attribute", node);
 
                         }
                     }
@@ -1488,12 +3539,12 @@
 
                 } else {
 
-                    reportError(errorHandler, "Illegal aspectRatio values (ignoring)");
+                    reportError(errorHandler, "Illegal aspectRatio values (ignoring)", "invalid-attribute", node);
                 }
 
             } else {
 
-                reportError(errorHandler, "Malformed aspectRatio attribute (ignoring)");
+                reportError(errorHandler, "Malformed aspectRatio attribute (ignoring)", "invalid-attribute", node);
             }
 
         }
@@ -1529,7 +3580,7 @@
 
             } else {
 
-                reportWarning(errorHandler, "Malformed cellResolution value (using initial value instead)");
+                reportWarning(errorHandler, "Malformed cellResolution value (using initial value instead)", "invalid-attribute", node);
 
             }
 
@@ -1542,8 +3593,6 @@
 
     function extractFrameAndTickRate(node, errorHandler) {
 
-        // subFrameRate is ignored per IMSC1 specification
-
         // extract frame rate
 
         var fps_attr = findAttribute(node, imscNames.ns_ttp, "frameRate");
@@ -1552,23 +3601,37 @@
 
         var fps = 30;
 
+        // fractional frame rates, e.g. 29.97, are expressed using a 1000/1001 multiplier
+
+        var fractional = false;
+
         // match variable
 
         var m;
 
         if (fps_attr !== null) {
 
-            var FRAME_RATE_RE = /(\d+)/;
+            var FRAME_RATE_RE = /^\s*(\d+)\s*$/;
 
-            m = FRAME_RATE_RE.exec(fps_attr);
+            var FRACTIONAL_FRAME_RATE_RE = /^\s*(\d+\.\d+)\s*$/;
 
-            if (m !== null) {
+            if ((m = FRAME_RATE_RE.exec(fps_attr)) !== null && parseInt(m[1]) > 0) {
 
                 fps = parseInt(m[1]);
 
+            } else if ((m = FRACTIONAL_FRAME_RATE_RE.exec(fps_attr)) !== null &&
+                Math.abs(Math.round(parseFloat(m[1]) * 1.001) / 1.001 - parseFloat(m[1])) < 0.01) {
+
+                fps = Math.round(parseFloat(m[1]) * 1.001);
+
+                fractional = true;
+
+                reportWarning(errorHandler, "Fractional frame rate " + fps_attr + nodePosition(node) +
+                    " (using ttp:frameRate=\"" + fps + "\" and ttp:frameRateMultiplier=\"1000 1001\" instead)", "invalid-attribute", node);
+
             } else {
 
-                reportWarning(errorHandler, "Malformed frame rate attribute (using initial value instead)");
+                reportWarning(errorHandler, "Malformed frame rate attribute " + fps_attr + nodePosition(node) + " (using initial value instead)", "invalid-attribute", node);
             }
 
         }
@@ -1581,55 +3644,264 @@
 
         var frm = 1;
 
+        var frm_num = fractional ? 1000 : 1;
+
+        var frm_den = fractional ? 1001 : 1;
+
         if (frm_attr !== null) {
 
-            var FRAME_RATE_MULT_RE = /(\d+) (\d+)/;
+            var FRAME_RATE_MULT_RE = /^\s*(\d+)\s+(\d+)\s*$/;
 
             m = FRAME_RATE_MULT_RE.exec(frm_attr);
 
-            if (m !== null) {
+            if (m !== null && parseInt(m[1]) > 0 && parseInt(m[2]) > 0) {
+
+                if (fractional) {
 
-                frm = parseInt(m[1]) / parseInt(m[2]);
+                    reportWarning(errorHandler, "Frame rate multiplier specified along with a fractional frame rate" + nodePosition(node) + " (ignoring)", "ignored-attribute", node);
+
+                } else {
+
+                    frm_num = parseInt(m[1]);
+
+                    frm_den = parseInt(m[2]);
+
+                }
 
             } else {
 
-                reportWarning(errorHandler, "Malformed frame rate multiplier attribute (using initial value instead)");
+                reportWarning(errorHandler, "Malformed frame rate multiplier attribute " + frm_attr + nodePosition(node) + " (using initial value instead)", "invalid-attribute", node);
             }
 
         }
 
+        frm = frm_num / frm_den;
+
         var efps = frm * fps;
 
+        // extract drop mode
+
+        var dm = findAttribute(node, imscNames.ns_ttp, "dropMode");
+
+        if (dm === null) {
+
+            dm = "nonDrop";
+
+        } else if (dm !== "nonDrop" && dm !== "dropNTSC" && dm !== "dropPAL") {
+
+            reportWarning(errorHandler, "Malformed drop mode attribute " + dm + nodePosition(node) + " (using initial value instead)", "invalid-attribute", node);
+
+            dm = "nonDrop";
+
+        } else if (dm !== "nonDrop" && (fps % 30 !== 0 || frm === 1)) {
+
+            /* drop frame counting only makes sense for 30000/1001 and 60000/1001 rates */
+
+            reportWarning(errorHandler, "Drop mode " + dm + " is inconsistent with the frame rate (using nonDrop instead)", "invalid-attribute", node);
+
+            dm = "nonDrop";
+
+        }
+
         // extract tick rate
 
         var tr = 1;
 
+        var exact_tr = new imscUtils.Rational(1, 1);
+
+        var exact_efps = new imscUtils.Rational(fps * frm_num, frm_den);
+
         var trattr = findAttribute(node, imscNames.ns_ttp, "tickRate");
 
         if (trattr === null) {
 
-            if (fps_attr !== null)
+            if (fps_attr !== null) {
                 tr = efps;
+                exact_tr = exact_efps;
+            }
 
         } else {
 
-            var TICK_RATE_RE = /(\d+)/;
+            var TICK_RATE_RE = /^\s*(\d+)\s*$/;
 
             m = TICK_RATE_RE.exec(trattr);
 
-            if (m !== null) {
+            if (m !== null && parseInt(m[1]) > 0) {
 
                 tr = parseInt(m[1]);
 
+                exact_tr = new imscUtils.Rational(tr, 1);
+
+            } else {
+
+                reportWarning(errorHandler, "Malformed tick rate attribute " + trattr + nodePosition(node) + " (using initial value instead)", "invalid-attribute", node);
+            }
+
+        }
+
+        // extract sub-frame rate
+
+        var sfr = 1;
+
+        var sfr_attr = findAttribute(node, imscNames.ns_ttp, "subFrameRate");
+
+        if (sfr_attr !== null) {
+
+            var SUB_FRAME_RATE_RE = /^\s*(\d+)\s*$/;
+
+            m = SUB_FRAME_RATE_RE.exec(sfr_attr);
+
+            if (m !== null && parseInt(m[1]) > 0) {
+
+                sfr = parseInt(m[1]);
+
             } else {
 
-                reportWarning(errorHandler, "Malformed tick rate attribute (using initial value instead)");
+                reportWarning(errorHandler, "Malformed sub-frame rate attribute " + sfr_attr + nodePosition(node) + " (using initial value instead)", "invalid-attribute", node);
+            }
+
+        }
+
+        return {
+            effectiveFrameRate: efps,
+            exactEffectiveFrameRate: exact_efps,
+            frameRate: fps,
+            subFrameRate: sfr,
+            tickRate: tr,
+            exactTickRate: exact_tr,
+            dropMode: dm
+        };
+
+    }
+
+    function extractTimeBase(node, errorHandler) {
+
+        var tb = findAttribute(node, imscNames.ns_ttp, "timeBase");
+
+        if (tb === null) {
+
+            tb = "media";
+
+        } else if (tb !== "media" && tb !== "smpte" && tb !== "clock") {
+
+            reportFatal(errorHandler, "Unsupported time base", "unsupported-feature", node);
+
+        }
+
+        var mm = findAttribute(node, imscNames.ns_ttp, "markerMode");
+
+        if (mm === null) {
+
+            mm = "discontinuous";
+
+        } else if (mm !== "continuous" && mm !== "discontinuous") {
+
+            reportWarning(errorHandler, "Malformed marker mode attribute (using initial value instead)", "invalid-attribute", node);
+
+            mm = "discontinuous";
+
+        }
+
+        if (tb === "smpte" && mm === "discontinuous") {
+
+            /* time codes are treated as if they increased monotonically */
+
+            reportInfo(errorHandler, "Discontinuous marker mode is not supported (assuming continuous time codes)", "unsupported-feature", node);
+
+        }
+
+        var cm = findAttribute(node, imscNames.ns_ttp, "clockMode");
+
+        if (cm === null) {
+
+            cm = "utc";
+
+        } else if (cm !== "local" && cm !== "gps" && cm !== "utc") {
+
+            reportWarning(errorHandler, "Malformed clock mode attribute (using initial value instead)", "invalid-attribute", node);
+
+            cm = "utc";
+
+        }
+
+        return {
+            timeBase: tb,
+            markerMode: tb === "smpte" ? mm : null,
+            clockMode: tb === "clock" ? cm : null
+        };
+
+    }
+
+    /* GPS time is ahead of UTC by the number of leap seconds since 1980-01-06 */
+
+    var GPS_UTC_OFFSET = 18;
+
+    var SECONDS_PER_DAY = 86400;
+
+    /*
+     * Returns the number of seconds since midnight, expressed in the
+     * document clock, of the wall-clock time that corresponds to media time 0,
+     * or null if no origin is supplied
+     */
+
+    function computeClockOrigin(origin, clockMode) {
+
+        if (origin === undefined || origin === null) {
+
+            return null;
+
+        }
+
+        var d = origin instanceof Date ? origin : new Date(origin);
+
+        var secs;
+
+        if (clockMode === "local") {
+
+            secs = d.getHours() * 3600 + d.getMinutes() * 60 + d.getSeconds();
+
+        } else {
+
+            secs = d.getUTCHours() * 3600 + d.getUTCMinutes() * 60 + d.getUTCSeconds();
+
+            if (clockMode === "gps") {
+
+                secs += GPS_UTC_OFFSET;
+
             }
 
         }
 
-        return {effectiveFrameRate: efps, tickRate: tr};
+        return (secs + d.getMilliseconds() / 1000) % SECONDS_PER_DAY;
+    }
+
+    /*
+     * Maps a time of day in the document clock to a media time relative to the
+     * clock origin, assuming that the document does not span more than 12 hours
+     * around the origin. Without origin, the time of day is the media time.
+     */
+
+    function clockTimeToMediaTime(doc, secs) {
+
+        if (doc.clockOrigin === null) return secs;
+
+        var t = timeSub(secs, doc.clockOrigin);
+
+        if (t < -SECONDS_PER_DAY / 2) {
+
+            /* the clock time is past midnight following the origin */
+
+            t = timeAdd(t, SECONDS_PER_DAY);
+
+        } else if (t >= SECONDS_PER_DAY / 2) {
 
+            /* the clock time is before midnight preceding the origin */
+
+            t = timeSub(t, SECONDS_PER_DAY);
+
+        }
+
+        return t;
     }
 
     function extractExtent(node, errorHandler) {
@@ -1643,7 +3915,7 @@
 
         if (s.length !== 2) {
 
-            reportWarning(errorHandler, "Malformed extent (ignoring)");
+            reportWarning(errorHandler, "Malformed extent (ignoring)", "invalid-attribute", node);
 
             return null;
         }
@@ -1654,7 +3926,7 @@
 
         if (!h || !w) {
 
-            reportWarning(errorHandler, "Malformed extent values (ignoring)");
+            reportWarning(errorHandler, "Malformed extent values (ignoring)", "invalid-attribute", node);
 
             return null;
         }
@@ -1663,64 +3935,163 @@
 
     }
 
-    function parseTimeExpression(tickRate, effectiveFrameRate, str) {
+    /*
+     * Converts a SMPTE time code into a frame count, taking into account
+     * frames skipped by drop frame counting
+     */
+
+    function smpteTimeCodeToFrames(h, m, s, f, frameRate, dropMode) {
+
+        var minutes = h * 60 + m;
+
+        var frames = (minutes * 60 + s) * frameRate + f;
+
+        if (dropMode === "dropNTSC") {
+
+            /* frames 0 and 1 (0 to 3 at 60 fps) are dropped at the start of each minute,
+             * except minutes divisible by 10 */
+
+            frames -= (2 * frameRate / 30) * (minutes - Math.floor(minutes / 10));
+
+        } else if (dropMode === "dropPAL") {
+
+            /* frames 0 to 3 are dropped at the start of each even minute,
+             * except minutes 0, 20 and 40 */
+
+            frames -= (4 * frameRate / 30) * (Math.floor(minutes / 2) - Math.floor(minutes / 20));
+
+        }
+
+        return frames;
+    }
+
+    /*
+     * Parses a TTML2 time expression into seconds. Clock times in the clock time
+     * base are converted to media time unless the expression is a duration.
+     * Returns null if the expression is malformed.
+     */
+
+    function parseTimeExpression(doc, str, isDuration) {
+
+        var tickRate = doc.rationalTime ? doc.exactTickRate : doc.tickRate;
+        var effectiveFrameRate = doc.rationalTime ? doc.exactEffectiveFrameRate : doc.effectiveFrameRate;
+        var subFrameRate = doc.rationalTime ? new imscUtils.Rational(doc.subFrameRate, 1) : doc.subFrameRate;
+
+        /* hours ":" minutes ":" seconds ( fraction | ":" frames ( "." sub-frames )? )? */
+
+        var CLOCK_TIME_RE = /^(\d{2,}):(\d\d):(\d\d(?:\.\d+)?)(?::(\d{2,})(?:\.(\d+))?)?$/;
+
+        /* time-count fraction? metric */
+
+        var OFFSET_TIME_RE = /^(\d+(?:\.\d+)?)(h|m|s|ms|f|t)$/;
 
-        var CLOCK_TIME_FRACTION_RE = /^(\d{2,}):(\d\d):(\d\d(?:\.\d+)?)$/;
-        var CLOCK_TIME_FRAMES_RE = /^(\d{2,}):(\d\d):(\d\d)\:(\d{2,})$/;
-        var OFFSET_FRAME_RE = /^(\d+(?:\.\d+)?)f$/;
-        var OFFSET_TICK_RE = /^(\d+(?:\.\d+)?)t$/;
-        var OFFSET_MS_RE = /^(\d+(?:\.\d+)?)ms$/;
-        var OFFSET_S_RE = /^(\d+(?:\.\d+)?)s$/;
-        var OFFSET_H_RE = /^(\d+(?:\.\d+)?)h$/;
-        var OFFSET_M_RE = /^(\d+(?:\.\d+)?)m$/;
         var m;
         var r = null;
-        if ((m = OFFSET_FRAME_RE.exec(str)) !== null) {
 
-            if (effectiveFrameRate !== null) {
+        /* leading and trailing whitespace is tolerated */
 
-                r = parseFloat(m[1]) / effectiveFrameRate;
-            }
+        str = str.trim();
+
+        if ((m = OFFSET_TIME_RE.exec(str)) !== null) {
+
+            var v = parseTimeValue(doc, m[1]);
+
+            if (m[2] === "f") {
+
+                if (effectiveFrameRate !== null) {
+
+                    r = timeDiv(v, effectiveFrameRate);
+                }
+
+            } else if (m[2] === "t") {
+
+                if (tickRate !== null) {
+
+                    r = timeDiv(v, tickRate);
+                }
+
+            } else if (m[2] === "ms") {
 
-        } else if ((m = OFFSET_TICK_RE.exec(str)) !== null) {
+                r = timeDiv(v, 1000);
 
-            if (tickRate !== null) {
+            } else if (m[2] === "s") {
+
+                r = v;
+
+            } else if (m[2] === "h") {
+
+                r = timeMul(v, 3600);
+
+            } else {
+
+                r = timeMul(v, 60);
 
-                r = parseFloat(m[1]) / tickRate;
             }
 
-        } else if ((m = OFFSET_MS_RE.exec(str)) !== null) {
+        } else if ((m = CLOCK_TIME_RE.exec(str)) !== null) {
+
+            if (m[4] === undefined) {
+
+                /* clock-time-with-fraction */
+
+                r = timeAdd(parseInt(m[1]) * 3600 + parseInt(m[2]) * 60, parseTimeValue(doc, m[3]));
+
+                if (doc.timeBase === "clock" && !isDuration) {
+
+                    r = clockTimeToMediaTime(doc, r);
+
+                }
+
+            } else if (m[3].indexOf(".") !== -1 || effectiveFrameRate === null) {
+
+                /* seconds cannot have both a fraction and frames */
+
+            } else {
+
+                var frames;
+
+                if (doc.timeBase === "smpte") {
+
+                    /* HH:MM:SS:FF is a SMPTE time code */
 
-            r = parseFloat(m[1]) / 1000.0;
+                    frames = smpteTimeCodeToFrames(
+                            parseInt(m[1]),
+                            parseInt(m[2]),
+                            parseInt(m[3]),
+                            parseInt(m[4]),
+                            doc.frameRate,
+                            doc.dropMode
+                            );
 
-        } else if ((m = OFFSET_S_RE.exec(str)) !== null) {
+                } else {
+
+                    frames = parseInt(m[4]);
 
-            r = parseFloat(m[1]);
+                }
 
-        } else if ((m = OFFSET_H_RE.exec(str)) !== null) {
+                if (m[5] !== undefined) {
 
-            r = parseFloat(m[1]) * 3600.0;
+                    frames = timeAdd(frames, timeDiv(parseInt(m[5]), subFrameRate));
 
-        } else if ((m = OFFSET_M_RE.exec(str)) !== null) {
+                }
 
-            r = parseFloat(m[1]) * 60.0;
+                if (doc.timeBase === "smpte") {
 
-        } else if ((m = CLOCK_TIME_FRACTION_RE.exec(str)) !== null) {
+                    r = timeDiv(frames, effectiveFrameRate);
 
-            r = parseInt(m[1]) * 3600 +
-                    parseInt(m[2]) * 60 +
-                    parseFloat(m[3]);
+                } else {
 
-        } else if ((m = CLOCK_TIME_FRAMES_RE.exec(str)) !== null) {
+                    r = timeAdd(
+                            parseInt(m[1]) * 3600 + parseInt(m[2]) * 60 + parseInt(m[3]),
+                            timeDiv(frames, effectiveFrameRate)
+                            );
 
-            /* this assumes that HH:MM:SS is a clock-time-with-fraction */
+                    if (doc.timeBase === "clock" && !isDuration) {
 
-            if (effectiveFrameRate !== null) {
+                        r = clockTimeToMediaTime(doc, r);
 
-                r = parseInt(m[1]) * 3600 +
-                        parseInt(m[2]) * 60 +
-                        parseInt(m[3]) +
-                        (m[4] === null ? 0 : parseInt(m[4]) / effectiveFrameRate);
+                    }
+                }
             }
 
         }
@@ -1728,6 +4099,87 @@
         return r;
     }
 
+    /* describes the position of the end of the start tag of an element, for use in messages,
+     * with the 1-based line of the Diagnostic */
+
+    function nodePosition(node) {
+
+        return node && node.position ? " at (" + (node.position.line + 1) + "," + node.position.column + ")" : "";
+
+    }
+
+    /* parses the decimal number of a time expression */
+
+    function parseTimeValue(doc, str) {
+
+        return doc.rationalTime ? imscUtils.Rational.parseDecimal(str) : parseFloat(str);
+
+    }
+
+    /*
+     * Arithmetic on times, which are either numbers or rationals. The result
+     * is exact if one of the operands is a rational and the other is a
+     * rational or an integer, and a number otherwise.
+     */
+
+    function timeOperands(a, b) {
+
+        if (!(a instanceof imscUtils.Rational) && !(b instanceof imscUtils.Rational)) return null;
+
+        var ra = imscUtils.Rational.from(a);
+
+        var rb = imscUtils.Rational.from(b);
+
+        return ra === null || rb === null ? null : [ra, rb];
+    }
+
+    function timeAdd(a, b) {
+
+        var r = timeOperands(a, b);
+
+        return r === null ? Number(a) + Number(b) : r[0].add(r[1]);
+    }
+
+    function timeSub(a, b) {
+
+        var r = timeOperands(a, b);
+
+        return r === null ? Number(a) - Number(b) : r[0].sub(r[1]);
+    }
+
+    function timeMul(a, b) {
+
+        var r = timeOperands(a, b);
+
+        return r === null ? Number(a) * Number(b) : r[0].mul(r[1]);
+    }
+
+    function timeDiv(a, b) {
+
+        var r = timeOperands(a, b);
+
+        return r === null ? Number(a) / Number(b) : r[0].div(r[1]);
+    }
+
+    function timeMin(a, b) {
+
+        return b < a ? b : a;
+    }
+
+    function timeMax(a, b) {
+
+        return b > a ? b : a;
+    }
+
+    function describeTimeError(name, node) {
+
+        var value = node.attributes[name].value;
+
+        /* time expressions cannot be negative */
+
+        return (/^\s*-/.test(value) ? "Negative " : "Malformed ") + name + " value " + value + nodePosition(node);
+    }
+
     function processTiming(doc, parent, node, errorHandler) {
 
         /* determine explicit begin */
@@ -1736,11 +4188,11 @@
 
         if (node && 'begin' in node.attributes) {
 
-            explicit_begin = parseTimeExpression(doc.tickRate, doc.effectiveFrameRate, node.attributes.begin.value);
+            explicit_begin = parseTimeExpression(doc, node.attributes.begin.value);
 
             if (explicit_begin === null) {
 
-                reportWarning(errorHandler, "Malformed begin value " + node.attributes.begin.value + " (using 0)");
+                reportWarning(errorHandler, describeTimeError("begin", node) + " (using 0)", "invalid-time", node);
 
             }
 
@@ -1752,11 +4204,11 @@
 
         if (node && 'dur' in node.attributes) {
 
-            explicit_dur = parseTimeExpression(doc.tickRate, doc.effectiveFrameRate, node.attributes.dur.value);
+            explicit_dur = parseTimeExpression(doc, node.attributes.dur.value, true);
 
             if (explicit_dur === null) {
 
-                reportWarning(errorHandler, "Malformed dur value " + node.attributes.dur.value + " (ignoring)");
+                reportWarning(errorHandler, describeTimeError("dur", node) + " (ignoring)", "invalid-time", node);
 
             }
 
@@ -1768,11 +4220,11 @@
 
         if (node && 'end' in node.attributes) {
 
-            explicit_end = parseTimeExpression(doc.tickRate, doc.effectiveFrameRate, node.attributes.end.value);
+            explicit_end = parseTimeExpression(doc, node.attributes.end.value);
 
             if (explicit_end === null) {
 
-                reportWarning(errorHandler, "Malformed end value (ignoring)");
+                reportWarning(errorHandler, describeTimeError("end", node) + " (ignoring)", "invalid-time", node);
 
             }
 
@@ -1793,7 +4245,7 @@
             var sref = style.styleRefs.pop();
 
             if (!(sref in styling.styles)) {
-                reportError(errorHandler, "Non-existant style id referenced");
+                reportError(errorHandler, "Non-existant style id referenced", "unknown-reference");
                 continue;
             }
 
@@ -1812,7 +4264,7 @@
             var sref = stylerefs[i];
 
             if (!(sref in styling.styles)) {
-                reportError(errorHandler, "Non-existant style id referenced");
+                reportError(errorHandler, "Non-existant style id referenced", "unknown-reference");
                 continue;
             }
 
@@ -1843,33 +4295,44 @@
      * 
      */
 
-    function reportInfo(errorHandler, msg) {
+    function reportInfo(errorHandler, msg, code, node) {
+
+        imscUtils.report(errorHandler, "info", code, msg, nodeLocation(node));
+
+    }
+
+    function reportWarning(errorHandler, msg, code, node) {
 
-        if (errorHandler && errorHandler.info && errorHandler.info(msg))
-            throw msg;
+        imscUtils.report(errorHandler, "warning", code, msg, nodeLocation(node));
 
     }
 
-    function reportWarning(errorHandler, msg) {
+    function reportError(errorHandler, msg, code, node) {
 
-        if (errorHandler && errorHandler.warn && errorHandler.warn(msg))
-            throw msg;
+        imscUtils.report(errorHandler, "error", code, msg, nodeLocation(node));
 
     }
 
-    function reportError(errorHandler, msg) {
+    function reportFatal(errorHandler, msg, code, node) {
 
-        if (errorHandler && errorHandler.error && errorHandler.error(msg))
-            throw msg;
+        imscUtils.report(errorHandler, "fatal", code, msg, nodeLocation(node));
 
     }
 
-    function reportFatal(errorHandler, msg) {
+    /* locates the element, as provided by the sax parser, to which an event relates */
+
+    function nodeLocation(node) {
 
-        if (errorHandler && errorHandler.fatal)
-            errorHandler.fatal(msg);
+        if (!node) return null;
 
-        throw msg;
+        var id = node.attributes && node.attributes["xml:id"];
+
+        return {
+            path: node.path,
+            id: id ? id.value : null,
+            line: node.position ? node.position.line + 1 : null,
+            column: node.position ? node.position.column : null
+        };
 
     }
 
@@ -1919,4 +4382,5 @@
         typeof sax === 'undefined' ? require("sax") : sax,
         typeof imscNames === 'undefined' ? require("./names") : imscNames,
         typeof imscStyles === 'undefined' ? require("./styles") : imscStyles,
-        typeof imscUtils === 'undefined' ? require("./utils") : imscUtils);
+        typeof imscUtils === 'undefined' ? require("./utils") : imscUtils,
+        typeof imscCondition === 'undefined' ? require("./condition") : imscCondition);
@@ -0,0 +1,316 @@
+/* 
+ * Copyright (c) 2016, Pierre-Anthony Lemieux <pal@sandflow.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice, this
+ *   list of conditions and the following disclaimer.
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/**
+ * @module imscHRM
+ */
+
+;
+(function (imscHRM, imscISD, imscStyles, imscUtils) { // wrapper for non-node envs
+
+    /**
+     * Options that control the Hypothetical Render Model
+     * @typedef {Object} HRMOptions
+     * @property {?number} aspectRatio Aspect ratio (width / height) of the root
+     *                                 container, which defaults to the aspect ratio
+     *                                 of the document or 16/9
+     * @property {?number} initialPaintingDelay Time (in seconds) available to render
+     *                                 the first ISD, which defaults to 1
+     */
+
+    /**
+     * Complexity of an ISD
+     * @typedef {Object} HRMResult
+     * @property {number} begin Presentation time of the ISD (in seconds)
+     * @property {number} duration Time (in seconds) needed to render the ISD
+     * @property {number} available Time (in seconds) available to render the ISD,
+     *                              i.e. since the presentation of the previous ISD
+     * @property {number} paint Normalized area of the backgrounds drawn, including
+     *                          the clearing of the root container
+     * @property {number} glyphs Number of glyphs rendered or copied
+     * @property {boolean} exceeded True if the ISD cannot be rendered in time
+     */
+
+    /**
+     * Report of the Hypothetical Render Model
+     * @typedef {Object} HRMReport
+     * @property {Array.<HRMResult>} isds Complexity of each ISD
+     * @property {boolean} conforms True if no ISD exceeds the decoder budget
+     */
+
+    /**
+     * Applies the Hypothetical Render Model (HRM) of IMSC 1.1 to a document returned
+     * by <pre>imscDoc.fromXML()</pre>. An ISD is generated at each time offset
+     * returned by <pre>getMediaTimeEvents()</pre>, and the time needed to clear
+     * the root container, draw the region and content backgrounds and render
+     * or copy the glyphs and images of the ISD is compared to the time elapsed
+     * since the presentation of the previous ISD. The time available to render
+     * the first ISD is the Initial Painting Delay (IPD).
+     * 
+     * @param {Object} tt IMSC1 document
+     * @param {?module:imscUtils.ErrorHandler} errorHandler Error callback
+     * @param {?HRMOptions} options HRM options
+     * @returns {HRMReport} Complexity of each ISD
+     */
+
+    imscHRM.checkHRM = function (tt, errorHandler, options) {
+
+        var ar = options && options.aspectRatio ? options.aspectRatio : (tt.aspectRatio || 16 / 9);
+
+        var ipd = options && typeof options.initialPaintingDelay === "number" ? options.initialPaintingDelay : IPD;
+
+        var report = {isds: [], conforms: true};
+
+        var events = tt.getMediaTimeEvents();
+
+        /* glyphs rendered in the previous ISD */
+
+        var buffer = {};
+
+        for (var i = 0; i < events.length; i++) {
+
+            var isd = imscISD.generateISD(tt, events[i], errorHandler);
+
+            var r = {
+                begin: events[i],
+                duration: 0,
+                available: i === 0 ? ipd : events[i] - events[i - 1],
+                paint: CLEAR,
+                glyphs: 0,
+                exceeded: false
+            };
+
+            var glyphs = {};
+
+            var glyphTime = 0;
+
+            var imageTime = 0;
+
+            for (var j = 0; j < isd.contents.length; j++) {
+
+                var region = isd.contents[j];
+
+                var nsize = regionSize(region);
+
+                var c = countRegion(region, ar);
+
+                r.paint += nsize * c.backgrounds;
+
+                imageTime += nsize * c.images / ICPY;
+
+                for (var k = 0; k < c.glyphs.length; k++) {
+
+                    var g = c.glyphs[k];
+
+                    if (g.key in glyphs || g.key in buffer) {
+
+                        glyphTime += g.nrga / GCPY;
+
+                    } else {
+
+                        glyphTime += g.nrga / (isCJK(g.code) ? REN_CJK : REN);
+
+                    }
+
+                    glyphs[g.key] = g.nrga;
+
+                    r.glyphs++;
+
+                }
+
+            }
+
+            r.duration = r.paint / BDRAW + glyphTime + imageTime;
+
+            r.exceeded = r.duration > r.available;
+
+            if (r.exceeded) {
+
+                imscUtils.reportWarning(errorHandler, "ISD at " + r.begin + "s requires " + r.duration.toFixed(3) + "s to render (" + r.available.toFixed(3) + "s available)", "hrm-exceeded");
+
+                report.conforms = false;
+
+            }
+
+            report.isds.push(r);
+
+            buffer = retainGlyphs(glyphs);
+
+        }
+
+        return report;
+    };
+
+    /* initial painting delay, i.e. the time available to render the first ISD */
+
+    var IPD = 1;
+
+    /* normalized background drawing performance */
+
+    var BDRAW = 12;
+
+    /* normalized glyph copy performance */
+
+    var GCPY = 12;
+
+    /* normalized image copy performance */
+
+    var ICPY = 6;
+
+    /* text rendering performance, for CJK and other glyphs */
+
+    var REN = 1.2;
+
+    var REN_CJK = 0.6;
+
+    /* normalized glyph buffer size */
+
+    var NGBS = 1;
+
+    /* area of the root container, which is cleared at every ISD */
+
+    var CLEAR = 1;
+
+    /* retains the glyphs of an ISD in the glyph buffer, up to its size */
+
+    function retainGlyphs(glyphs) {
+
+        var buffer = {};
+
+        var size = 0;
+
+        for (var key in glyphs) {
+
+            if (glyphs.hasOwnProperty(key) && size + glyphs[key] <= NGBS) {
+
+                buffer[key] = true;
+
+                size += glyphs[key];
+
+            }
+
+        }
+
+        return buffer;
+    }
+
+    /* area of a region, normalized to the area of the root container */
+
+    function regionSize(region) {
+
+        var extent = region.styleAttrs[imscStyles.byName.extent.qname];
+
+        return extent.w.toUsedLength(1, 1) * extent.h.toUsedLength(1, 1);
+    }
+
+    /*
+     * Counts the backgrounds, images and glyphs presented in a region
+     */
+
+    function countRegion(region, ar) {
+
+        var c = {backgrounds: 0, images: 0, glyphs: []};
+
+        (function walk(e) {
+
+            var bg = e.styleAttrs[imscStyles.byName.backgroundColor.qname];
+
+            if (bg && bg[3] > 0) {
+                c.backgrounds++;
+            }
+
+            if (e.kind === 'image' || imscStyles.byName.backgroundImage.qname in e.styleAttrs) {
+                c.images++;
+            }
+
+            if ('text' in e) {
+
+                var fs = e.styleAttrs[imscStyles.byName.fontSize.qname];
+
+                /* glyphs are squares whose side is the font size */
+
+                var side = fs.rh + fs.rw * ar;
+
+                var nrga = side * side / ar;
+
+                var style = glyphStyle(e);
+
+                for (var i = 0; i < e.text.length; i++) {
+
+                    var code = e.text.charCodeAt(i);
+
+                    /* white space does not require rendering */
+
+                    if (/\s/.test(e.text[i])) continue;
+
+                    c.glyphs.push({key: e.text[i] + style, code: code, nrga: nrga});
+
+                }
+
+            }
+
+            if (e.contents) {
+                e.contents.forEach(walk);
+            }
+
+        })(region);
+
+        return c;
+    }
+
+    /* properties that make two glyphs of the same character different */
+
+    var GLYPH_STYLES = [
+        imscStyles.byName.color.qname,
+        imscStyles.byName.fontFamily.qname,
+        imscStyles.byName.fontSize.qname,
+        imscStyles.byName.fontStyle.qname,
+        imscStyles.byName.fontWeight.qname,
+        imscStyles.byName.textDecoration.qname,
+        imscStyles.byName.textOutline.qname
+    ];
+
+    function glyphStyle(e) {
+
+        return JSON.stringify(GLYPH_STYLES.map(function (qname) {
+            return e.styleAttrs[qname];
+        }));
+
+    }
+
+    function isCJK(code) {
+
+        return (code >= 0x2E80 && code <= 0x9FFF) ||
+            (code >= 0xAC00 && code <= 0xD7AF) ||
+            (code >= 0xF900 && code <= 0xFAFF) ||
+            (code >= 0xFF00 && code <= 0xFFEF);
+
+    }
+
+})(typeof exports === 'undefined' ? this.imscHRM = {} : exports,
+    typeof imscISD === 'undefined' ? require("./isd") : imscISD,
+    typeof imscStyles === 'undefined' ? require("./styles") : imscStyles,
+    typeof imscUtils === 'undefined' ? require("./utils") : imscUtils);
@@ -51,7 +51,9 @@ var backgroundColorAdjustSuffix = "BackgroundColorAdjust";
      * attribute and an <code>img</code> DOM element as input, and is expected to
      * set the <code>src</code> attribute of the <code>img</code> to the absolute URI of the image.
      * <pre>displayForcedOnlyMode</pre> sets the (boolean)
-     * value of the IMSC1 displayForcedOnlyMode parameter. The function returns
+     * value of the IMSC1 displayForcedOnlyMode parameter, which is also enabled if
+     * the ISD was generated with the <pre>forced</pre> condition parameter set to
+     * true. The function returns
      * an opaque object that should passed in <code>previousISDState</code> when this function
      * is called for the next ISD, otherwise <code>previousISDState</code> should be set to 
      * <code>null</code>.
@@ -135,7 +137,7 @@ var backgroundColorAdjustSuffix = "BackgroundColorAdjust";
             regionH: null,
             regionW: null,
             imgResolver: imgResolver,
-            displayForcedOnlyMode: displayForcedOnlyMode || false,
+            displayForcedOnlyMode: displayForcedOnlyMode || isd.displayForcedOnlyMode || false,
             isd: isd,
             errorHandler: errorHandler,
             previousISDState: previousISDState,
@@ -277,7 +279,7 @@ var backgroundColorAdjustSuffix = "BackgroundColorAdjust";
 
         if (!e) {
 
-            reportError(context.errorHandler, "Error processing ISD element kind: " + isd_element.kind);
+            reportError(context.errorHandler, "Error processing ISD element kind: " + isd_element.kind, "unsupported-element");
 
             return;
 
@@ -1926,11 +1928,8 @@ var backgroundColorAdjustSuffix = "BackgroundColorAdjust";
 
     /* error utilities */
 
-    function reportError(errorHandler, msg) {
-
-        if (errorHandler && errorHandler.error && errorHandler.error(msg))
-            throw msg;
-
+    function reportError(errorHandler, msg, code, location) {
+        imscUtils.report(errorHandler, "error", code, msg, location);
     }
 
 })(typeof exports === 'undefined' ? this.imscHTML = {} : exports,
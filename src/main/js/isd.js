@@ -38,12 +38,17 @@
      * by <pre>getMediaTimeEvents()</pre>.
      * 
      * @param {Object} tt IMSC1 document
-     * @param {number} offset Absolute offset (in seconds)
+     * @param {(number|module:imscUtils.Rational)} offset Absolute offset (in seconds)
      * @param {?module:imscUtils.ErrorHandler} errorHandler Error callback
+     * @param {?module:imscCondition.ConditionOptions} options Parameters and media
+     *                  features against which the <pre>condition</pre> attributes of
+     *                  the document are evaluated. Elements whose condition is false
+     *                  are excluded from the ISD. If the <pre>forced</pre> parameter is
+     *                  true, the ISD is also rendered in displayForcedOnlyMode.
      * @returns {Object} Opaque in-memory representation of an ISD
      */
 
-    imscISD.generateISD = function (tt, offset, errorHandler) {
+    imscISD.generateISD = function (tt, offset, errorHandler, options) {
 
         /* TODO check for tt and offset validity */
 
@@ -51,10 +56,20 @@
 
         var isd = new ISD(tt);
 
+        /* the forced parameter selects forced content, see itts:forcedDisplay */
+
+        if (options && options.parameters && options.parameters.forced === true) {
+
+            isd.displayForcedOnlyMode = true;
+
+        }
+
         /* context */
 
         var context = {
 
+            conditionOptions: options || null,
+
             /*rubyfs: []*/ /* font size of the nearest textContainer or container */
 
         };
@@ -65,7 +80,7 @@
 
         function filter(offset, element) {
             function offsetFilter(element) {
-                return !(offset < element.begin || offset >= element.end);    
+                return isActive(offset, element) && isSelected(element, options);
             }    
         
             if (element.contents) {
@@ -95,6 +110,12 @@
 
         body = filter(offset, tt.body);
 
+        /* the body element can also be associated with a region */
+
+        if (tt.body && tt.body.regionID) {
+            activeRegions.add(tt.body.regionID);
+        }
+
         /* rewritten TTML will always have a default - this covers it. because the region is defaulted to "" */
         if (activeRegions.size === 0 && tt.head.layout.regions.hasOwnProperty("")) {
             activeRegions.add("");
@@ -133,7 +154,13 @@
 
         /* prune if temporally inactive */
 
-        if (offset < elem.begin || offset >= elem.end) {
+        if (!isActive(offset, elem)) {
+            return null;
+        }
+
+        /* prune if excluded by its condition */
+
+        if (!isSelected(elem, context.conditionOptions)) {
             return null;
         }
 
@@ -167,11 +194,22 @@
 
         var isd_element = new ISDContentElement(elem);
 
-        /* apply set (animation) styling */
+        /* apply set and animate (animation) styling */
 
         for (var i in elem.sets) {
             if (elem.sets.hasOwnProperty(i)) {
-                if (offset < elem.sets[i].begin || offset >= elem.sets[i].end)
+
+                if (!isSelected(elem.sets[i], context.conditionOptions))
+                    continue;
+
+                if (elem.sets[i].animations) {
+
+                    applyAnimation(offset, elem.sets[i], isd_element.styleAttrs);
+
+                    continue;
+                }
+
+                if (!isActive(offset, elem.sets[i]))
                     continue;
 
                 isd_element.styleAttrs[elem.sets[i].qname] = elem.sets[i].value;
@@ -362,7 +400,7 @@
 
                     } else {
 
-                        reportError(errorHandler, "Invalid initial value for '" + ivs.qname + "' on element '" + isd_element.kind);
+                        reportError(errorHandler, "Invalid initial value for '" + ivs.qname + "' on element '" + isd_element.kind, "invalid-style", {id: isd_element.id});
 
                     }
                 }
@@ -406,7 +444,7 @@
                           context
                         );
 
-                        reportError(errorHandler, "Style '" + cs.qname + "' on element '" + isd_element.kind + "' cannot be computed");
+                        reportError(errorHandler, "Style '" + cs.qname + "' on element '" + isd_element.kind + "' cannot be computed", "invalid-style", {id: isd_element.id});
                     }
                 }
             }
@@ -678,6 +716,260 @@
         }
     }
 
+    /*
+     * Applies the values of the styles interpolated by an <animate> element
+     * at the offset
+     */
+
+    function applyAnimation(offset, animate, styleAttrs) {
+
+        var p = animationProgress(offset, animate);
+
+        if (p === null) return;
+
+        for (var i = 0; i < animate.animations.length; i++) {
+
+            styleAttrs[animate.animations[i].qname] = animatedValue(animate, animate.animations[i].values, p);
+
+        }
+
+    }
+
+    /* returns the progress, between 0 and 1, within the current iteration of
+     * the animation, or null if the animation does not apply */
+
+    function animationProgress(offset, animate) {
+
+        if (compareTimes(offset, animate.begin) < 0)
+            return null;
+
+        var frozen = compareTimes(offset, animate.end) >= 0;
+
+        if (frozen && (animate.fill !== "freeze" || !isFinite(animate.end)))
+            return null;
+
+        var simple = Number(animate.simpleDuration);
+
+        var elapsed = Number(frozen ? animate.end : offset) - Number(animate.animationBegin);
+
+        if (simple <= 0)
+            return 1;
+
+        if (!isFinite(simple))
+            return 0;
+
+        var p = (elapsed % simple) / simple;
+
+        /* the value at the end of the last iteration is frozen */
+
+        return frozen && p === 0 && elapsed > 0 ? 1 : p;
+    }
+
+    /* computes the value of an animated style at the progress p */
+
+    function animatedValue(animate, values, p) {
+
+        var n = values.length;
+
+        if (n === 1) return values[0];
+
+        var keyTimes = animate.keyTimes;
+
+        if (keyTimes === null) {
+
+            keyTimes = animate.calcMode === "paced" ? pacedKeyTimes(values) : null;
+
+            if (keyTimes === null) {
+
+                keyTimes = [];
+
+                for (var k = 0; k < n; k++) {
+                    keyTimes.push(animate.calcMode === "discrete" ? k / n : k / (n - 1));
+                }
+
+            }
+
+        }
+
+        /* find the interval that contains p */
+
+        var i = 0;
+
+        while (i < n - 1 && keyTimes[i + 1] <= p) i++;
+
+        if (animate.calcMode === "discrete" || i === n - 1)
+            return values[i];
+
+        var t = (p - keyTimes[i]) / (keyTimes[i + 1] - keyTimes[i]);
+
+        if (animate.calcMode === "spline") {
+
+            t = bezier(animate.keySplines[i], t);
+
+        }
+
+        var v = interpolate(values[i], values[i + 1], t);
+
+        /* values that cannot be interpolated are discrete */
+
+        return v === null ? values[i] : v;
+    }
+
+    /* interpolates specified style values, or returns null if they cannot be */
+
+    function interpolate(a, b, t) {
+
+        if (typeof a === "number" && typeof b === "number") {
+
+            return a + (b - a) * t;
+
+        } else if (Array.isArray(a) && Array.isArray(b)) {
+
+            if (a.length !== b.length) return null;
+
+            var r = [];
+
+            for (var i = 0; i < a.length; i++) {
+
+                r[i] = interpolate(a[i], b[i], t);
+
+                if (r[i] === null) return null;
+            }
+
+            return r;
+
+        } else if (a !== null && b !== null && typeof a === "object" && typeof b === "object") {
+
+            var o = {};
+
+            for (var k in a) {
+                if (a.hasOwnProperty(k)) {
+
+                    if (!b.hasOwnProperty(k)) return null;
+
+                    o[k] = interpolate(a[k], b[k], t);
+
+                    if (o[k] === null) return null;
+                }
+            }
+
+            return o;
+
+        }
+
+        return a === b ? a : null;
+    }
+
+    /* distance between specified style values, used by paced animations */
+
+    function distance(a, b) {
+
+        if (typeof a === "number" && typeof b === "number")
+            return Math.abs(b - a);
+
+        if (a !== null && b !== null && typeof a === "object" && typeof b === "object") {
+
+            var d = 0;
+
+            for (var k in a) {
+                if (a.hasOwnProperty(k)) {
+
+                    var dk = b.hasOwnProperty(k) ? distance(a[k], b[k]) : null;
+
+                    if (dk === null) return null;
+
+                    d += dk * dk;
+                }
+            }
+
+            return Math.sqrt(d);
+        }
+
+        return a === b ? 0 : null;
+    }
+
+    /* key times that result in an even pace across values */
+
+    function pacedKeyTimes(values) {
+
+        var cumulative = [0];
+
+        for (var i = 1; i < values.length; i++) {
+
+            var d = distance(values[i - 1], values[i]);
+
+            if (d === null) return null;
+
+            cumulative.push(cumulative[i - 1] + d);
+        }
+
+        var total = cumulative[cumulative.length - 1];
+
+        if (total === 0) return null;
+
+        return cumulative.map(function (c) {
+            return c / total;
+        });
+    }
+
+    /* evaluates the cubic Bezier timing function [x1, y1, x2, y2] at t */
+
+    function bezier(spline, t) {
+
+        function coord(p1, p2, s) {
+            return 3 * (1 - s) * (1 - s) * s * p1 + 3 * (1 - s) * s * s * p2 + s * s * s;
+        }
+
+        /* x is non-decreasing over [0, 1] since the control points are in [0, 1] */
+
+        var lo = 0;
+        var hi = 1;
+
+        for (var i = 0; i < 32; i++) {
+
+            var mid = (lo + hi) / 2;
+
+            if (coord(spline[0], spline[2], mid) < t) {
+                lo = mid;
+            } else {
+                hi = mid;
+            }
+        }
+
+        return coord(spline[1], spline[3], (lo + hi) / 2);
+    }
+
+    /* returns whether an element or a set is active at an offset, comparing rational times exactly */
+
+    function isActive(offset, element) {
+
+        return !(compareTimes(offset, element.begin) < 0 || compareTimes(offset, element.end) >= 0);
+
+    }
+
+    /* returns whether the condition of the element, if any, is true */
+
+    function isSelected(element, options) {
+
+        return !element.condition || element.condition.evaluate(options);
+
+    }
+
+    function compareTimes(a, b) {
+
+        var ra = imscUtils.Rational.from(a);
+
+        var rb = imscUtils.Rational.from(b);
+
+        if ((a instanceof imscUtils.Rational || b instanceof imscUtils.Rational) && ra !== null && rb !== null) {
+
+            return ra.compare(rb);
+
+        }
+
+        return Number(a) - Number(b);
+    }
+
     function ISD(tt) {
         this.contents = [];
         this.aspectRatio = tt.aspectRatio;
@@ -695,6 +987,22 @@
             this.id = ttelem.id;
         }
 
+        /* copy source range, e.g. for click-to-source */
+
+        if (ttelem.sourceRange) {
+            this.sourceRange = ttelem.sourceRange;
+        }
+
+        /* copy the agents and roles of the element, e.g. to identify speakers */
+
+        if (ttelem.agents) {
+            this.agents = ttelem.agents;
+        }
+
+        if (ttelem.roles) {
+            this.roles = ttelem.roles;
+        }
+
         /* deep copy of style attributes */
         this.styleAttrs = {};
 
@@ -743,33 +1051,27 @@
      * 
      */
 
-    function reportInfo(errorHandler, msg) {
+    function reportInfo(errorHandler, msg, code, location) {
 
-        if (errorHandler && errorHandler.info && errorHandler.info(msg))
-            throw msg;
+        imscUtils.report(errorHandler, "info", code, msg, location);
 
     }
 
-    function reportWarning(errorHandler, msg) {
+    function reportWarning(errorHandler, msg, code, location) {
 
-        if (errorHandler && errorHandler.warn && errorHandler.warn(msg))
-            throw msg;
+        imscUtils.report(errorHandler, "warning", code, msg, location);
 
     }
 
-    function reportError(errorHandler, msg) {
+    function reportError(errorHandler, msg, code, location) {
 
-        if (errorHandler && errorHandler.error && errorHandler.error(msg))
-            throw msg;
+        imscUtils.report(errorHandler, "error", code, msg, location);
 
     }
 
-    function reportFatal(errorHandler, msg) {
-
-        if (errorHandler && errorHandler.fatal)
-            errorHandler.fatal(msg);
+    function reportFatal(errorHandler, msg, code, location) {
 
-        throw msg;
+        imscUtils.report(errorHandler, "fatal", code, msg, location);
 
     }
 
@@ -26,4 +26,19 @@
 
 exports.generateISD = require('./isd').generateISD;
 exports.fromXML = require('./doc').fromXML;
-exports.renderHTML = require('./html').render;
\ No newline at end of file
+exports.createParser = require('./doc').createParser;
+exports.merge = require('./doc').merge;
+exports.split = require('./doc').split;
+exports.renderHTML = require('./html').render;
+exports.toXML = require('./ttml').toXML;
+exports.toVTT = require('./vtt').toVTT;
+exports.fromVTT = require('./vtt').fromVTT;
+exports.fromSRT = require('./srt').fromSRT;
+exports.toSRT = require('./srt').toSRT;
+exports.fromSCC = require('./scc').fromSCC;
+exports.fromSTL = require('./stl').fromSTL;
+exports.fromMP4 = require('./mp4').fromMP4;
+exports.validate = require('./validator').validate;
+exports.checkHRM = require('./hrm').checkHRM;
+exports.Rational = require('./utils').Rational;
+exports.Diagnostic = require('./utils').Diagnostic;
\ No newline at end of file
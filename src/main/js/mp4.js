@@ -0,0 +1,604 @@
+/* 
+ * Copyright (c) 2016, Pierre-Anthony Lemieux <pal@sandflow.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice, this
+ *   list of conditions and the following disclaimer.
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/**
+ * @module imscMP4
+ */
+
+;
+(function (imscMP4, imscDoc, imscUtils) { // wrapper for non-node envs
+
+    /**
+     * Options that control the extraction of documents from ISOBMFF samples
+     * @typedef {Object} MP4Options
+     * @property {?number} timescale Timescale of the track, which is required
+     *                               if the buffer does not contain the
+     *                               <pre>moov</pre> box of the track
+     * @property {?boolean} sampleRelativeTimes If false, the times of each
+     *                                          document are not offset by the
+     *                                          start time of its sample, i.e. they
+     *                                          are already expressed on the track
+     *                                          timeline. Defaults to true.
+     */
+
+    /**
+     * A document carried in an ISOBMFF sample
+     * @typedef {Object} MP4Sample
+     * @property {number} begin Start time of the sample (in seconds)
+     * @property {number} end End time of the sample (in seconds)
+     * @property {Object} tt Document returned by <pre>imscDoc.fromXML()</pre>
+     * @property {Object.<string, MP4Image>} images Images carried as sub-samples,
+     *                                            indexed by their
+     *                                            <pre>urn:mpeg:14496-30:subs</pre> URI
+     * @property {module:imscHTML.IMGResolver} imgResolver Resolves the URIs of
+     *                                                     the images of the sample
+     *                                                     into data URLs
+     */
+
+    /**
+     * An image carried as a sub-sample
+     * @typedef {Object} MP4Image
+     * @property {string} type MIME type of the image
+     * @property {Uint8Array} data Image data
+     */
+
+    /**
+     * Extracts the documents carried in the samples of the <pre>stpp</pre>
+     * track of a fragmented ISOBMFF buffer, as specified in ISO/IEC 14496-30.
+     * The buffer contains one or more <pre>moof</pre>/<pre>mdat</pre> box pairs,
+     * optionally preceded by the <pre>moov</pre> box of the initialization segment.
+     * 
+     * The times of each document are offset by the start time of its sample,
+     * and images carried as sub-samples, as signaled by the <pre>subs</pre> box,
+     * are exposed alongside the document.
+     * 
+     * @param {ArrayBuffer} buffer ISOBMFF buffer
+     * @param {?module:imscUtils.ErrorHandler} errorHandler Error callback
+     * @param {?module:imscDoc.MetadataHandler} metadataHandler Callback for <Metadata> elements
+     * @param {?MP4Options} options Extraction options
+     * @returns {Array.<MP4Sample>} Samples, in decoding order
+     */
+
+    imscMP4.fromMP4 = function (buffer, errorHandler, metadataHandler, options) {
+
+        options = options || {};
+
+        var bytes = new Uint8Array(buffer);
+
+        var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        var tracks = {};
+
+        var samples = [];
+
+        var boxes = readBoxes(view, 0, view.byteLength, errorHandler);
+
+        for (var i = 0; i < boxes.length; i++) {
+
+            if (boxes[i].type === "moov") {
+
+                readMoov(view, boxes[i], tracks, errorHandler);
+
+            } else if (boxes[i].type === "moof") {
+
+                readMoof(view, boxes[i], tracks, options, samples, errorHandler);
+
+            }
+
+        }
+
+        return samples.map(function (s) {
+
+            return sampleToDocument(bytes, s, errorHandler, metadataHandler, options);
+
+        });
+
+    };
+
+    var SUBS_URN_PREFIX = "urn:mpeg:14496-30:subs:";
+
+    /*
+     * BOX PARSING
+     * 
+     */
+
+    function readBoxes(view, start, end, errorHandler) {
+
+        var boxes = [];
+
+        var offset = start;
+
+        while (offset + 8 <= end) {
+
+            var size = view.getUint32(offset);
+
+            var type = readType(view, offset + 4);
+
+            var header = 8;
+
+            if (size === 1) {
+
+                size = readUint64(view, offset + 8);
+
+                header = 16;
+
+            } else if (size === 0) {
+
+                size = end - offset;
+
+            }
+
+            if (size < header || offset + size > end) {
+
+                imscUtils.reportWarning(errorHandler, "Truncated " + type + " box", "truncated-data");
+
+                break;
+
+            }
+
+            boxes.push({type: type, start: offset, dataStart: offset + header, end: offset + size});
+
+            offset += size;
+
+        }
+
+        return boxes;
+    }
+
+    function findBoxes(view, box, type, errorHandler) {
+
+        return readBoxes(view, box.dataStart, box.end, errorHandler).filter(function (b) {
+            return b.type === type;
+        });
+
+    }
+
+    function findBox(view, box, path, errorHandler) {
+
+        var types = path.split("/");
+
+        for (var i = 0; i < types.length && box !== null; i++) {
+
+            var children = findBoxes(view, box, types[i], errorHandler);
+
+            box = children.length > 0 ? children[0] : null;
+
+        }
+
+        return box;
+    }
+
+    function readType(view, offset) {
+
+        return String.fromCharCode(
+            view.getUint8(offset),
+            view.getUint8(offset + 1),
+            view.getUint8(offset + 2),
+            view.getUint8(offset + 3)
+            );
+
+    }
+
+    function readUint64(view, offset) {
+
+        return view.getUint32(offset) * 0x100000000 + view.getUint32(offset + 4);
+
+    }
+
+    function readMoov(view, moov, tracks, errorHandler) {
+
+        var traks = findBoxes(view, moov, "trak", errorHandler);
+
+        for (var i = 0; i < traks.length; i++) {
+
+            var tkhd = findBox(view, traks[i], "tkhd", errorHandler);
+
+            var mdhd = findBox(view, traks[i], "mdia/mdhd", errorHandler);
+
+            var stsd = findBox(view, traks[i], "mdia/minf/stbl/stsd", errorHandler);
+
+            if (tkhd === null || mdhd === null || stsd === null) continue;
+
+            var track_id = view.getUint32(tkhd.dataStart + (view.getUint8(tkhd.dataStart) === 1 ? 20 : 12));
+
+            /* the sample entries follow the full box header and entry count */
+
+            var entries = readBoxes(view, stsd.dataStart + 8, stsd.end, errorHandler);
+
+            tracks[track_id] = {
+                timescale: view.getUint32(mdhd.dataStart + (view.getUint8(mdhd.dataStart) === 1 ? 20 : 12)),
+                isSTPP: entries.length > 0 && entries[0].type === "stpp",
+                defaults: {duration: 0, size: 0}
+            };
+
+        }
+
+        var mvex = findBox(view, moov, "mvex", errorHandler);
+
+        var trexs = mvex === null ? [] : findBoxes(view, mvex, "trex", errorHandler);
+
+        for (var j = 0; j < trexs.length; j++) {
+
+            var track = tracks[view.getUint32(trexs[j].dataStart + 4)];
+
+            if (track) {
+
+                track.defaults = {
+                    duration: view.getUint32(trexs[j].dataStart + 12),
+                    size: view.getUint32(trexs[j].dataStart + 16)
+                };
+
+            }
+
+        }
+
+    }
+
+    function readMoof(view, moof, tracks, options, samples, errorHandler) {
+
+        var trafs = findBoxes(view, moof, "traf", errorHandler);
+
+        for (var i = 0; i < trafs.length; i++) {
+
+            var tfhd = findBox(view, trafs[i], "tfhd", errorHandler);
+
+            if (tfhd === null) {
+
+                imscUtils.reportWarning(errorHandler, "Ignoring traf box without tfhd box", "missing-element");
+
+                continue;
+
+            }
+
+            /* track fragment header */
+
+            var flags = view.getUint32(tfhd.dataStart) & 0xFFFFFF;
+
+            var offset = tfhd.dataStart + 4;
+
+            var track_id = view.getUint32(offset);
+
+            offset += 4;
+
+            var track = tracks[track_id];
+
+            if (track && !track.isSTPP) continue;
+
+            var timescale = track ? track.timescale : options.timescale;
+
+            if (!timescale) {
+
+                imscUtils.reportFatal(errorHandler, "Unknown timescale for track " + track_id, "missing-element");
+
+            }
+
+            var defaults = track ? track.defaults : {duration: 0, size: 0};
+
+            var base_offset = moof.start;
+
+            if (flags & 0x01) {
+                base_offset = readUint64(view, offset);
+                offset += 8;
+            }
+
+            if (flags & 0x02) {
+                offset += 4;
+            }
+
+            var default_duration = defaults.duration;
+
+            if (flags & 0x08) {
+                default_duration = view.getUint32(offset);
+                offset += 4;
+            }
+
+            var default_size = defaults.size;
+
+            if (flags & 0x10) {
+                default_size = view.getUint32(offset);
+            }
+
+            /* decode time of the first sample */
+
+            var tfdt = findBox(view, trafs[i], "tfdt", errorHandler);
+
+            var decode_time = 0;
+
+            if (tfdt !== null) {
+
+                decode_time = view.getUint8(tfdt.dataStart) === 1 ?
+                    readUint64(view, tfdt.dataStart + 4) :
+                    view.getUint32(tfdt.dataStart + 4);
+
+            }
+
+            var subsamples = readSubs(view, findBox(view, trafs[i], "subs", errorHandler));
+
+            /* samples of the track fragment */
+
+            var truns = findBoxes(view, trafs[i], "trun", errorHandler);
+
+            var sample_number = 0;
+
+            var data_offset = base_offset;
+
+            for (var j = 0; j < truns.length; j++) {
+
+                var trun = truns[j].dataStart;
+
+                var version = view.getUint8(trun);
+
+                var trun_flags = view.getUint32(trun) & 0xFFFFFF;
+
+                var count = view.getUint32(trun + 4);
+
+                var p = trun + 8;
+
+                if (trun_flags & 0x01) {
+                    data_offset = base_offset + view.getInt32(p);
+                    p += 4;
+                }
+
+                if (trun_flags & 0x04) {
+                    p += 4;
+                }
+
+                for (var k = 0; k < count; k++) {
+
+                    var duration = default_duration;
+
+                    var size = default_size;
+
+                    var cto = 0;
+
+                    if (trun_flags & 0x100) {
+                        duration = view.getUint32(p);
+                        p += 4;
+                    }
+
+                    if (trun_flags & 0x200) {
+                        size = view.getUint32(p);
+                        p += 4;
+                    }
+
+                    if (trun_flags & 0x400) {
+                        p += 4;
+                    }
+
+                    if (trun_flags & 0x800) {
+                        cto = version === 0 ? view.getUint32(p) : view.getInt32(p);
+                        p += 4;
+                    }
+
+                    sample_number++;
+
+                    samples.push({
+                        begin: (decode_time + cto) / timescale,
+                        end: (decode_time + cto + duration) / timescale,
+                        offset: data_offset,
+                        size: size,
+                        subsamples: subsamples[sample_number] || null
+                    });
+
+                    decode_time += duration;
+
+                    data_offset += size;
+
+                }
+
+            }
+
+        }
+
+    }
+
+    /*
+     * Returns the sizes of the sub-samples signaled by a subs box, indexed by
+     * sample number (starting at 1)
+     */
+
+    function readSubs(view, subs) {
+
+        var r = {};
+
+        if (subs === null) return r;
+
+        var version = view.getUint8(subs.dataStart);
+
+        var count = view.getUint32(subs.dataStart + 4);
+
+        var p = subs.dataStart + 8;
+
+        var sample_number = 0;
+
+        for (var i = 0; i < count; i++) {
+
+            sample_number += view.getUint32(p);
+
+            var subsample_count = view.getUint16(p + 4);
+
+            p += 6;
+
+            var sizes = [];
+
+            for (var j = 0; j < subsample_count; j++) {
+
+                sizes.push(version === 1 ? view.getUint32(p) : view.getUint16(p));
+
+                /* skip the size, priority, discardable and codec-specific parameters fields */
+
+                p += (version === 1 ? 4 : 2) + 6;
+
+            }
+
+            r[sample_number] = sizes;
+
+        }
+
+        return r;
+    }
+
+    /*
+     * SAMPLE PROCESSING
+     * 
+     */
+
+    function sampleToDocument(bytes, sample, errorHandler, metadataHandler, options) {
+
+        if (sample.offset + sample.size > bytes.length) {
+
+            imscUtils.reportFatal(errorHandler, "Sample data is outside of the buffer", "truncated-data");
+
+        }
+
+        var data = bytes.subarray(sample.offset, sample.offset + sample.size);
+
+        /* the first sub-sample is the document, and the others are images */
+
+        var sizes = sample.subsamples || [sample.size];
+
+        var doc_data = data.subarray(0, sizes[0]);
+
+        var images = {};
+
+        var offset = sizes[0];
+
+        for (var i = 1; i < sizes.length; i++) {
+
+            var image_data = data.subarray(offset, offset + sizes[i]);
+
+            images[SUBS_URN_PREFIX + i] = {
+                type: isPNG(image_data) ? "image/png" : "application/octet-stream",
+                data: image_data
+            };
+
+            offset += sizes[i];
+
+        }
+
+        var tt = imscDoc.fromXML(
+            decodeUTF8(doc_data),
+            errorHandler,
+            metadataHandler,
+            {timeOffset: options.sampleRelativeTimes === false ? 0 : sample.begin}
+            );
+
+        return {
+            begin: sample.begin,
+            end: sample.end,
+            tt: tt,
+            images: images,
+            imgResolver: function (uri) {
+
+                var image = images[uri];
+
+                return image ? "data:" + image.type + ";base64," + encodeBase64(image.data) : null;
+
+            }
+        };
+    }
+
+    var PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+    function isPNG(data) {
+
+        for (var i = 0; i < PNG_SIGNATURE.length; i++) {
+
+            if (data[i] !== PNG_SIGNATURE[i]) return false;
+
+        }
+
+        return true;
+    }
+
+    function decodeUTF8(data) {
+
+        var s = "";
+
+        var i = 0;
+
+        /* skip the byte order mark */
+
+        if (data[0] === 0xEF && data[1] === 0xBB && data[2] === 0xBF) {
+            i = 3;
+        }
+
+        while (i < data.length) {
+
+            var c = data[i++];
+
+            if (c >= 0xF0) {
+
+                c = ((c & 0x07) << 18) | ((data[i++] & 0x3F) << 12) | ((data[i++] & 0x3F) << 6) | (data[i++] & 0x3F);
+
+                /* surrogate pair */
+
+                c -= 0x10000;
+
+                s += String.fromCharCode(0xD800 + (c >> 10), 0xDC00 + (c & 0x3FF));
+
+                continue;
+
+            } else if (c >= 0xE0) {
+
+                c = ((c & 0x0F) << 12) | ((data[i++] & 0x3F) << 6) | (data[i++] & 0x3F);
+
+            } else if (c >= 0xC0) {
+
+                c = ((c & 0x1F) << 6) | (data[i++] & 0x3F);
+
+            }
+
+            s += String.fromCharCode(c);
+
+        }
+
+        return s;
+    }
+
+    var BASE64_CHARS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+    function encodeBase64(data) {
+
+        var s = "";
+
+        for (var i = 0; i < data.length; i += 3) {
+
+            var n = (data[i] << 16) | ((data[i + 1] || 0) << 8) | (data[i + 2] || 0);
+
+            s += BASE64_CHARS.charAt(n >> 18) +
+                BASE64_CHARS.charAt((n >> 12) & 0x3F) +
+                (i + 1 < data.length ? BASE64_CHARS.charAt((n >> 6) & 0x3F) : "=") +
+                (i + 2 < data.length ? BASE64_CHARS.charAt(n & 0x3F) : "=");
+
+        }
+
+        return s;
+    }
+
+})(typeof exports === 'undefined' ? this.imscMP4 = {} : exports,
+    typeof imscDoc === 'undefined' ? require("./doc") : imscDoc,
+    typeof imscUtils === 'undefined' ? require("./utils") : imscUtils);
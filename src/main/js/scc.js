@@ -0,0 +1,982 @@
+/* 
+ * Copyright (c) 2016, Pierre-Anthony Lemieux <pal@sandflow.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice, this
+ *   list of conditions and the following disclaimer.
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/**
+ * @module imscSCC
+ */
+
+;
+(function (imscSCC, imscDoc, imscNames, imscTTML, imscUtils) { // wrapper for non-node envs
+
+    /**
+     * Parses a Scenarist Closed Caption (SCC) document into the same opaque
+     * in-memory representation returned by <pre>imscDoc.fromXML()</pre>.
+     * 
+     * The CEA-608 data of the first caption channel (CC1) is decoded, and the
+     * successive states of the displayed memory are mapped to <pre>p</pre>
+     * elements positioned on a 32 x 15 cell grid, in accordance with
+     * SMPTE RP 2052-10. Pop-on, roll-up and paint-on captions are supported.
+     * Roll-up captions are placed in a single region, anchored to its after
+     * edge, so that they can be animated by <pre>imscHTML.render()</pre>.
+     * 
+     * @param {string} text SCC document
+     * @param {?module:imscUtils.ErrorHandler} errorHandler Error callback
+     * @returns {Object} Opaque in-memory representation of an IMSC1 document
+     */
+
+    imscSCC.fromSCC = function (text, errorHandler) {
+
+        var lines = text.replace(/^\uFEFF/, "").split(/\r\n|\r|\n/);
+
+        if (!/^Scenarist_SCC V1\.0\s*$/.test(lines[0])) {
+
+            imscUtils.reportFatal(errorHandler, "Missing Scenarist_SCC V1.0 header", "missing-header");
+
+        }
+
+        var decoder = new Decoder(errorHandler);
+
+        for (var i = 1; i < lines.length; i++) {
+
+            if (lines[i].trim() === "") continue;
+
+            var m = SCC_LINE_RE.exec(lines[i]);
+
+            if (m === null) {
+
+                imscUtils.reportWarning(errorHandler, "Ignoring malformed line " + (i + 1), "malformed-input", {line: i + 1});
+
+                continue;
+
+            }
+
+            var frame = timeCodeToFrames(
+                parseInt(m[1]),
+                parseInt(m[2]),
+                parseInt(m[3]),
+                parseInt(m[5]),
+                m[4] === ";"
+                );
+
+            /* data cannot be transmitted faster than one word per frame */
+
+            decoder.frame = Math.max(frame, decoder.frame);
+
+            var words = m[6].trim().split(/\s+/);
+
+            for (var j = 0; j < words.length; j++) {
+
+                if (!/^[0-9a-fA-F]{4}$/.test(words[j])) {
+
+                    imscUtils.reportWarning(errorHandler, "Ignoring malformed word " + words[j] + " at line " + (i + 1), "malformed-input", {line: i + 1});
+
+                } else {
+
+                    decoder.decode(parseInt(words[j].substring(0, 2), 16) & 0x7F, parseInt(words[j].substring(2, 4), 16) & 0x7F);
+
+                }
+
+                decoder.frame++;
+
+            }
+
+            decoder.flush();
+
+        }
+
+        return imscDoc.fromXML(captionsToTTML(decoder.captions), errorHandler);
+
+    };
+
+    var SCC_LINE_RE = /^(\d{2}):(\d{2}):(\d{2})([:;.,])(\d{2})\s+(.*)$/;
+
+    var ROW_COUNT = 15;
+
+    var COLUMN_COUNT = 32;
+
+    /* the caption grid occupies the central 80% of the video, per SMPTE RP 2052-10 */
+
+    var GRID_ORIGIN = 10;
+
+    var ROW_HEIGHT = 80 / ROW_COUNT;
+
+    var COLUMN_WIDTH = 80 / COLUMN_COUNT;
+
+    /* NTSC time codes are expressed in 30 frames per second */
+
+    function timeCodeToFrames(h, m, s, f, isDropFrame) {
+
+        var frames = ((h * 60 + m) * 60 + s) * 30 + f;
+
+        if (isDropFrame) {
+
+            /* two frame numbers are dropped every minute, except every tenth minute */
+
+            var minutes = h * 60 + m;
+
+            frames -= 2 * (minutes - Math.floor(minutes / 10));
+
+        }
+
+        return frames;
+    }
+
+    /*
+     * CEA-608 CHARACTER SETS
+     * 
+     */
+
+    /* standard characters that differ from ASCII */
+
+    var STANDARD_CHARS = {
+        0x2A: "á",
+        0x5C: "é",
+        0x5E: "í",
+        0x5F: "ó",
+        0x60: "ú",
+        0x7B: "ç",
+        0x7C: "÷",
+        0x7D: "Ñ",
+        0x7E: "ñ",
+        0x7F: "█"
+    };
+
+    /* special characters (0x11 0x30 to 0x11 0x3F), where 0x39 is a transparent space */
+
+    var SPECIAL_CHARS = "®°½¿™¢£♪à\u00a0èâêîôû";
+
+    /* extended characters (0x12 0x20 to 0x12 0x3F and 0x13 0x20 to 0x13 0x3F) */
+
+    var EXTENDED_CHARS = [
+        "ÁÉÓÚÜü‘¡*'—©℠•“”ÀÂÇÈÊËëÎÏïÔÙùÛ«»",
+        "ÃãÍÌìÒòÕõ{}\\^_|~ÄäÖöß¥¤│ÅåØø┌┐└┘"
+    ];
+
+    /* colors of PACs and mid-row codes */
+
+    var COLORS = ["white", "lime", "blue", "cyan", "red", "yellow", "magenta"];
+
+    /* first row addressed by PACs, indexed by their first byte, and by the second byte >= 0x60 */
+
+    var PAC_ROWS = {
+        0x11: [1, 2],
+        0x12: [3, 4],
+        0x15: [5, 6],
+        0x16: [7, 8],
+        0x17: [9, 10],
+        0x10: [11, null],
+        0x13: [12, 13],
+        0x14: [14, 15]
+    };
+
+    /*
+     * CEA-608 DECODER
+     * 
+     */
+
+    function Decoder(errorHandler) {
+
+        this.errorHandler = errorHandler;
+
+        /* current frame */
+
+        this.frame = 0;
+
+        /* states of the displayed memory, in increasing order of frame */
+
+        this.captions = [];
+
+        this.displayed = emptyMemory();
+        this.nonDisplayed = emptyMemory();
+
+        /* one of "popon", "rollup", "painton" or "text" */
+
+        this.mode = "popon";
+
+        this.rollUpRows = 0;
+        this.baseRow = ROW_COUNT;
+
+        this.row = ROW_COUNT;
+        this.column = 0;
+
+        this.attrs = {color: "white", italic: false, underline: false};
+
+        /* channel of the last control code */
+
+        this.channel = 1;
+
+        this.lastControl = null;
+
+        /* frame of the first unflushed change to the displayed memory */
+
+        this.dirty = null;
+
+        this.reported = {};
+    }
+
+    Decoder.prototype.decode = function (b1, b2) {
+
+        if (b1 >= 0x10 && b1 <= 0x1F) {
+
+            /* control codes are usually transmitted twice */
+
+            var word = (b1 << 8) | b2;
+
+            if (word === this.lastControl) {
+
+                this.lastControl = null;
+
+                return;
+
+            }
+
+            this.lastControl = word;
+
+            this.channel = (b1 & 0x08) ? 2 : 1;
+
+            /* the miscellaneous control codes of the CC3 and CC4 channels of
+             * field 2 share their first byte with the row 5 PACs */
+
+            if ((b1 & 0xF7) === 0x15 && b2 >= 0x20 && b2 <= 0x2F) {
+
+                this.channel += 2;
+
+            }
+
+            if (this.channel === 1) {
+
+                this.decodeControl(b1, b2);
+
+            }
+
+        } else {
+
+            this.lastControl = null;
+
+            if (b1 < 0x20) {
+
+                /* padding */
+
+                return;
+
+            }
+
+            if (this.channel === 1 && this.mode !== "text") {
+
+                this.writeChar(decodeChar(b1));
+
+                if (b2 >= 0x20) {
+                    this.writeChar(decodeChar(b2));
+                }
+
+            }
+
+        }
+
+    };
+
+    Decoder.prototype.decodeControl = function (b1, b2) {
+
+        if (b2 >= 0x40) {
+
+            this.decodePAC(b1, b2);
+
+        } else if (b1 === 0x14 && b2 >= 0x20 && b2 <= 0x2F) {
+
+            this.decodeMiscControl(b2);
+
+        } else if (b1 === 0x17 && b2 >= 0x21 && b2 <= 0x23) {
+
+            /* tab offsets */
+
+            this.column = Math.min(this.column + b2 - 0x20, COLUMN_COUNT - 1);
+
+        } else if (b1 === 0x11 && b2 >= 0x20 && b2 <= 0x2F) {
+
+            /* mid-row codes, which are displayed as a space */
+
+            if (b2 < 0x2E) {
+
+                this.attrs.color = COLORS[(b2 - 0x20) >> 1];
+                this.attrs.italic = false;
+
+            } else {
+
+                this.attrs.italic = true;
+
+            }
+
+            this.attrs.underline = (b2 & 0x01) === 1;
+
+            this.writeChar(" ");
+
+        } else if (b1 === 0x11 && b2 >= 0x30 && b2 <= 0x3F) {
+
+            this.writeChar(SPECIAL_CHARS.charAt(b2 - 0x30));
+
+        } else if ((b1 === 0x12 || b1 === 0x13) && b2 >= 0x20 && b2 <= 0x3F) {
+
+            /* extended characters replace the standard character that precedes them */
+
+            this.backspace();
+
+            this.writeChar(EXTENDED_CHARS[b1 - 0x12].charAt(b2 - 0x20));
+
+        } else if ((b1 === 0x10 && b2 >= 0x20 && b2 <= 0x2F) || (b1 === 0x17 && b2 >= 0x2D && b2 <= 0x2F)) {
+
+            this.reportOnce("Ignoring background and foreground attribute codes");
+
+        } else {
+
+            this.reportOnce("Ignoring unsupported control code " + toHex(b1) + toHex(b2));
+
+        }
+
+    };
+
+    Decoder.prototype.decodePAC = function (b1, b2) {
+
+        var rows = PAC_ROWS[b1];
+
+        var row = rows[b2 >= 0x60 ? 1 : 0];
+
+        if (row === null) {
+
+            this.reportOnce("Ignoring invalid PAC " + toHex(b1) + toHex(b2));
+
+            return;
+
+        }
+
+        if (this.mode === "rollup") {
+
+            this.moveBaseRow(Math.max(row, this.rollUpRows));
+
+            row = this.baseRow;
+
+        }
+
+        this.row = row;
+
+        var a = (b2 & 0x1E) >> 1;
+
+        this.attrs = {
+            color: a < 7 ? COLORS[a] : "white",
+            italic: a === 7,
+            underline: (b2 & 0x01) === 1
+        };
+
+        this.column = a < 8 ? 0 : (a - 8) * 4;
+
+    };
+
+    Decoder.prototype.decodeMiscControl = function (b2) {
+
+        switch (b2) {
+
+            case 0x20:
+
+                /* RCL */
+
+                this.mode = "popon";
+
+                break;
+
+            case 0x21:
+
+                /* BS */
+
+                this.backspace();
+
+                break;
+
+            case 0x24:
+
+                /* DER */
+
+                for (var c = this.column; c < COLUMN_COUNT; c++) {
+                    this.setCell(c, null);
+                }
+
+                break;
+
+            case 0x25:
+            case 0x26:
+            case 0x27:
+
+                /* RU2, RU3 and RU4 */
+
+                this.startRollUp(b2 - 0x23);
+
+                break;
+
+            case 0x28:
+
+                this.reportOnce("Ignoring flash on");
+
+                break;
+
+            case 0x29:
+
+                /* RDC */
+
+                this.mode = "painton";
+
+                break;
+
+            case 0x2A:
+            case 0x2B:
+
+                /* TR and RTD, whose data is not captions */
+
+                this.mode = "text";
+
+                break;
+
+            case 0x2C:
+
+                /* EDM */
+
+                this.flush();
+
+                this.displayed = emptyMemory();
+
+                this.snapshot(this.frame);
+
+                break;
+
+            case 0x2D:
+
+                /* CR */
+
+                if (this.mode === "rollup") {
+                    this.carriageReturn();
+                }
+
+                break;
+
+            case 0x2E:
+
+                /* ENM */
+
+                this.nonDisplayed = emptyMemory();
+
+                break;
+
+            case 0x2F:
+
+                /* EOC */
+
+                this.flush();
+
+                var m = this.displayed;
+
+                this.displayed = this.nonDisplayed;
+
+                this.nonDisplayed = m;
+
+                this.mode = "popon";
+
+                this.snapshot(this.frame);
+
+                break;
+
+            default:
+
+                /* AOF and AON are not used */
+
+                break;
+
+        }
+
+    };
+
+    Decoder.prototype.startRollUp = function (rows) {
+
+        if (this.mode !== "rollup") {
+
+            /* entering roll-up mode erases both memories */
+
+            this.displayed = emptyMemory();
+            this.nonDisplayed = emptyMemory();
+
+            this.baseRow = ROW_COUNT;
+
+            this.row = this.baseRow;
+            this.column = 0;
+
+            this.markDirty();
+
+        }
+
+        this.mode = "rollup";
+
+        this.rollUpRows = rows;
+
+        this.clearOutsideWindow();
+
+    };
+
+    Decoder.prototype.moveBaseRow = function (row) {
+
+        if (row === this.baseRow) return;
+
+        var m = emptyMemory();
+
+        for (var i = 0; i < this.rollUpRows; i++) {
+
+            m[row - i] = this.displayed[this.baseRow - i];
+
+        }
+
+        this.displayed = m;
+
+        this.baseRow = row;
+
+        this.markDirty();
+
+    };
+
+    Decoder.prototype.carriageReturn = function () {
+
+        var top = this.baseRow - this.rollUpRows + 1;
+
+        for (var r = top; r < this.baseRow; r++) {
+
+            this.displayed[r] = this.displayed[r + 1];
+
+        }
+
+        this.displayed[this.baseRow] = emptyRow();
+
+        this.clearOutsideWindow();
+
+        this.column = 0;
+
+        this.markDirty();
+
+    };
+
+    Decoder.prototype.clearOutsideWindow = function () {
+
+        var top = this.baseRow - this.rollUpRows + 1;
+
+        for (var r = 1; r <= ROW_COUNT; r++) {
+
+            if (r < top || r > this.baseRow) {
+
+                this.displayed[r] = emptyRow();
+
+            }
+
+        }
+
+    };
+
+    Decoder.prototype.memory = function () {
+
+        return this.mode === "popon" ? this.nonDisplayed : this.displayed;
+
+    };
+
+    Decoder.prototype.setCell = function (column, cell) {
+
+        this.memory()[this.row][column] = cell;
+
+        if (this.mode !== "popon") {
+
+            this.markDirty();
+
+        }
+
+    };
+
+    Decoder.prototype.writeChar = function (ch) {
+
+        if (this.mode === "text") return;
+
+        this.setCell(this.column, {
+            ch: ch,
+            color: this.attrs.color,
+            italic: this.attrs.italic,
+            underline: this.attrs.underline
+        });
+
+        /* the last column is overwritten once the end of the row is reached */
+
+        this.column = Math.min(this.column + 1, COLUMN_COUNT - 1);
+
+    };
+
+    Decoder.prototype.backspace = function () {
+
+        if (this.column > 0) {
+
+            this.column--;
+
+        }
+
+        this.setCell(this.column, null);
+
+    };
+
+    Decoder.prototype.markDirty = function () {
+
+        if (this.dirty === null) {
+
+            this.dirty = this.frame;
+
+        }
+
+    };
+
+    /*
+     * Records changes made to the displayed memory by roll-up and paint-on
+     * captions, which are grouped to avoid a new caption for each character
+     */
+
+    Decoder.prototype.flush = function () {
+
+        if (this.dirty !== null) {
+
+            this.snapshot(this.dirty);
+
+            this.dirty = null;
+
+        }
+
+    };
+
+    Decoder.prototype.snapshot = function (frame) {
+
+        var caption = {
+            begin: frame,
+            rows: this.displayed.map(function (row) {
+                return row === null ? null : row.slice();
+            }),
+            rollUp: this.mode === "rollup" ? {base: this.baseRow, rows: this.rollUpRows} : null
+        };
+
+        var last = this.captions.length > 0 ? this.captions[this.captions.length - 1] : null;
+
+        if (last !== null && JSON.stringify(last.rows) === JSON.stringify(caption.rows)) {
+
+            return;
+
+        }
+
+        if (last !== null && last.begin === frame) {
+
+            this.captions.pop();
+
+        }
+
+        this.captions.push(caption);
+
+    };
+
+    Decoder.prototype.reportOnce = function (msg) {
+
+        if (!(msg in this.reported)) {
+
+            this.reported[msg] = true;
+
+            imscUtils.reportInfo(this.errorHandler, msg, "unsupported-feature");
+
+        }
+
+    };
+
+    function emptyRow() {
+
+        var row = [];
+
+        for (var i = 0; i < COLUMN_COUNT; i++) {
+            row.push(null);
+        }
+
+        return row;
+    }
+
+    /* rows are numbered from 1, as in CEA-608 */
+
+    function emptyMemory() {
+
+        var m = [null];
+
+        for (var i = 1; i <= ROW_COUNT; i++) {
+            m.push(emptyRow());
+        }
+
+        return m;
+    }
+
+    function decodeChar(b) {
+
+        return STANDARD_CHARS[b] || String.fromCharCode(b);
+
+    }
+
+    function toHex(b) {
+
+        return (b < 16 ? "0" : "") + b.toString(16);
+
+    }
+
+    /*
+     * TTML GENERATION
+     * 
+     */
+
+    function captionsToTTML(captions) {
+
+        var regions = {};
+
+        var region_list = [];
+
+        var paragraphs = [];
+
+        function addRegion(id, row, column, rows, displayAlign) {
+
+            if (!(id in regions)) {
+
+                regions[id] = true;
+
+                region_list.push([
+                    ["xml:id", id],
+                    ["tts:origin", formatPercentage(GRID_ORIGIN + column * COLUMN_WIDTH) + " " + formatPercentage(GRID_ORIGIN + (row - 1) * ROW_HEIGHT)],
+                    ["tts:extent", formatPercentage((COLUMN_COUNT - column) * COLUMN_WIDTH) + " " + formatPercentage(rows * ROW_HEIGHT)],
+                    ["tts:displayAlign", displayAlign]
+                ]);
+
+            }
+
+            return id;
+        }
+
+        for (var i = 0; i < captions.length; i++) {
+
+            var c = captions[i];
+
+            var end = i + 1 < captions.length ? captions[i + 1].begin : null;
+
+            if (end === c.begin) continue;
+
+            for (var r = 1; r <= ROW_COUNT; r++) {
+
+                var first = firstColumn(c.rows[r]);
+
+                if (first === -1) continue;
+
+                var region;
+
+                if (c.rollUp !== null) {
+
+                    /* the rows of roll-up captions share a region, so that they can scroll */
+
+                    var top = c.rollUp.base - c.rollUp.rows + 1;
+
+                    region = addRegion("rollup" + top + "_" + c.rollUp.base, top, 0, c.rollUp.rows, "after");
+
+                    first = 0;
+
+                } else {
+
+                    region = addRegion("r" + r + "c" + first, r, first, 1, "before");
+
+                }
+
+                paragraphs.push({region: region, begin: c.begin, end: end, cells: c.rows[r].slice(first)});
+
+            }
+
+        }
+
+        var w = new imscTTML.XMLWriter("");
+
+        w.declaration();
+
+        w.open("tt", [
+            ["xmlns", imscNames.ns_tt],
+            ["xmlns:ttp", imscNames.ns_ttp],
+            ["xmlns:tts", imscNames.ns_tts],
+            ["xml:lang", ""],
+            ["ttp:contentProfiles", "http://www.w3.org/ns/ttml/profile/imsc1.1/text"],
+            ["ttp:cellResolution", COLUMN_COUNT + " " + ROW_COUNT],
+            ["ttp:frameRate", "30"],
+            ["ttp:frameRateMultiplier", "1000 1001"]
+        ]);
+
+        w.open("head", []);
+
+        w.open("styling", []);
+
+        /* a row of the grid is 80% of a cell of the root container */
+
+        w.empty("initial", [
+            ["tts:fontFamily", "monospaceSansSerif"],
+            ["tts:fontSize", "80%"],
+            ["tts:lineHeight", "100%"]
+        ]);
+
+        w.close("styling");
+
+        w.open("layout", []);
+
+        for (var j = 0; j < region_list.length; j++) {
+
+            w.empty("region", region_list[j]);
+
+        }
+
+        w.close("layout");
+
+        w.close("head");
+
+        w.open("body", []);
+
+        w.open("div", []);
+
+        for (var k = 0; k < paragraphs.length; k++) {
+
+            var p = paragraphs[k];
+
+            var attrs = [
+                ["region", p.region],
+                ["begin", p.begin + "f"]
+            ];
+
+            if (p.end !== null) {
+                attrs.push(["end", p.end + "f"]);
+            }
+
+            attrs.push(["xml:space", "preserve"]);
+
+            w.open("p", attrs, false, true);
+
+            writeCells(w, p.cells);
+
+            w.close("p", false, true);
+
+        }
+
+        w.close("div");
+
+        w.close("body");
+
+        w.close("tt");
+
+        return w.toString();
+    }
+
+    function firstColumn(row) {
+
+        for (var i = 0; i < row.length; i++) {
+
+            if (row[i] !== null) return i;
+
+        }
+
+        return -1;
+    }
+
+    /*
+     * Maps runs of cells with identical attributes to spans, with cells that
+     * were never written, and are therefore transparent, left unstyled
+     */
+
+    function writeCells(w, cells) {
+
+        var last = cells.length - 1;
+
+        while (last >= 0 && cells[last] === null) last--;
+
+        var i = 0;
+
+        while (i <= last) {
+
+            var text = "";
+
+            var start = cells[i];
+
+            while (i <= last && sameAttributes(start, cells[i])) {
+
+                text += cells[i] === null ? " " : cells[i].ch;
+
+                i++;
+
+            }
+
+            if (start === null) {
+
+                w.text(text);
+
+            } else {
+
+                var attrs = [
+                    ["tts:color", start.color],
+                    ["tts:backgroundColor", "black"]
+                ];
+
+                if (start.italic) {
+                    attrs.push(["tts:fontStyle", "italic"]);
+                }
+
+                if (start.underline) {
+                    attrs.push(["tts:textDecoration", "underline"]);
+                }
+
+                w.open("span", attrs, true);
+
+                w.text(text);
+
+                w.close("span", true);
+
+            }
+
+        }
+
+    }
+
+    function sameAttributes(a, b) {
+
+        if (a === null || b === null) return a === b;
+
+        return a.color === b.color && a.italic === b.italic && a.underline === b.underline;
+
+    }
+
+    function formatPercentage(v) {
+
+        return parseFloat(v.toFixed(4)).toString() + "%";
+
+    }
+
+})(typeof exports === 'undefined' ? this.imscSCC = {} : exports,
+    typeof imscDoc === 'undefined' ? require("./doc") : imscDoc,
+    typeof imscNames === 'undefined' ? require("./names") : imscNames,
+    typeof imscTTML === 'undefined' ? require("./ttml") : imscTTML,
+    typeof imscUtils === 'undefined' ? require("./utils") : imscUtils);
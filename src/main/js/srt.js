@@ -0,0 +1,492 @@
+/* 
+ * Copyright (c) 2016, Pierre-Anthony Lemieux <pal@sandflow.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice, this
+ *   list of conditions and the following disclaimer.
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/**
+ * @module imscSRT
+ */
+
+;
+(function (imscSRT, imscDoc, imscISD, imscNames, imscStyles, imscTTML, imscUtils) { // wrapper for non-node envs
+
+    /**
+     * Parses a SubRip (SRT) document into the same opaque in-memory representation
+     * returned by <pre>imscDoc.fromXML()</pre>. Each subtitle is mapped to a
+     * <pre>p</pre> element in the default region, and the <pre>i</pre>,
+     * <pre>b</pre>, <pre>u</pre> and <pre>font color</pre> tags are mapped to
+     * styled <pre>span</pre> elements.
+     * 
+     * @param {string} text SRT document
+     * @param {?module:imscUtils.ErrorHandler} errorHandler Error callback
+     * @returns {Object} Opaque in-memory representation of an IMSC1 document
+     */
+
+    imscSRT.fromSRT = function (text, errorHandler) {
+
+        var lines = text.replace(/^\uFEFF/, "").split(/\r\n|\r|\n/);
+
+        var subtitles = [];
+
+        var i = 0;
+
+        while (i < lines.length) {
+
+            /* skip blank lines between subtitles */
+
+            if (lines[i].trim() === "") {
+                i++;
+                continue;
+            }
+
+            /* the sequence number is optional in practice */
+
+            if (/^\d+\s*$/.test(lines[i]) && i + 1 < lines.length && TIMING_RE.test(lines[i + 1])) {
+                i++;
+            }
+
+            var m = TIMING_RE.exec(lines[i]);
+
+            if (m === null) {
+
+                imscUtils.reportWarning(errorHandler, "Ignoring malformed subtitle at line " + (i + 1), "malformed-input", {line: i + 1});
+
+                while (i < lines.length && lines[i].trim() !== "") i++;
+
+                continue;
+
+            }
+
+            var s = {
+                begin: parseTimestamp(m.slice(1, 5)),
+                end: parseTimestamp(m.slice(5, 9)),
+                lines: []
+            };
+
+            i++;
+
+            while (i < lines.length && lines[i].trim() !== "") {
+                s.lines.push(lines[i++]);
+            }
+
+            if (s.end <= s.begin) {
+
+                imscUtils.reportWarning(errorHandler, "Ignoring subtitle that ends before it begins at " + s.begin + "s", "invalid-time");
+
+                continue;
+
+            }
+
+            subtitles.push(s);
+
+        }
+
+        return imscDoc.fromXML(subtitlesToTTML(subtitles, errorHandler), errorHandler);
+
+    };
+
+    /* hours can exceed two digits, and some authoring tools use a period as decimal separator */
+
+    var TIMING_RE = /^\s*(\d+):(\d{2}):(\d{2})[,.](\d{1,3})\s*-->\s*(\d+):(\d{2}):(\d{2})[,.](\d{1,3})(?:\s.*)?$/;
+
+    var TAG_RE = /<(\/)?([a-zA-Z]+)([^>]*)>|([^<]+|<)/g;
+
+    var COLOR_ATTR_RE = /color\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+))/i;
+
+    function parseTimestamp(m) {
+
+        return parseInt(m[0]) * 3600 +
+            parseInt(m[1]) * 60 +
+            parseInt(m[2]) +
+            parseInt((m[3] + "00").substring(0, 3)) / 1000;
+
+    }
+
+    function subtitlesToTTML(subtitles, errorHandler) {
+
+        var w = new imscTTML.XMLWriter("");
+
+        w.declaration();
+
+        /* no region is defined, so that the default region is used */
+
+        w.open("tt", [
+            ["xmlns", imscNames.ns_tt],
+            ["xmlns:ttp", imscNames.ns_ttp],
+            ["xmlns:tts", imscNames.ns_tts],
+            ["xml:lang", ""],
+            ["ttp:contentProfiles", "http://www.w3.org/ns/ttml/profile/imsc1.1/text"]
+        ]);
+
+        w.open("body", []);
+
+        w.open("div", [["tts:textAlign", "center"]]);
+
+        for (var i = 0; i < subtitles.length; i++) {
+
+            w.open("p", [
+                ["begin", imscUtils.formatNumber(subtitles[i].begin) + "s"],
+                ["end", imscUtils.formatNumber(subtitles[i].end) + "s"]
+            ], false, true);
+
+            writeText(w, subtitles[i].lines.join("\n"), errorHandler);
+
+            w.close("p", false, true);
+
+        }
+
+        w.close("div");
+
+        w.close("body");
+
+        w.close("tt");
+
+        return w.toString();
+    }
+
+    /*
+     * Maps the text of a subtitle to TTML content. Unknown tags are ignored
+     * and unbalanced tags are closed at the end of the subtitle.
+     */
+
+    function writeText(w, text, errorHandler) {
+
+        var open_tags = [];
+
+        var m;
+
+        TAG_RE.lastIndex = 0;
+
+        while ((m = TAG_RE.exec(text)) !== null) {
+
+            if (m[4] !== undefined) {
+
+                var lines = m[4].split("\n");
+
+                for (var j = 0; j < lines.length; j++) {
+
+                    if (j > 0) {
+                        w.empty("br", [], true);
+                    }
+
+                    if (lines[j].length > 0) {
+                        w.text(lines[j]);
+                    }
+
+                }
+
+                continue;
+
+            }
+
+            var tag = m[2].toLowerCase();
+
+            if (!(tag in TAG_STYLES)) {
+
+                imscUtils.reportWarning(errorHandler, "Ignoring unsupported tag <" + (m[1] || "") + m[2] + ">", "unsupported-element");
+
+                continue;
+
+            }
+
+            if (m[1]) {
+
+                /* close the tag, and any tag left open within it */
+
+                var k = open_tags.lastIndexOf(tag);
+
+                if (k === -1) {
+
+                    imscUtils.reportWarning(errorHandler, "Ignoring unmatched closing tag </" + m[2] + ">", "malformed-input");
+
+                    continue;
+
+                }
+
+                while (open_tags.length > k) {
+
+                    open_tags.pop();
+
+                    w.close("span", true);
+
+                }
+
+            } else {
+
+                var attrs = TAG_STYLES[tag](m[3], errorHandler);
+
+                open_tags.push(tag);
+
+                w.open("span", attrs, true);
+
+            }
+
+        }
+
+        while (open_tags.length > 0) {
+
+            open_tags.pop();
+
+            w.close("span", true);
+
+        }
+
+    }
+
+    var TAG_STYLES = {
+
+        i: function () {
+            return [["tts:fontStyle", "italic"]];
+        },
+
+        b: function () {
+            return [["tts:fontWeight", "bold"]];
+        },
+
+        u: function () {
+            return [["tts:textDecoration", "underline"]];
+        },
+
+        font: function (attrs, errorHandler) {
+
+            var m = COLOR_ATTR_RE.exec(attrs);
+
+            if (m === null) return [];
+
+            var value = m[1] || m[2] || m[3] || "";
+
+            var c = imscUtils.parseColor(value);
+
+            /* the leading hash is commonly omitted */
+
+            if (c === null && /^[0-9a-fA-F]{6}$/.test(value)) {
+                c = imscUtils.parseColor("#" + value);
+            }
+
+            if (c === null) {
+
+                imscUtils.reportWarning(errorHandler, "Ignoring unsupported font color " + value, "unsupported-value");
+
+                return [];
+
+            }
+
+            return [["tts:color", "rgba(" + c.join(",") + ")"]];
+        }
+
+    };
+
+    /**
+     * Converts a document returned by <pre>imscDoc.fromXML()</pre> into a SubRip
+     * (SRT) document. An ISD is generated at each of the time offsets returned by
+     * <pre>getMediaTimeEvents()</pre>, and the text of all its regions is flattened
+     * into a single numbered subtitle. Positioning is discarded, and only the
+     * italic, bold, underline and color styles are preserved.
+     * 
+     * @param {Object} tt IMSC1 document
+     * @param {?module:imscUtils.ErrorHandler} errorHandler Error callback
+     * @returns {string} SRT document
+     */
+
+    imscSRT.toSRT = function (tt, errorHandler) {
+
+        var events = tt.getMediaTimeEvents();
+
+        var subtitles = [];
+
+        var previous = null;
+
+        for (var i = 0; i < events.length; i++) {
+
+            var isd = imscISD.generateISD(tt, events[i], errorHandler);
+
+            var text = isdToText(isd, errorHandler);
+
+            var end = i + 1 < events.length ? events[i + 1] : null;
+
+            if (previous !== null && previous.text === text) {
+
+                /* the subtitle continues from the previous ISD */
+
+                previous.end = end;
+
+            } else if (text.length > 0) {
+
+                previous = {begin: events[i], end: end, text: text};
+
+                subtitles.push(previous);
+
+            } else {
+
+                previous = null;
+
+            }
+
+        }
+
+        var out = [];
+
+        var n = 0;
+
+        for (var k = 0; k < subtitles.length; k++) {
+
+            var s = subtitles[k];
+
+            if (s.end === null) {
+
+                imscUtils.reportWarning(errorHandler, "Ignoring content with an indefinite end at " + s.begin + "s", "indefinite-end");
+
+                continue;
+
+            }
+
+            out.push((++n).toString());
+
+            out.push(imscUtils.formatTimestamp(s.begin, ",") + " --> " + imscUtils.formatTimestamp(s.end, ","));
+
+            out.push(s.text);
+
+            out.push("");
+
+        }
+
+        return out.join("\n");
+
+    };
+
+    function isdToText(isd, errorHandler) {
+
+        var lines = [];
+
+        for (var i = 0; i < isd.contents.length; i++) {
+
+            collectLines(isd.contents[i], lines, errorHandler);
+
+        }
+
+        /* blank lines would terminate the subtitle */
+
+        return lines.filter(function (l) {
+            return l.trim().length > 0;
+        }).join("\n");
+
+    }
+
+    function collectLines(element, lines, errorHandler) {
+
+        for (var i in element.contents) {
+            if (element.contents.hasOwnProperty(i)) {
+
+                var c = element.contents[i];
+
+                if (c.kind === 'p') {
+
+                    Array.prototype.push.apply(lines, elementToText(c).split("\n"));
+
+                } else if (c.kind === 'image') {
+
+                    imscUtils.reportWarning(errorHandler, "Images cannot be converted to SRT (ignoring)", "unsupported-element");
+
+                } else if ('contents' in c) {
+
+                    collectLines(c, lines, errorHandler);
+
+                }
+            }
+        }
+
+    }
+
+    function elementToText(element) {
+
+        if (element.kind === 'br') {
+
+            return "\n";
+
+        }
+
+        var ruby = element.styleAttrs[imscStyles.byName.ruby.qname];
+
+        if (ruby === "text" || ruby === "textContainer") {
+
+            /* SRT has no ruby annotations, so only the base text is kept */
+
+            return "";
+
+        }
+
+        if (!('text' in element)) {
+
+            var inner = "";
+
+            for (var i in element.contents) {
+                if (element.contents.hasOwnProperty(i)) {
+                    inner += elementToText(element.contents[i]);
+                }
+            }
+
+            return inner;
+
+        }
+
+        /* styling of text spans */
+
+        /* SubRip players display character references literally */
+
+        var text = element.text;
+
+        var fs = element.styleAttrs[imscStyles.byName.fontStyle.qname];
+
+        if (fs === "italic" || fs === "oblique") {
+            text = "<i>" + text + "</i>";
+        }
+
+        if (element.styleAttrs[imscStyles.byName.fontWeight.qname] === "bold") {
+            text = "<b>" + text + "</b>";
+        }
+
+        var td = element.styleAttrs[imscStyles.byName.textDecoration.qname];
+
+        if (td && td.indexOf("underline") !== -1) {
+            text = "<u>" + text + "</u>";
+        }
+
+        var c = element.styleAttrs[imscStyles.byName.color.qname];
+
+        if (c && c.toString() !== "255,255,255,255") {
+            text = '<font color="#' + c.slice(0, 3).map(function (v) {
+                return (v < 16 ? "0" : "") + v.toString(16);
+            }).join("") + '">' + text + "</font>";
+        }
+
+        return text;
+    }
+
+})(typeof exports === 'undefined' ? this.imscSRT = {} : exports,
+    typeof imscDoc === 'undefined' ? require("./doc") : imscDoc,
+    typeof imscISD === 'undefined' ? require("./isd") : imscISD,
+    typeof imscNames === 'undefined' ? require("./names") : imscNames,
+    typeof imscStyles === 'undefined' ? require("./styles") : imscStyles,
+    typeof imscTTML === 'undefined' ? require("./ttml") : imscTTML,
+    typeof imscUtils === 'undefined' ? require("./utils") : imscUtils);
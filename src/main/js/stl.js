@@ -0,0 +1,728 @@
+/* 
+ * Copyright (c) 2016, Pierre-Anthony Lemieux <pal@sandflow.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice, this
+ *   list of conditions and the following disclaimer.
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/**
+ * @module imscSTL
+ */
+
+;
+(function (imscSTL, imscDoc, imscNames, imscTTML, imscUtils) { // wrapper for non-node envs
+
+    /**
+     * Parses an EBU STL (EBU Tech 3264) file into the same opaque in-memory
+     * representation returned by <pre>imscDoc.fromXML()</pre>, following the
+     * mapping to EBU-TT-D.
+     * 
+     * The frame rate, display standard and character code table are read from
+     * the GSI block, and each TTI block (and its extension blocks) is mapped to
+     * a <pre>p</pre> element. The vertical position of the subtitle determines
+     * its region, the justification code its alignment, and teletext and open
+     * subtitling control codes are mapped to styled <pre>span</pre> elements.
+     * Subtitle times are offset by the start-of-programme time code.
+     * 
+     * @param {ArrayBuffer} buffer EBU STL file
+     * @param {?module:imscUtils.ErrorHandler} errorHandler Error callback
+     * @returns {Object} Opaque in-memory representation of an IMSC1 document
+     */
+
+    imscSTL.fromSTL = function (buffer, errorHandler) {
+
+        var bytes = new Uint8Array(buffer);
+
+        if (bytes.length < GSI_SIZE) {
+
+            imscUtils.reportFatal(errorHandler, "Missing GSI block", "missing-header");
+
+        }
+
+        var gsi = parseGSI(bytes, errorHandler);
+
+        var tti_count = Math.floor((bytes.length - GSI_SIZE) / TTI_SIZE);
+
+        if (gsi.blockCount !== null && gsi.blockCount !== tti_count) {
+
+            imscUtils.reportWarning(errorHandler, "Number of TTI blocks (" + tti_count + ") does not match the GSI block (" + gsi.blockCount + ")", "malformed-input");
+
+        }
+
+        var subtitles = [];
+
+        var current = null;
+
+        for (var i = 0; i < tti_count; i++) {
+
+            var tti = parseTTI(bytes, GSI_SIZE + i * TTI_SIZE);
+
+            /* user data and comments are not displayed */
+
+            if (tti.ebn === 0xFE || tti.cf === 1) continue;
+
+            if (current !== null && current.sn === tti.sn && current.sgn === tti.sgn) {
+
+                /* extension block */
+
+                current.text = current.text.concat(tti.text);
+
+            } else {
+
+                current = tti;
+
+                subtitles.push(current);
+
+            }
+
+            if (tti.ebn === 0xFF) {
+                current = null;
+            }
+
+        }
+
+        return imscDoc.fromXML(subtitlesToTTML(gsi, subtitles, errorHandler), errorHandler);
+
+    };
+
+    var GSI_SIZE = 1024;
+
+    var TTI_SIZE = 128;
+
+    /* code pages of the GSI block */
+
+    var CODE_PAGES = ["437", "850", "860", "863", "865"];
+
+    var FRAME_RATES = {
+        "STL25.01": 25,
+        "STL30.01": 30
+    };
+
+    /* the subtitle area occupies the central 80% of the video */
+
+    var SAFE_AREA_ORIGIN = 10;
+
+    var SAFE_AREA_EXTENT = 80;
+
+    /* number of teletext rows available to subtitles */
+
+    var TELETEXT_ROWS = 23;
+
+    function parseGSI(bytes, errorHandler) {
+
+        var gsi = {};
+
+        var cpn = readASCII(bytes, 0, 3);
+
+        if (CODE_PAGES.indexOf(cpn) === -1) {
+
+            imscUtils.reportWarning(errorHandler, "Unknown GSI code page " + cpn, "unsupported-value");
+
+        }
+
+        var dfc = readASCII(bytes, 3, 8);
+
+        gsi.frameRate = FRAME_RATES[dfc];
+
+        if (gsi.frameRate === undefined) {
+
+            imscUtils.reportWarning(errorHandler, "Unknown disk format code " + dfc + " (assuming 25 frames per second)", "unsupported-value");
+
+            gsi.frameRate = 25;
+
+        }
+
+        /* open subtitling uses display standard 0, teletext 1 and 2, and undefined is treated as teletext */
+
+        var dsc = readASCII(bytes, 11, 1);
+
+        gsi.isTeletext = dsc !== "0";
+
+        gsi.charset = readASCII(bytes, 12, 2);
+
+        if (!(gsi.charset in CHARSETS)) {
+
+            imscUtils.reportWarning(errorHandler, "Unknown character code table " + gsi.charset + " (assuming Latin)", "unsupported-value");
+
+            gsi.charset = "00";
+
+        }
+
+        gsi.blockCount = readNumber(bytes, 238, 5);
+
+        gsi.maxRows = readNumber(bytes, 253, 2);
+
+        if (!gsi.isTeletext && (gsi.maxRows === null || gsi.maxRows === 0)) {
+
+            imscUtils.reportWarning(errorHandler, "Invalid maximum number of displayable rows (assuming " + TELETEXT_ROWS + ")", "malformed-input");
+
+            gsi.maxRows = TELETEXT_ROWS;
+
+        }
+
+        /* start-of-programme time code */
+
+        var tcp = /^(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(readASCII(bytes, 256, 8));
+
+        gsi.startFrame = tcp === null ? 0 : timeCodeToFrames(
+            parseInt(tcp[1]),
+            parseInt(tcp[2]),
+            parseInt(tcp[3]),
+            parseInt(tcp[4]),
+            gsi.frameRate
+            );
+
+        return gsi;
+    }
+
+    function parseTTI(bytes, offset) {
+
+        return {
+            sgn: bytes[offset],
+            sn: bytes[offset + 1] | (bytes[offset + 2] << 8),
+            ebn: bytes[offset + 3],
+            tci: bytes.subarray(offset + 5, offset + 9),
+            tco: bytes.subarray(offset + 9, offset + 13),
+            vp: bytes[offset + 13],
+            jc: bytes[offset + 14],
+            cf: bytes[offset + 15],
+            text: trimUnusedSpace(Array.prototype.slice.call(bytes.subarray(offset + 16, offset + TTI_SIZE)))
+        };
+
+    }
+
+    /* unused space is padded with 0x8F, which allows text to be split across extension blocks */
+
+    function trimUnusedSpace(text) {
+
+        var i = text.indexOf(0x8F);
+
+        return i === -1 ? text : text.slice(0, i);
+
+    }
+
+    function readASCII(bytes, offset, length) {
+
+        return String.fromCharCode.apply(null, bytes.subarray(offset, offset + length));
+
+    }
+
+    function readNumber(bytes, offset, length) {
+
+        var s = readASCII(bytes, offset, length).trim();
+
+        return /^\d+$/.test(s) ? parseInt(s) : null;
+
+    }
+
+    function timeCodeToFrames(h, m, s, f, frameRate) {
+
+        return ((h * 60 + m) * 60 + s) * frameRate + f;
+
+    }
+
+    /*
+     * TEXT FIELD DECODING
+     * 
+     */
+
+    var TELETEXT_COLORS = ["black", "red", "lime", "yellow", "blue", "magenta", "cyan", "white"];
+
+    /* ISO 6937 characters in the range 0xA0 to 0xFF, excluding the diacritical marks */
+
+    var ISO6937_CHARS = {
+        0xA0: "\u00a0", 0xA1: "¡", 0xA2: "¢", 0xA3: "£", 0xA4: "$", 0xA5: "¥", 0xA6: "#", 0xA7: "§", 0xA8: "¤", 0xA9: "‘",
+        0xAA: "“", 0xAB: "«", 0xAC: "←", 0xAD: "↑", 0xAE: "→", 0xAF: "↓",
+        0xB0: "°", 0xB1: "±", 0xB2: "²", 0xB3: "³", 0xB4: "×", 0xB5: "µ", 0xB6: "¶", 0xB7: "·",
+        0xB8: "÷", 0xB9: "’", 0xBA: "”", 0xBB: "»", 0xBC: "¼", 0xBD: "½", 0xBE: "¾", 0xBF: "¿",
+        0xD0: "―", 0xD1: "¹", 0xD2: "®", 0xD3: "©", 0xD4: "™", 0xD5: "♪", 0xD6: "¬", 0xD7: "¦",
+        0xDC: "⅛", 0xDD: "⅜", 0xDE: "⅝", 0xDF: "⅞",
+        0xE0: "Ω", 0xE1: "Æ", 0xE2: "Đ", 0xE3: "ª", 0xE4: "Ħ", 0xE6: "Ĳ", 0xE7: "Ŀ",
+        0xE8: "Ł", 0xE9: "Ø", 0xEA: "Œ", 0xEB: "º", 0xEC: "Þ", 0xED: "Ŧ", 0xEE: "Ŋ", 0xEF: "ŉ",
+        0xF0: "ĸ", 0xF1: "æ", 0xF2: "đ", 0xF3: "ð", 0xF4: "ħ", 0xF5: "ı", 0xF6: "ĳ", 0xF7: "ŀ",
+        0xF8: "ł", 0xF9: "ø", 0xFA: "œ", 0xFB: "ß", 0xFC: "þ", 0xFD: "ŧ", 0xFE: "ŋ", 0xFF: "\u00ad"
+    };
+
+    /* ISO 6937 non-spacing diacritical marks, which precede the character they modify */
+
+    var ISO6937_DIACRITICS = {
+        0xC1: "\u0300", 0xC2: "\u0301", 0xC3: "\u0302", 0xC4: "\u0303", 0xC5: "\u0304",
+        0xC6: "\u0306", 0xC7: "\u0307", 0xC8: "\u0308", 0xCA: "\u030a", 0xCB: "\u0327",
+        0xCD: "\u030b", 0xCE: "\u0328", 0xCF: "\u030c"
+    };
+
+    /* ISO 8859-7 characters that are identical to ISO 8859-1 */
+
+    var GREEK_LATIN1 = [0xA3, 0xA6, 0xA7, 0xA8, 0xA9, 0xAB, 0xAC, 0xAD, 0xB0, 0xB1, 0xB2, 0xB3, 0xB7, 0xBB, 0xBD];
+
+    /*
+     * Character code tables, which map a byte in the range 0xA0 to 0xFF to a
+     * character, or return null if the byte is undefined
+     */
+
+    var CHARSETS = {
+
+        /* Latin (ISO 6937) */
+
+        "00": function (b) {
+            return ISO6937_CHARS[b] || null;
+        },
+
+        /* Latin/Cyrillic (ISO 8859-5) */
+
+        "01": function (b) {
+            if (b === 0xA0) return "\u00a0";
+            if (b === 0xAD) return "\u00ad";
+            if (b === 0xF0) return "№";
+            if (b === 0xFD) return "§";
+            return String.fromCharCode(b + 0x0360);
+        },
+
+        /* Latin/Arabic (ISO 8859-6) */
+
+        "02": function (b) {
+            if (b === 0xA0) return "\u00a0";
+            if (b === 0xAC) return "،";
+            if (b === 0xBB) return "؛";
+            if (b === 0xBF) return "؟";
+            if ((b >= 0xC1 && b <= 0xDA) || (b >= 0xE0 && b <= 0xF2)) return String.fromCharCode(b + 0x0560);
+            return null;
+        },
+
+        /* Latin/Greek (ISO 8859-7) */
+
+        "03": function (b) {
+            if (b === 0xA0) return "\u00a0";
+            if (b === 0xA1) return "‘";
+            if (b === 0xA2) return "’";
+            if (b === 0xAF) return "―";
+            if (GREEK_LATIN1.indexOf(b) !== -1) return String.fromCharCode(b);
+            if (b >= 0xB4 && b <= 0xFE && b !== 0xD2) return String.fromCharCode(b + 0x02D0);
+            return null;
+        },
+
+        /* Latin/Hebrew (ISO 8859-8) */
+
+        "04": function (b) {
+            if (b === 0xA0) return "\u00a0";
+            if (b >= 0xE0 && b <= 0xFA) return String.fromCharCode(b + 0x04F0);
+            return null;
+        }
+
+    };
+
+    /*
+     * Decodes a text field into rows, each a list of runs of text with
+     * identical styles
+     */
+
+    function decodeText(bytes, gsi) {
+
+        var rows = [];
+
+        var row = null;
+
+        /* open subtitling styles persist across rows */
+
+        var open_style = {italic: false, underline: false, boxed: false};
+
+        var style;
+
+        var diacritic = null;
+
+        function startRow() {
+
+            row = {runs: [], hasBox: false};
+
+            style = {
+                color: "white",
+                backgroundColor: "black",
+                italic: open_style.italic,
+                underline: open_style.underline,
+                boxed: open_style.boxed
+            };
+
+            rows.push(row);
+
+        }
+
+        function append(ch) {
+
+            if (diacritic !== null) {
+
+                ch = ch + diacritic;
+
+                ch = ch.normalize ? ch.normalize("NFC") : ch;
+
+                diacritic = null;
+
+            }
+
+            var last = row.runs.length > 0 ? row.runs[row.runs.length - 1] : null;
+
+            if (last !== null && sameStyle(last.style, style)) {
+
+                last.text += ch;
+
+            } else {
+
+                row.runs.push({text: ch, style: copyStyle(style)});
+
+            }
+
+        }
+
+        startRow();
+
+        for (var i = 0; i < bytes.length; i++) {
+
+            var b = bytes[i];
+
+            if (b === 0x8A) {
+
+                startRow();
+
+            } else if (gsi.isTeletext && b <= 0x07) {
+
+                style.color = TELETEXT_COLORS[b];
+
+            } else if (gsi.isTeletext && b === 0x0A) {
+
+                style.boxed = false;
+
+            } else if (gsi.isTeletext && b === 0x0B) {
+
+                style.boxed = true;
+
+                row.hasBox = true;
+
+            } else if (gsi.isTeletext && b === 0x1C) {
+
+                style.backgroundColor = "black";
+
+            } else if (gsi.isTeletext && b === 0x1D) {
+
+                style.backgroundColor = style.color;
+
+            } else if (b >= 0x80 && b <= 0x85) {
+
+                var on = (b & 0x01) === 0;
+
+                if (b <= 0x81) {
+                    open_style.italic = style.italic = on;
+                } else if (b <= 0x83) {
+                    open_style.underline = style.underline = on;
+                } else if (!gsi.isTeletext) {
+                    open_style.boxed = style.boxed = on;
+                }
+
+            } else if (b < 0x20 || (b >= 0x86 && b <= 0x9F)) {
+
+                /* other control codes, e.g. flash and double height, are not mapped */
+
+                continue;
+
+            } else if (gsi.charset === "00" && b in ISO6937_DIACRITICS) {
+
+                diacritic = ISO6937_DIACRITICS[b];
+
+            } else if (b < 0x7F) {
+
+                append(String.fromCharCode(b));
+
+            } else if (b >= 0xA0) {
+
+                var ch = CHARSETS[gsi.charset](b);
+
+                if (ch !== null) {
+                    append(ch);
+                }
+
+            }
+
+        }
+
+        /* in teletext, only boxed text is displayed in rows that contain a box */
+
+        if (gsi.isTeletext) {
+
+            rows.forEach(function (r) {
+
+                if (r.hasBox) {
+
+                    r.runs = r.runs.filter(function (run) {
+                        return run.style.boxed;
+                    });
+
+                }
+
+            });
+
+        }
+
+        /* remove leading and trailing spaces, and empty rows */
+
+        return rows.filter(function (r) {
+
+            if (r.runs.length > 0) {
+
+                r.runs[0].text = r.runs[0].text.replace(/^\s+/, "");
+
+                r.runs[r.runs.length - 1].text = r.runs[r.runs.length - 1].text.replace(/\s+$/, "");
+
+            }
+
+            r.runs = r.runs.filter(function (run) {
+                return run.text.length > 0;
+            });
+
+            return r.runs.length > 0;
+
+        });
+
+    }
+
+    function copyStyle(s) {
+
+        return {
+            color: s.color,
+            backgroundColor: s.backgroundColor,
+            italic: s.italic,
+            underline: s.underline,
+            boxed: s.boxed
+        };
+
+    }
+
+    function sameStyle(a, b) {
+
+        return a.color === b.color &&
+            a.backgroundColor === b.backgroundColor &&
+            a.italic === b.italic &&
+            a.underline === b.underline &&
+            a.boxed === b.boxed;
+
+    }
+
+    /*
+     * TTML GENERATION
+     * 
+     */
+
+    /* justification codes */
+
+    var TEXT_ALIGN = ["center", "left", "center", "right"];
+
+    function subtitlesToTTML(gsi, subtitles, errorHandler) {
+
+        /* teletext subtitles use double height rows */
+
+        var row_count = gsi.isTeletext ? TELETEXT_ROWS : gsi.maxRows;
+
+        var row_height = SAFE_AREA_EXTENT / row_count;
+
+        var line_height = gsi.isTeletext ? 2 * row_height : row_height;
+
+        var regions = {};
+
+        var region_list = [];
+
+        var paragraphs = [];
+
+        for (var i = 0; i < subtitles.length; i++) {
+
+            var s = subtitles[i];
+
+            var begin = timeCodeToFrames(s.tci[0], s.tci[1], s.tci[2], s.tci[3], gsi.frameRate) - gsi.startFrame;
+
+            var end = timeCodeToFrames(s.tco[0], s.tco[1], s.tco[2], s.tco[3], gsi.frameRate) - gsi.startFrame;
+
+            if (begin < 0 || end <= begin) {
+
+                imscUtils.reportWarning(errorHandler, "Ignoring subtitle " + s.sn + " with invalid time codes", "invalid-time");
+
+                continue;
+
+            }
+
+            var rows = decodeText(s.text, gsi);
+
+            if (rows.length === 0) continue;
+
+            /* rows are numbered from 1 */
+
+            var vp = Math.min(Math.max(s.vp, 1), row_count);
+
+            var region_id = "vp" + vp;
+
+            if (!(region_id in regions)) {
+
+                regions[region_id] = true;
+
+                var top = SAFE_AREA_ORIGIN + (vp - 1) * row_height;
+
+                region_list.push([
+                    ["xml:id", region_id],
+                    ["tts:origin", formatPercentage(SAFE_AREA_ORIGIN) + " " + formatPercentage(top)],
+                    ["tts:extent", formatPercentage(SAFE_AREA_EXTENT) + " " + formatPercentage(SAFE_AREA_ORIGIN + SAFE_AREA_EXTENT - top)],
+                    ["tts:displayAlign", "before"],
+                    ["tts:overflow", "visible"]
+                ]);
+
+            }
+
+            paragraphs.push({
+                region: region_id,
+                begin: begin,
+                end: end,
+                jc: s.jc < TEXT_ALIGN.length ? s.jc : 0,
+                rows: rows
+            });
+
+        }
+
+        var w = new imscTTML.XMLWriter("");
+
+        w.declaration();
+
+        w.open("tt", [
+            ["xmlns", imscNames.ns_tt],
+            ["xmlns:ttp", imscNames.ns_ttp],
+            ["xmlns:tts", imscNames.ns_tts],
+            ["xmlns:ebutts", imscNames.ns_ebutts],
+            ["xml:lang", ""],
+            ["ttp:contentProfiles", "http://www.w3.org/ns/ttml/profile/imsc1.1/text"],
+            ["ttp:frameRate", gsi.frameRate]
+        ]);
+
+        w.open("head", []);
+
+        w.open("styling", []);
+
+        w.empty("initial", [
+            ["tts:fontSize", imscUtils.formatNumber(line_height / 1.2) + "rh"],
+            ["tts:lineHeight", "120%"]
+        ]);
+
+        w.close("styling");
+
+        w.open("layout", []);
+
+        for (var j = 0; j < region_list.length; j++) {
+
+            w.empty("region", region_list[j]);
+
+        }
+
+        w.close("layout");
+
+        w.close("head");
+
+        w.open("body", []);
+
+        w.open("div", []);
+
+        for (var k = 0; k < paragraphs.length; k++) {
+
+            var p = paragraphs[k];
+
+            var attrs = [
+                ["region", p.region],
+                ["begin", p.begin + "f"],
+                ["end", p.end + "f"],
+                ["tts:textAlign", TEXT_ALIGN[p.jc]]
+            ];
+
+            /* unchanged presentation is mapped to a centered block of left-aligned lines */
+
+            if (p.jc === 0) {
+                attrs.push(["ebutts:multiRowAlign", "start"]);
+            }
+
+            attrs.push(["ebutts:linePadding", "0.5c"]);
+
+            w.open("p", attrs, false, true);
+
+            for (var r = 0; r < p.rows.length; r++) {
+
+                if (r > 0) {
+                    w.empty("br", [], true);
+                }
+
+                writeRuns(w, p.rows[r].runs);
+
+            }
+
+            w.close("p", false, true);
+
+        }
+
+        w.close("div");
+
+        w.close("body");
+
+        w.close("tt");
+
+        return w.toString();
+    }
+
+    function writeRuns(w, runs) {
+
+        for (var i = 0; i < runs.length; i++) {
+
+            var s = runs[i].style;
+
+            var attrs = [["tts:color", s.color]];
+
+            if (s.boxed) {
+                attrs.push(["tts:backgroundColor", s.backgroundColor]);
+            }
+
+            if (s.italic) {
+                attrs.push(["tts:fontStyle", "italic"]);
+            }
+
+            if (s.underline) {
+                attrs.push(["tts:textDecoration", "underline"]);
+            }
+
+            w.open("span", attrs, true);
+
+            w.text(runs[i].text);
+
+            w.close("span", true);
+
+        }
+
+    }
+
+    function formatPercentage(v) {
+
+        return parseFloat(v.toFixed(4)).toString() + "%";
+
+    }
+
+})(typeof exports === 'undefined' ? this.imscSTL = {} : exports,
+    typeof imscDoc === 'undefined' ? require("./doc") : imscDoc,
+    typeof imscNames === 'undefined' ? require("./names") : imscNames,
+    typeof imscTTML === 'undefined' ? require("./ttml") : imscTTML,
+    typeof imscUtils === 'undefined' ? require("./utils") : imscUtils);
@@ -0,0 +1,874 @@
+/* 
+ * Copyright (c) 2016, Pierre-Anthony Lemieux <pal@sandflow.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice, this
+ *   list of conditions and the following disclaimer.
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/**
+ * @module imscTTML
+ */
+
+;
+(function (imscTTML, imscNames, imscStyles, imscUtils) { // wrapper for non-node envs
+
+    /**
+     * Options that control how a document is serialized
+     * @typedef {Object} SerializeOptions
+     * @property {?string} indent String used to indent each nesting level of
+     *                            elements that do not contain text, or no indentation
+     *                            if absent
+     */
+
+    /**
+     * Serializes a document returned by <pre>imscDoc.fromXML()</pre> into an
+     * IMSC 1.1 XML document. Referential styling is not preserved: the styles
+     * of each element are specified inline. Times are expressed in seconds,
+     * relative to the media time base, or in ticks when the exact times of a
+     * document parsed with <pre>rationalTime</pre> cannot be expressed in seconds.
+     * 
+     * @param {Object} tt IMSC1 document
+     * @param {?SerializeOptions} options Serialization options
+     * @returns {string} XML document
+     */
+
+    imscTTML.toXML = function (tt, options) {
+
+        var w = new XMLWriter(options && options.indent ? options.indent : "");
+
+        w.declaration();
+
+        /* root element */
+
+        var attrs = [
+            ["xmlns", imscNames.ns_tt],
+            ["xmlns:ttp", imscNames.ns_ttp],
+            ["xmlns:tts", imscNames.ns_tts],
+            ["xmlns:ttm", imscNames.ns_ttm],
+            ["xmlns:itts", imscNames.ns_itts],
+            ["xmlns:ittp", imscNames.ns_ittp],
+            ["xmlns:ebutts", imscNames.ns_ebutts],
+            ["xml:lang", tt.lang || ""],
+            ["ttp:contentProfiles", hasImages(tt.body) ? PROFILE_IMAGE : PROFILE_TEXT],
+            ["ttp:cellResolution", Math.round(1 / tt.cellLength.w.rw) + " " + Math.round(1 / tt.cellLength.h.rh)]
+        ];
+
+        if (tt.pxLength.w !== null && tt.pxLength.h !== null) {
+
+            attrs.push(["tts:extent", Math.round(1 / tt.pxLength.w.rw) + "px " + Math.round(1 / tt.pxLength.h.rh) + "px"]);
+
+        }
+
+        if (tt.aspectRatio) {
+
+            attrs.push(["ittp:aspectRatio", serializeRatio(tt.aspectRatio)]);
+
+        }
+
+        var tickRate = exactTickRate(tt);
+
+        if (tickRate !== null) {
+
+            attrs.push(["ttp:tickRate", tickRate.toString()]);
+
+        }
+
+        w.open("tt", attrs);
+
+        /* head */
+
+        w.open("head", []);
+
+        serializeMetadata(w, tt.head);
+
+        serializeStyling(w, tt.head.styling);
+
+        serializeLayout(w, tt.head.layout, tickRate);
+
+        w.close("head");
+
+        /* body */
+
+        if (tt.body) {
+
+            serializeContentElement(w, tt.body, 0, "default", false, tickRate);
+
+        }
+
+        w.close("tt");
+
+        return w.toString();
+
+    };
+
+    var PROFILE_TEXT = "http://www.w3.org/ns/ttml/profile/imsc1.1/text";
+
+    var PROFILE_IMAGE = "http://www.w3.org/ns/ttml/profile/imsc1.1/image";
+
+    /* prefixes of the namespaces of styling attributes */
+
+    var STYLE_PREFIXES = {};
+
+    STYLE_PREFIXES[imscNames.ns_tts] = "tts";
+    STYLE_PREFIXES[imscNames.ns_itts] = "itts";
+    STYLE_PREFIXES[imscNames.ns_ebutts] = "ebutts";
+    STYLE_PREFIXES[imscNames.ns_smpte] = "smpte";
+
+    function hasImages(element) {
+
+        if (!element) return false;
+
+        if (element.kind === 'image') return true;
+
+        for (var i in element.contents) {
+            if (element.contents.hasOwnProperty(i)) {
+                if (hasImages(element.contents[i])) return true;
+            }
+        }
+
+        return false;
+    }
+
+    function serializeMetadata(w, head) {
+
+        var agents = head.agents || {};
+
+        var ids = Object.keys(agents);
+
+        var texts = ["title", "desc", "copyright"].filter(function (name) {
+            return head.metadata && typeof head.metadata[name] === "string";
+        });
+
+        if (ids.length === 0 && texts.length === 0) return;
+
+        w.open("metadata", []);
+
+        for (var k = 0; k < texts.length; k++) {
+
+            w.open("ttm:" + texts[k], [], false, true);
+
+            w.text(head.metadata[texts[k]]);
+
+            w.close("ttm:" + texts[k], false, true);
+
+        }
+
+        for (var i = 0; i < ids.length; i++) {
+
+            var a = agents[ids[i]];
+
+            var attrs = [["xml:id", a.id], ["type", a.type]];
+
+            if (a.names.length === 0 && a.actor === null) {
+
+                w.empty("ttm:agent", attrs);
+
+                continue;
+
+            }
+
+            w.open("ttm:agent", attrs);
+
+            for (var j = 0; j < a.names.length; j++) {
+
+                w.open("ttm:name", [["type", a.names[j].type]], false, true);
+
+                w.text(a.names[j].text);
+
+                w.close("ttm:name", false, true);
+
+            }
+
+            if (a.actor !== null) {
+
+                w.empty("ttm:actor", [["agent", a.actor]]);
+
+            }
+
+            w.close("ttm:agent");
+
+        }
+
+        w.close("metadata");
+
+    }
+
+    function serializeStyling(w, styling) {
+
+        var attrs = [];
+
+        for (var qname in styling.initials) {
+            if (styling.initials.hasOwnProperty(qname)) {
+
+                var name = qnameToAttrName(qname);
+
+                if (name !== null) {
+                    attrs.push([name, styling.initials[qname]]);
+                }
+
+            }
+        }
+
+        if (attrs.length === 0) return;
+
+        w.open("styling", []);
+
+        w.empty("initial", attrs);
+
+        w.close("styling");
+
+    }
+
+    function serializeLayout(w, layout, tickRate) {
+
+        var ids = [];
+
+        for (var id in layout.regions) {
+            if (layout.regions.hasOwnProperty(id) && id !== '') {
+                ids.push(id);
+            }
+        }
+
+        /* the default region is created again when the document is parsed */
+
+        if (ids.length === 0) return;
+
+        w.open("layout", []);
+
+        for (var i = 0; i < ids.length; i++) {
+
+            var r = layout.regions[ids[i]];
+
+            var attrs = [["xml:id", r.id]];
+
+            serializeCondition(attrs, r);
+
+            serializeTiming(attrs, r, 0, tickRate);
+
+            serializeStyles(attrs, r.styleAttrs);
+
+            if (r.sets && r.sets.length > 0) {
+
+                w.open("region", attrs);
+
+                serializeSets(w, r.sets, r.begin, false, tickRate);
+
+                w.close("region");
+
+            } else {
+
+                w.empty("region", attrs);
+
+            }
+
+        }
+
+        w.close("layout");
+
+    }
+
+    function serializeContentElement(w, element, parentBegin, parentSpace, inline, tickRate) {
+
+        /* anonymous spans are serialized as text, unless they carry styles */
+
+        if (element.kind === 'span' && !('sets' in element)) {
+
+            if (isEmptyObject(element.styleAttrs) && element.space === parentSpace) {
+
+                w.text(element.text);
+
+            } else {
+
+                var aattrs = [];
+
+                if (element.space !== parentSpace) {
+                    aattrs.push(["xml:space", element.space]);
+                }
+
+                serializeStyles(aattrs, element.styleAttrs);
+
+                w.open("span", aattrs, true);
+
+                w.text(element.text);
+
+                w.close("span", true);
+
+            }
+
+            return;
+        }
+
+        var attrs = [];
+
+        if (element.id) {
+            attrs.push(["xml:id", element.id]);
+        }
+
+        if (element.regionID) {
+            attrs.push(["region", element.regionID]);
+        }
+
+        if (element.agents && element.agents.length > 0) {
+            attrs.push(["ttm:agent", element.agents.join(" ")]);
+        }
+
+        if (element.roles && element.roles.length > 0) {
+            attrs.push(["ttm:role", element.roles.join(" ")]);
+        }
+
+        serializeCondition(attrs, element);
+
+        if (element.kind === 'image') {
+            attrs.push(["src", element.src]);
+            attrs.push(["type", element.type || "image/png"]);
+        }
+
+        var space = parentSpace;
+
+        if ('space' in element && element.space !== parentSpace) {
+            attrs.push(["xml:space", element.space]);
+            space = element.space;
+        }
+
+        serializeTiming(attrs, element, parentBegin, tickRate);
+
+        serializeStyles(attrs, element.styleAttrs);
+
+        /* whitespace is significant within <p>, so its contents are not indented */
+
+        var mixed = element.kind === 'p' || element.kind === 'span';
+
+        var hasSets = element.sets && element.sets.length > 0;
+
+        var children = (element.contents || []).filter(function (c) {
+            return c !== undefined;
+        });
+
+        if (!hasSets && children.length === 0 && !('text' in element)) {
+
+            w.empty(element.kind, attrs, inline);
+
+            return;
+        }
+
+        w.open(element.kind, attrs, inline, mixed);
+
+        if (hasSets) {
+            serializeSets(w, element.sets, element.begin, inline || mixed, tickRate);
+        }
+
+        if ('text' in element) {
+
+            w.text(element.text);
+
+        }
+
+        for (var i = 0; i < children.length; i++) {
+            serializeContentElement(w, children[i], element.begin, space, inline || mixed, tickRate);
+        }
+
+        w.close(element.kind, inline, mixed);
+
+    }
+
+    function serializeSets(w, sets, parentBegin, inline, tickRate) {
+
+        for (var i = 0; i < sets.length; i++) {
+
+            if (sets[i].animations) {
+
+                serializeAnimate(w, sets[i], parentBegin, inline, tickRate);
+
+                continue;
+            }
+
+            if (sets[i].qname === null) continue;
+
+            var attrs = [];
+
+            serializeCondition(attrs, sets[i]);
+
+            serializeTiming(attrs, sets[i], parentBegin, tickRate);
+
+            var name = qnameToAttrName(sets[i].qname);
+
+            if (name !== null) {
+                attrs.push([name, serializeStyleValue(sets[i].qname, sets[i].value)]);
+            }
+
+            w.empty("set", attrs, inline);
+
+        }
+
+    }
+
+    function serializeAnimate(w, animate, parentBegin, inline, tickRate) {
+
+        if (animate.animations.length === 0) return;
+
+        var attrs = [];
+
+        serializeCondition(attrs, animate);
+
+        /* the animation begins where its first iteration begins, e.g. before clipping */
+
+        serializeTiming(attrs, {begin: animate.animationBegin, end: animate.end}, parentBegin, tickRate);
+
+        if (isTime(animate.simpleDuration)) {
+            attrs.push(["dur", serializeTime(animate.simpleDuration, tickRate)]);
+        }
+
+        if (animate.repeatCount !== 1) {
+            attrs.push(["repeatCount", isFinite(animate.repeatCount) ? animate.repeatCount.toString() : "indefinite"]);
+        }
+
+        if (animate.calcMode !== "linear") {
+            attrs.push(["calcMode", animate.calcMode]);
+        }
+
+        if (animate.keyTimes !== null) {
+            attrs.push(["keyTimes", animate.keyTimes.join(";")]);
+        }
+
+        if (animate.keySplines !== null) {
+            attrs.push(["keySplines", animate.keySplines.map(function (s) {
+                return s.join(" ");
+            }).join(";")]);
+        }
+
+        if (animate.fill !== "remove") {
+            attrs.push(["fill", animate.fill]);
+        }
+
+        for (var i = 0; i < animate.animations.length; i++) {
+
+            var a = animate.animations[i];
+
+            var name = qnameToAttrName(a.qname);
+
+            if (name === null) continue;
+
+            var values = [];
+
+            for (var j = 0; j < a.values.length; j++) {
+                values.push(serializeStyleValue(a.qname, a.values[j]));
+            }
+
+            attrs.push([name, values.join(";")]);
+
+        }
+
+        w.empty("animate", attrs, inline);
+
+    }
+
+    function serializeCondition(attrs, element) {
+
+        if (element.condition) {
+            attrs.push(["condition", element.condition.expression]);
+        }
+
+    }
+
+    function serializeTiming(attrs, element, parentBegin, tickRate) {
+
+        /* the times of elements without timing, e.g. images created from
+         * smpte:backgroundImage, can be NaN */
+
+        if (isTime(element.begin) && Number(timeSub(element.begin, parentBegin)) !== 0) {
+            attrs.push(["begin", serializeTime(timeSub(element.begin, parentBegin), tickRate)]);
+        }
+
+        if (isTime(element.end)) {
+            attrs.push(["end", serializeTime(timeSub(element.end, parentBegin), tickRate)]);
+        }
+
+    }
+
+    function isTime(t) {
+
+        return t instanceof imscUtils.Rational || (typeof t === "number" && isFinite(t));
+
+    }
+
+    function timeSub(a, b) {
+
+        return a instanceof imscUtils.Rational ? a.sub(b) : a - b;
+
+    }
+
+    function serializeTime(t, tickRate) {
+
+        /* exact times are expressed in ticks if they cannot be expressed in seconds */
+
+        if (t instanceof imscUtils.Rational && tickRate !== null) {
+            return t.mul(tickRate).toString() + "t";
+        }
+
+        /* express offsets in seconds, with microsecond precision */
+
+        return parseFloat(Number(t).toFixed(6)).toString() + "s";
+
+    }
+
+    /*
+     * Returns the tick rate at which all the exact times of a document parsed
+     * with rationalTime are integers, or null if they can be expressed in
+     * seconds with microsecond precision
+     */
+
+    function exactTickRate(tt) {
+
+        if (!tt.rationalTime) return null;
+
+        var rate = 1;
+
+        function addTime(t) {
+
+            if (t instanceof imscUtils.Rational) {
+                rate = lcm(rate, t.den);
+            }
+
+        }
+
+        function addElement(element) {
+
+            addTime(element.begin);
+            addTime(element.end);
+
+            for (var i in element.sets) {
+                if (element.sets.hasOwnProperty(i)) {
+                    addTime(element.sets[i].begin);
+                    addTime(element.sets[i].end);
+                    addTime(element.sets[i].animationBegin);
+                    addTime(element.sets[i].simpleDuration);
+                }
+            }
+
+            for (var j in element.contents) {
+                if (element.contents.hasOwnProperty(j)) {
+                    addElement(element.contents[j]);
+                }
+            }
+
+        }
+
+        for (var r in tt.head.layout.regions) {
+            if (tt.head.layout.regions.hasOwnProperty(r)) {
+                addElement(tt.head.layout.regions[r]);
+            }
+        }
+
+        if (tt.body) {
+            addElement(tt.body);
+        }
+
+        return 1000000 % rate === 0 ? null : rate;
+    }
+
+    function lcm(a, b) {
+
+        var x = a;
+        var y = b;
+
+        while (y !== 0) {
+            var t = y;
+            y = x % y;
+            x = t;
+        }
+
+        return a / x * b;
+    }
+
+    function serializeRatio(r) {
+
+        /* find the smallest integer ratio that approximates r */
+
+        for (var d = 1; d < 1000; d++) {
+
+            var n = Math.round(r * d);
+
+            if (Math.abs(n / d - r) < 1e-6) {
+                return n + " " + d;
+            }
+
+        }
+
+        return Math.round(r * 1000) + " 1000";
+    }
+
+    function serializeStyles(attrs, styleAttrs) {
+
+        for (var qname in styleAttrs) {
+            if (styleAttrs.hasOwnProperty(qname)) {
+
+                var name = qnameToAttrName(qname);
+
+                if (name === null) continue;
+
+                attrs.push([name, serializeStyleValue(qname, styleAttrs[qname])]);
+
+            }
+        }
+
+    }
+
+    function qnameToAttrName(qname) {
+
+        var i = qname.indexOf(" ");
+
+        var prefix = STYLE_PREFIXES[qname.substring(0, i)];
+
+        return prefix ? prefix + ":" + qname.substring(i + 1) : null;
+    }
+
+    /*
+     * Serializes the value of a styling attribute, as returned by the parse
+     * function of its definition in imscStyles
+     */
+
+    function serializeStyleValue(qname, value) {
+
+        if (qname === imscStyles.byName.fontFamily.qname) {
+
+            return value.join(",");
+
+        } else if (qname === imscStyles.byName.position.qname) {
+
+            return value.h.edge + " " + serializeLength(value.h.offset) + " " +
+                value.v.edge + " " + serializeLength(value.v.offset);
+
+        } else if (qname === imscStyles.byName.rubyReserve.qname) {
+
+            return value[1] === null ? value[0] : value[0] + " " + serializeLength(value[1]);
+
+        } else if (qname === imscStyles.byName.textEmphasis.qname) {
+
+            if (value.style === "none" || value.style === "auto") {
+                return value.style;
+            }
+
+            return [
+                value.style,
+                value.symbol,
+                value.color === "current" ? "current" : serializeColor(value.color),
+                value.position
+            ].join(" ");
+
+        } else if (qname === imscStyles.byName.textOutline.qname) {
+
+            if (value === "none") {
+                return value;
+            }
+
+            return (value.color === null ? "" : serializeColor(value.color) + " ") + serializeLength(value.thickness);
+
+        } else if (qname === imscStyles.byName.textShadow.qname) {
+
+            if (value === "none") {
+                return value;
+            }
+
+            return value.map(function (shadow) {
+
+                var s = [serializeLength(shadow[0]), serializeLength(shadow[1])];
+
+                if (shadow[2] !== null) s.push(serializeLength(shadow[2]));
+
+                if (shadow[3] !== null) s.push(serializeColor(shadow[3]));
+
+                return s.join(" ");
+
+            }).join(",");
+
+        } else if (qname === imscStyles.byName.color.qname ||
+            qname === imscStyles.byName.backgroundColor.qname) {
+
+            return serializeColor(value);
+
+        }
+
+        return serializeGenericValue(value);
+    }
+
+    function serializeGenericValue(value) {
+
+        if (value === null || value === undefined) {
+
+            return "";
+
+        } else if (Array.isArray(value)) {
+
+            /* lists of keywords (e.g. textDecoration) or lengths (e.g. padding) */
+
+            return value.map(serializeGenericValue).join(" ");
+
+        } else if (typeof value === "object" && 'unit' in value) {
+
+            return serializeLength(value);
+
+        } else if (typeof value === "object" && 'w' in value && 'h' in value) {
+
+            /* extent and origin */
+
+            return serializeLength(value.w) + " " + serializeLength(value.h);
+
+        }
+
+        return String(value);
+    }
+
+    function serializeLength(l) {
+
+        return parseFloat(l.value.toFixed(6)).toString() + l.unit;
+
+    }
+
+    function serializeColor(c) {
+
+        var s = "#";
+
+        for (var i = 0; i < 4; i++) {
+
+            s += (c[i] < 16 ? "0" : "") + c[i].toString(16);
+
+        }
+
+        return s;
+    }
+
+    function isEmptyObject(obj) {
+
+        for (var i in obj) {
+            if (obj.hasOwnProperty(i)) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Minimal XML writer, which indents elements unless they are inline, i.e.
+     * within mixed content. Used to serialize documents, and by importers that
+     * generate documents from other formats.
+     * 
+     * @param {string} indent String used to indent each nesting level
+     * @constructor
+     */
+
+    imscTTML.XMLWriter = XMLWriter;
+
+    function XMLWriter(indent) {
+        this.indent = indent;
+        this.depth = 0;
+        this.out = [];
+    }
+
+    XMLWriter.prototype.declaration = function () {
+        this.out.push('<?xml version="1.0" encoding="UTF-8"?>');
+        this.newline();
+    };
+
+    XMLWriter.prototype.newline = function () {
+        if (this.indent) {
+            this.out.push("\n");
+        }
+    };
+
+    XMLWriter.prototype.startTag = function (name, attrs, inline) {
+
+        if (!inline) {
+            for (var i = 0; i < this.depth; i++) {
+                this.out.push(this.indent);
+            }
+        }
+
+        this.out.push("<" + name);
+
+        for (var j = 0; j < attrs.length; j++) {
+            this.out.push(" " + attrs[j][0] + '="' + escapeXML(String(attrs[j][1]), true) + '"');
+        }
+
+    };
+
+    XMLWriter.prototype.open = function (name, attrs, inline, mixed) {
+
+        this.startTag(name, attrs, inline);
+
+        this.out.push(">");
+
+        this.depth++;
+
+        if (!inline && !mixed) {
+            this.newline();
+        }
+
+    };
+
+    XMLWriter.prototype.empty = function (name, attrs, inline) {
+
+        this.startTag(name, attrs, inline);
+
+        this.out.push("/>");
+
+        if (!inline) {
+            this.newline();
+        }
+
+    };
+
+    XMLWriter.prototype.close = function (name, inline, mixed) {
+
+        this.depth--;
+
+        if (!inline && !mixed) {
+            for (var i = 0; i < this.depth; i++) {
+                this.out.push(this.indent);
+            }
+        }
+
+        this.out.push("</" + name + ">");
+
+        if (!inline) {
+            this.newline();
+        }
+
+    };
+
+    XMLWriter.prototype.text = function (str) {
+        this.out.push(escapeXML(str, false));
+    };
+
+    XMLWriter.prototype.toString = function () {
+        return this.out.join("");
+    };
+
+    function escapeXML(str, isAttr) {
+
+        var s = str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+        return isAttr ? s.replace(/"/g, "&quot;") : s;
+    }
+
+})(typeof exports === 'undefined' ? this.imscTTML = {} : exports,
+    typeof imscNames === 'undefined' ? require("./names") : imscNames,
+    typeof imscStyles === 'undefined' ? require("./styles") : imscStyles,
+    typeof imscUtils === 'undefined' ? require("./utils") : imscUtils);
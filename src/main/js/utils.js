@@ -41,13 +41,153 @@
      * * <pre>error</pre>: unexpected event that may result in an inconsistent state
      * * <pre>fatal</pre>: unexpected event that results in an inconsistent state
      *   and termination of processing
-     * Each method takes a single <pre>string</pre> describing the event as argument,
-     * and returns a single <pre>boolean</pre>, which terminates processing if <pre>true</pre>.
+     * Each method takes a <pre>string</pre> describing the event as first argument
+     * and a <pre>Diagnostic</pre> detailing it as second argument, and returns a
+     * single <pre>boolean</pre>, which terminates processing if <pre>true</pre>.
      *
      * @name ErrorHandler
      * @class
      */
 
+    var REPORT_METHODS = {
+        info: "info",
+        warning: "warn",
+        error: "error",
+        fatal: "fatal"
+    };
+
+    /**
+     * Structured description of an event reported to an <pre>ErrorHandler</pre>.
+     * Converts to its message wherever a string is expected.
+     * 
+     * @param {string} severity <pre>info</pre>, <pre>warning</pre>, <pre>error</pre> or <pre>fatal</pre>
+     * @param {string} code Category of the event, e.g. <pre>invalid-parent</pre>
+     * @param {string} message Description of the event
+     * @param {?Object} location Where the event occurred: the <pre>path</pre> of the
+     *        element (e.g. <pre>/tt[1]/body[1]/div[1]/p[2]</pre>), its <pre>id</pre>
+     *        (<pre>xml:id</pre>) and the 1-based <pre>line</pre> and <pre>column</pre>
+     *        in the source document, each of which may be absent
+     * @constructor
+     */
+    imscUtils.Diagnostic = function (severity, code, message, location) {
+
+        location = location || {};
+
+        this.severity = severity;
+        this.code = code;
+        this.message = message;
+        this.path = location.path || null;
+        this.id = location.id || null;
+        this.line = typeof location.line === "number" ? location.line : null;
+        this.column = typeof location.column === "number" ? location.column : null;
+    };
+
+    imscUtils.Diagnostic.prototype.toString = function () {
+        return this.message;
+    };
+
+    /**
+     * Reports an event to an <pre>ErrorHandler</pre>, passing the message and
+     * a <pre>Diagnostic</pre>. Throws the message if the handler requests the
+     * termination of processing, and always if the event is fatal.
+     * 
+     * @param {?module:imscUtils.ErrorHandler} errorHandler Error callback
+     * @param {string} severity <pre>info</pre>, <pre>warning</pre>, <pre>error</pre> or <pre>fatal</pre>
+     * @param {string} code Category of the event
+     * @param {string} msg Description of the event
+     * @param {?Object} location Where the event occurred
+     */
+    imscUtils.report = function (errorHandler, severity, code, msg, location) {
+
+        var method = REPORT_METHODS[severity];
+
+        if (errorHandler && errorHandler[method] &&
+                errorHandler[method](msg, new imscUtils.Diagnostic(severity, code, msg, location)))
+            throw msg;
+
+        if (severity === "fatal")
+            throw msg;
+    };
+
+    /**
+     * Reports an informational event to an <pre>ErrorHandler</pre>
+     * 
+     * @param {?module:imscUtils.ErrorHandler} errorHandler Error callback
+     * @param {string} msg Description of the event
+     * @param {string} code Category of the event
+     * @param {?Object} location Where the event occurred
+     */
+    imscUtils.reportInfo = function (errorHandler, msg, code, location) {
+        imscUtils.report(errorHandler, "info", code, msg, location);
+    };
+
+    /**
+     * Reports a warning to an <pre>ErrorHandler</pre>
+     * 
+     * @param {?module:imscUtils.ErrorHandler} errorHandler Error callback
+     * @param {string} msg Description of the event
+     * @param {string} code Category of the event
+     * @param {?Object} location Where the event occurred
+     */
+    imscUtils.reportWarning = function (errorHandler, msg, code, location) {
+        imscUtils.report(errorHandler, "warning", code, msg, location);
+    };
+
+    /**
+     * Reports a fatal error to an <pre>ErrorHandler</pre>, and throws
+     * 
+     * @param {?module:imscUtils.ErrorHandler} errorHandler Error callback
+     * @param {string} msg Description of the event
+     * @param {string} code Category of the event
+     * @param {?Object} location Where the event occurred
+     */
+    imscUtils.reportFatal = function (errorHandler, msg, code, location) {
+        imscUtils.report(errorHandler, "fatal", code, msg, location);
+    };
+
+    /**
+     * Formats a number with at most 6 decimal places, as used in the
+     * documents generated by the converters
+     * 
+     * @param {number} v Number to format
+     * @returns {string}
+     */
+    imscUtils.formatNumber = function (v) {
+        return parseFloat(v.toFixed(6)).toString();
+    };
+
+    /**
+     * Formats a time as <pre>hh:mm:ss</pre> followed by the milliseconds,
+     * e.g. <pre>00:01:02,500</pre> for SubRip and <pre>00:01:02.500</pre> for WebVTT
+     * 
+     * @param {number} t Time in seconds
+     * @param {string} separator Separator of the seconds and milliseconds
+     * @returns {string}
+     */
+    imscUtils.formatTimestamp = function (t, separator) {
+
+        var ms = Math.round(t * 1000);
+
+        var h = Math.floor(ms / 3600000);
+        var m = Math.floor(ms / 60000) % 60;
+        var s = Math.floor(ms / 1000) % 60;
+
+        ms = ms % 1000;
+
+        return pad(h, 2) + ":" + pad(m, 2) + ":" + pad(s, 2) + separator + pad(ms, 3);
+    };
+
+    function pad(n, width) {
+
+        var s = n.toString();
+
+        while (s.length < width) {
+            s = "0" + s;
+        }
+
+        return s;
+    }
+
 
     /*
      * Parses a TTML color expression
@@ -420,4 +560,148 @@
 
 
 
+    /**
+     * Exact rational number, e.g. a time expressed in frames at 30000/1001 fps.
+     * Rationals can be compared using relational operators, and are converted
+     * to the nearest number wherever a number is expected.
+     * 
+     * A <pre>RangeError</pre> is thrown if the numerator or the denominator,
+     * including those of the result of an operation, is not a safe integer,
+     * since the rational could then not be represented exactly.
+     * 
+     * @param {number} num Integer numerator
+     * @param {number} den Non-zero integer denominator
+     * @constructor
+     */
+    imscUtils.Rational = function (num, den) {
+
+        if (!isSafeInteger(num) || !isSafeInteger(den)) {
+            throw new RangeError("Rational " + num + "/" + den + " cannot be represented exactly");
+        }
+
+        if (den < 0) {
+            num = -num;
+            den = -den;
+        }
+
+        var g = gcd(Math.abs(num), den);
+
+        this.num = num / g;
+        this.den = den / g;
+    };
+
+    /**
+     * Parses a decimal number, e.g. <pre>"12.345"</pre>, into an exact rational
+     * 
+     * @param {string} str Decimal number
+     * @returns {?module:imscUtils.Rational} Rational or null if the string is malformed
+     */
+    imscUtils.Rational.parseDecimal = function (str) {
+
+        var m = /^(\d+)(?:\.(\d+))?$/.exec(str);
+
+        if (m === null) return null;
+
+        var frac = m[2] || "";
+
+        return new imscUtils.Rational(parseInt(m[1] + frac, 10), Math.pow(10, frac.length));
+    };
+
+    /**
+     * Converts a rational or an integer into a rational
+     * 
+     * @param {(number|module:imscUtils.Rational)} x Value to be converted
+     * @returns {?module:imscUtils.Rational} Rational or null if x cannot be represented exactly
+     */
+    imscUtils.Rational.from = function (x) {
+
+        if (x instanceof imscUtils.Rational) return x;
+
+        if (typeof x === "number" && isFinite(x) && Math.floor(x) === x) return new imscUtils.Rational(x, 1);
+
+        return null;
+    };
+
+    /* operands are reduced by common factors first, to keep the intermediate products small */
+
+    imscUtils.Rational.prototype.add = function (r) {
+        r = imscUtils.Rational.from(r);
+        var g = gcd(this.den, r.den);
+        return new imscUtils.Rational(this.num * (r.den / g) + r.num * (this.den / g), this.den / g * r.den);
+    };
+
+    imscUtils.Rational.prototype.sub = function (r) {
+        r = imscUtils.Rational.from(r);
+        return this.add(new imscUtils.Rational(-r.num, r.den));
+    };
+
+    imscUtils.Rational.prototype.mul = function (r) {
+        r = imscUtils.Rational.from(r);
+        var g1 = gcd(Math.abs(this.num), r.den);
+        var g2 = gcd(Math.abs(r.num), this.den);
+        return new imscUtils.Rational((this.num / g1) * (r.num / g2), (this.den / g2) * (r.den / g1));
+    };
+
+    imscUtils.Rational.prototype.div = function (r) {
+        r = imscUtils.Rational.from(r);
+        return this.mul(new imscUtils.Rational(r.den, r.num));
+    };
+
+    /**
+     * Compares two rationals exactly
+     * 
+     * @param {(number|module:imscUtils.Rational)} r Rational or integer
+     * @returns {number} Negative, zero or positive if less than, equal to or greater than r
+     */
+    imscUtils.Rational.prototype.compare = function (r) {
+        r = imscUtils.Rational.from(r);
+        return this.sub(r).num;
+    };
+
+    /**
+     * @returns {number} Largest integer less than or equal to the rational
+     */
+    imscUtils.Rational.prototype.floor = function () {
+
+        var q = Math.floor(this.num / this.den);
+
+        /* the floating point division can be off by one close to an integer */
+
+        if (q * this.den > this.num) {
+            q--;
+        } else if ((q + 1) * this.den <= this.num) {
+            q++;
+        }
+
+        return q;
+    };
+
+    imscUtils.Rational.prototype.valueOf = function () {
+        return this.num / this.den;
+    };
+
+    imscUtils.Rational.prototype.toString = function () {
+        return this.den === 1 ? this.num.toString() : this.num + "/" + this.den;
+    };
+
+    var MAX_SAFE_INTEGER = 9007199254740991;
+
+    function isSafeInteger(x) {
+
+        return typeof x === "number" && Math.floor(x) === x && Math.abs(x) <= MAX_SAFE_INTEGER;
+
+    }
+
+    function gcd(a, b) {
+
+        while (b !== 0) {
+            var t = b;
+            b = a % b;
+            a = t;
+        }
+
+        return a === 0 ? 1 : a;
+    }
+
+
 })(typeof exports === 'undefined' ? this.imscUtils = {} : exports);
@@ -0,0 +1,648 @@
+/* 
+ * Copyright (c) 2016, Pierre-Anthony Lemieux <pal@sandflow.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice, this
+ *   list of conditions and the following disclaimer.
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/**
+ * @module imscValidator
+ */
+
+;
+(function (imscValidator, sax, imscDoc, imscISD, imscHRM, imscNames, imscStyles, imscUtils) { // wrapper for non-node envs
+
+    /**
+     * Options that control how a document is validated
+     * @typedef {Object} ValidationOptions
+     * @property {?Array.<string>} profiles Designators of the profiles against
+     *                                      which the document is validated, instead
+     *                                      of those designated by the document
+     */
+
+    /**
+     * Violation of a profile constraint
+     * @typedef {Object} Violation
+     * @property {string} profile Designator of the profile
+     * @property {string} message Description of the violation
+     * @property {?number} line Line (starting at 1) of the end of the start tag
+     *                          of the offending element, or null if unknown
+     * @property {?number} column Column (starting at 1) of the end of the start
+     *                            tag of the offending element, or null if unknown
+     */
+
+    /**
+     * Result of the validation of a document
+     * @typedef {Object} ValidationReport
+     * @property {Array.<string>} profiles Designators of the profiles against which
+     *                                     the document was validated
+     * @property {Array.<Violation>} violations Violations of the profiles
+     * @property {boolean} conforms True if the document was validated against at
+     *                              least one profile and no violation was found
+     */
+
+    /**
+     * Validates an XML document against the profiles it designates using
+     * <pre>ttp:profile</pre>, <pre>ttp:contentProfiles</pre> or
+     * <pre>ebuttm:conformsToStandard</pre>, among IMSC 1.0.1
+     * Text and Image, IMSC 1.1 Text and Image, EBU-TT-D and SDP-US. The elements
+     * and attributes of the document are checked first, and then the document
+     * returned by <pre>imscDoc.fromXML()</pre> is checked ISD by ISD, including
+     * against the Hypothetical Render Model for IMSC profiles.
+     * 
+     * @param {string} xmlstring XML document
+     * @param {?module:imscUtils.ErrorHandler} errorHandler Error callback
+     * @param {?ValidationOptions} options Validation options
+     * @returns {ValidationReport} Validation report
+     */
+
+    imscValidator.validate = function (xmlstring, errorHandler, options) {
+
+        var tt = imscDoc.fromXML(xmlstring, errorHandler);
+
+        var root = parseTree(xmlstring);
+
+        var designators = options && options.profiles ? options.profiles : designatedProfiles(root);
+
+        var report = {profiles: [], violations: [], conforms: false};
+
+        /* the HRM is only applied once, and only if required by a profile */
+
+        var hrm = function () {
+
+            var r = imscHRM.checkHRM(tt, null);
+
+            hrm = function () {
+                return r;
+            };
+
+            return r;
+        };
+
+        for (var i = 0; i < designators.length; i++) {
+
+            if (!(designators[i] in PROFILES)) {
+
+                imscUtils.reportWarning(errorHandler, "Unknown profile " + designators[i] + " (ignoring)", "unknown-profile");
+
+                continue;
+
+            }
+
+            if (report.profiles.indexOf(designators[i]) !== -1) continue;
+
+            report.profiles.push(designators[i]);
+
+            var v = new Validator(designators[i], report.violations, hrm);
+
+            v.checkElement(root, root);
+
+            v.checkDocument(tt, root);
+
+        }
+
+        if (report.profiles.length === 0) {
+
+            imscUtils.reportWarning(errorHandler, "The document does not designate a known profile", "unknown-profile");
+
+        }
+
+        report.conforms = report.profiles.length > 0 && report.violations.length === 0;
+
+        return report;
+    };
+
+    /* profile designators */
+
+    var IMSC1_TEXT = "http://www.w3.org/ns/ttml/profile/imsc1/text";
+    var IMSC1_IMAGE = "http://www.w3.org/ns/ttml/profile/imsc1/image";
+    var IMSC1_1_TEXT = "http://www.w3.org/ns/ttml/profile/imsc1.1/text";
+    var IMSC1_1_IMAGE = "http://www.w3.org/ns/ttml/profile/imsc1.1/image";
+    var EBU_TT_D = "urn:ebu:tt:distribution:2014-01";
+    var EBU_TT_D_2018 = "urn:ebu:tt:distribution:2018-04";
+    var SDP_US = "http://www.w3.org/ns/ttml/profile/sdp-us";
+
+    function tts(names) {
+        return names.map(function (name) {
+            return imscNames.ns_tts + " " + name;
+        });
+    }
+
+    var TTML1_STYLES = tts([
+        "backgroundColor", "color", "direction", "display", "displayAlign", "extent",
+        "fontFamily", "fontSize", "fontStyle", "fontWeight", "lineHeight", "opacity",
+        "origin", "overflow", "padding", "showBackground", "textAlign", "textDecoration",
+        "textOutline", "unicodeBidi", "visibility", "wrapOption", "writingMode", "zIndex"
+    ]);
+
+    var IMSC1_TEXT_STYLES = TTML1_STYLES.concat([
+        imscStyles.byName.forcedDisplay.qname,
+        imscStyles.byName.linePadding.qname,
+        imscStyles.byName.multiRowAlign.qname
+    ]);
+
+    var IMSC1_IMAGE_STYLES = tts([
+        "backgroundColor", "display", "extent", "opacity", "origin", "showBackground", "visibility"
+    ]).concat([
+        imscStyles.byName.forcedDisplay.qname,
+        imscStyles.byName.backgroundImage.qname
+    ]);
+
+    var IMSC1_1_ADDITIONAL_STYLES = tts([
+        "position", "ruby", "rubyAlign", "rubyPosition", "rubyReserve", "shear",
+        "textCombine", "textEmphasis", "textShadow"
+    ]).concat([
+        imscStyles.byName.fillLineGap.qname
+    ]);
+
+    var EBU_TT_D_STYLES = tts([
+        "backgroundColor", "color", "direction", "displayAlign", "extent", "fontFamily",
+        "fontSize", "fontStyle", "fontWeight", "lineHeight", "origin", "padding",
+        "showBackground", "textAlign", "textDecoration", "unicodeBidi", "wrapOption", "writingMode"
+    ]).concat([
+        imscStyles.byName.linePadding.qname,
+        imscStyles.byName.multiRowAlign.qname,
+        imscStyles.byName.fillLineGap.qname
+    ]);
+
+    var SDP_US_STYLES = tts([
+        "backgroundColor", "color", "display", "displayAlign", "extent", "fontFamily",
+        "fontSize", "fontStyle", "fontWeight", "lineHeight", "opacity", "origin", "padding",
+        "showBackground", "textAlign", "textDecoration", "textOutline", "visibility",
+        "wrapOption", "writingMode"
+    ]);
+
+    var TEXT_ELEMENTS = ["tt", "head", "styling", "style", "layout", "region", "body", "div", "p", "span", "br", "set", "metadata"];
+
+    var IMAGE_ELEMENTS = ["tt", "head", "styling", "style", "layout", "region", "body", "div", "set", "metadata"];
+
+    var IMSC1_PARAMETERS = ["profile", "timeBase", "frameRate", "frameRateMultiplier", "tickRate", "cellResolution"];
+
+    /*
+     * Constraints of each profile:
+     * - styles: styling attributes that are permitted
+     * - elements: elements in the TTML namespace that are permitted
+     * - parameters: parameter attributes that are permitted on the tt element
+     * - images: whether images are permitted
+     * - clockTimesOnly: whether time expressions are limited to clock times with fractions
+     * - maxRegions: maximum number of regions presented in an ISD
+     * - overlappingRegions: whether regions presented in an ISD can overlap
+     * - hrm: whether the document is subject to the IMSC Hypothetical Render Model
+     */
+
+    var PROFILES = {};
+
+    PROFILES[IMSC1_TEXT] = {
+        styles: IMSC1_TEXT_STYLES,
+        elements: TEXT_ELEMENTS,
+        parameters: IMSC1_PARAMETERS,
+        images: false,
+        clockTimesOnly: false,
+        maxRegions: 4,
+        overlappingRegions: false,
+        hrm: true
+    };
+
+    PROFILES[IMSC1_IMAGE] = {
+        styles: IMSC1_IMAGE_STYLES,
+        elements: IMAGE_ELEMENTS,
+        parameters: IMSC1_PARAMETERS,
+        images: true,
+        clockTimesOnly: false,
+        maxRegions: 4,
+        overlappingRegions: false,
+        hrm: true
+    };
+
+    PROFILES[IMSC1_1_TEXT] = {
+        styles: IMSC1_TEXT_STYLES.concat(IMSC1_1_ADDITIONAL_STYLES),
+        elements: TEXT_ELEMENTS.concat(["initial"]),
+        parameters: IMSC1_PARAMETERS.concat(["contentProfiles"]),
+        images: false,
+        clockTimesOnly: false,
+        maxRegions: 4,
+        overlappingRegions: false,
+        hrm: true
+    };
+
+    PROFILES[IMSC1_1_IMAGE] = {
+        styles: IMSC1_IMAGE_STYLES.concat(tts(["position"])),
+        elements: IMAGE_ELEMENTS.concat(["initial", "image"]),
+        parameters: IMSC1_PARAMETERS.concat(["contentProfiles"]),
+        images: true,
+        clockTimesOnly: false,
+        maxRegions: 4,
+        overlappingRegions: false,
+        hrm: true
+    };
+
+    PROFILES[EBU_TT_D] = {
+        styles: EBU_TT_D_STYLES,
+        elements: ["tt", "head", "styling", "style", "layout", "region", "body", "div", "p", "span", "br", "metadata"],
+        parameters: ["profile", "contentProfiles", "timeBase", "cellResolution"],
+        images: false,
+        clockTimesOnly: true,
+        maxRegions: 4,
+        overlappingRegions: true,
+        hrm: false
+    };
+
+    PROFILES[EBU_TT_D_2018] = PROFILES[EBU_TT_D];
+
+    PROFILES[SDP_US] = {
+        styles: SDP_US_STYLES,
+        elements: ["tt", "head", "styling", "style", "layout", "region", "body", "div", "p", "span", "br", "metadata"],
+        parameters: ["profile", "timeBase", "frameRate", "frameRateMultiplier", "tickRate", "cellResolution"],
+        images: false,
+        clockTimesOnly: false,
+        maxRegions: 4,
+        overlappingRegions: true,
+        hrm: false
+    };
+
+    /* elements on which styling attributes are specified */
+
+    var STYLED_ELEMENTS = ["style", "region", "body", "div", "p", "span", "set", "initial", "image"];
+
+    var STYLE_NAMESPACES = [imscNames.ns_tts, imscNames.ns_itts, imscNames.ns_ebutts, imscNames.ns_smpte];
+
+    var CLOCK_TIME_FRACTION_RE = /^\s*\d{2,}:\d\d:\d\d(?:\.\d+)?\s*$/;
+
+    var FRAMES_RE = /^\s*(?:\d+(?:\.\d+)?f|\d{2,}:\d\d:\d\d:.*)\s*$/;
+
+    var TICKS_RE = /^\s*\d+(?:\.\d+)?t\s*$/;
+
+    /*
+     * Builds a lightweight tree of the elements of a document, which records
+     * the position of each element
+     */
+
+    function parseTree(xmlstring) {
+
+        var p = sax.parser(true, {xmlns: true});
+
+        var root = null;
+
+        var stack = [];
+
+        p.onopentag = function (node) {
+
+            var e = {
+                uri: node.uri,
+                local: node.local,
+                attributes: node.attributes,
+                children: [],
+                text: "",
+                line: this.line + 1,
+                column: this.column
+            };
+
+            if (stack.length === 0) {
+                root = e;
+            } else {
+                stack[0].children.push(e);
+            }
+
+            stack.unshift(e);
+        };
+
+        p.onclosetag = function () {
+            stack.shift();
+        };
+
+        p.ontext = function (str) {
+            if (stack.length > 0) {
+                stack[0].text += str;
+            }
+        };
+
+        p.write(xmlstring).close();
+
+        return root;
+    }
+
+    var NS_EBUTTM = "urn:ebu:tt:metadata";
+
+    /*
+     * Returns the profiles designated by the root element, ttp:profile elements
+     * and ebuttm:conformsToStandard elements
+     */
+
+    function designatedProfiles(root) {
+
+        var designators = [];
+
+        var profile = findAttribute(root, imscNames.ns_ttp, "profile");
+
+        if (profile !== null) {
+            designators.push(profile.trim());
+        }
+
+        var contentProfiles = findAttribute(root, imscNames.ns_ttp, "contentProfiles");
+
+        if (contentProfiles !== null) {
+            designators = designators.concat(contentProfiles.trim().split(/\s+/));
+        }
+
+        (function walk(e) {
+
+            if (e.uri === imscNames.ns_ttp && e.local === "profile" && "use" in e.attributes) {
+                designators.push(e.attributes.use.value.trim());
+            }
+
+            if (e.uri === NS_EBUTTM && e.local === "conformsToStandard") {
+                designators.push(e.text.trim());
+            }
+
+            e.children.forEach(walk);
+
+        })(root);
+
+        return designators;
+    }
+
+    function findAttribute(e, ns, name) {
+
+        for (var i in e.attributes) {
+
+            if (e.attributes[i].uri === ns && e.attributes[i].local === name) {
+
+                return e.attributes[i].value;
+            }
+        }
+
+        return null;
+    }
+
+    /*
+     * Checks a document against a profile, and records violations
+     */
+
+    function Validator(designator, violations, hrm) {
+        this.designator = designator;
+        this.profile = PROFILES[designator];
+        this.violations = violations;
+        this.hrm = hrm;
+    }
+
+    Validator.prototype.violation = function (message, e) {
+
+        this.violations.push({
+            profile: this.designator,
+            message: message,
+            line: e ? e.line : null,
+            column: e ? e.column : null
+        });
+
+    };
+
+    Validator.prototype.checkElement = function (e, root) {
+
+        var profile = this.profile;
+
+        if (e.uri === imscNames.ns_tt) {
+
+            if (profile.elements.indexOf(e.local) === -1) {
+
+                this.violation("Element " + e.local + " is not permitted", e);
+
+            }
+
+        } else if (e.uri === imscNames.ns_smpte && e.local === "image" && !profile.images) {
+
+            this.violation("Images are not permitted", e);
+
+        }
+
+        for (var qn in e.attributes) {
+
+            if (!e.attributes.hasOwnProperty(qn)) continue;
+
+            var attr = e.attributes[qn];
+
+            if (e.uri === imscNames.ns_tt && STYLE_NAMESPACES.indexOf(attr.uri) !== -1 &&
+                STYLED_ELEMENTS.indexOf(e.local) !== -1) {
+
+                this.checkStyle(e, attr);
+
+            } else if (e === root && attr.uri === imscNames.ns_ttp) {
+
+                this.checkParameter(e, attr);
+
+            } else if (e.uri === imscNames.ns_tt && attr.uri === "" &&
+                (attr.local === "begin" || attr.local === "end" || attr.local === "dur")) {
+
+                this.checkTimeExpression(e, attr, root);
+
+            }
+
+        }
+
+        for (var i = 0; i < e.children.length; i++) {
+            this.checkElement(e.children[i], root);
+        }
+
+    };
+
+    Validator.prototype.checkStyle = function (e, attr) {
+
+        var qname = attr.uri + " " + attr.local;
+
+        if (!(qname in imscStyles.byQName)) {
+
+            this.violation("Unknown styling attribute " + attr.name, e);
+
+        } else if (this.profile.styles.indexOf(qname) === -1) {
+
+            this.violation("Styling attribute " + attr.name + " is not permitted", e);
+
+        }
+
+    };
+
+    Validator.prototype.checkParameter = function (e, attr) {
+
+        if (this.profile.parameters.indexOf(attr.local) === -1) {
+
+            this.violation("Parameter attribute " + attr.name + " is not permitted", e);
+
+        } else if (attr.local === "timeBase" && attr.value !== "media") {
+
+            this.violation("Time base " + attr.value + " is not permitted", e);
+
+        }
+
+    };
+
+    Validator.prototype.checkTimeExpression = function (e, attr, root) {
+
+        if (this.profile.clockTimesOnly) {
+
+            if (!CLOCK_TIME_FRACTION_RE.test(attr.value)) {
+
+                this.violation("Time expression " + attr.value + " is not a clock time with fraction", e);
+
+            }
+
+        } else if (FRAMES_RE.test(attr.value) && findAttribute(root, imscNames.ns_ttp, "frameRate") === null) {
+
+            this.violation("Time expression " + attr.value + " requires ttp:frameRate", e);
+
+        } else if (TICKS_RE.test(attr.value) && findAttribute(root, imscNames.ns_ttp, "tickRate") === null) {
+
+            this.violation("Time expression " + attr.value + " requires ttp:tickRate", e);
+
+        }
+
+    };
+
+    /* checks the constraints that apply to each ISD of the document */
+
+    Validator.prototype.checkDocument = function (tt, root) {
+
+        /* elements of the document, indexed by xml:id */
+
+        var byID = {};
+
+        (function walk(e) {
+
+            var id = findAttribute(e, imscNames.ns_xml, "id");
+
+            if (id !== null) {
+                byID[id] = e;
+            }
+
+            e.children.forEach(walk);
+
+        })(root);
+
+        var offsets = [0].concat(tt.getMediaTimeEvents().filter(function (t) {
+            return t > 0;
+        }));
+
+        var outside = {};
+
+        var overlapping = {};
+
+        for (var i = 0; i < offsets.length; i++) {
+
+            var regions = imscISD.generateISD(tt, offsets[i]).contents;
+
+            if (regions.length > this.profile.maxRegions) {
+
+                this.violation(
+                    regions.length + " regions are presented at " + offsets[i] + "s (at most " + this.profile.maxRegions + " permitted)",
+                    byID[regions[this.profile.maxRegions].id]
+                );
+
+            }
+
+            var rects = regions.map(regionRectangle);
+
+            for (var j = 0; j < regions.length; j++) {
+
+                var r = rects[j];
+
+                if ((r.x < -EPSILON || r.y < -EPSILON || r.x + r.w > 1 + EPSILON || r.y + r.h > 1 + EPSILON) &&
+                    !outside[regions[j].id]) {
+
+                    this.violation("Region " + regions[j].id + " extends outside the root container", byID[regions[j].id]);
+
+                    outside[regions[j].id] = true;
+
+                }
+
+                if (this.profile.overlappingRegions) continue;
+
+                for (var k = 0; k < j; k++) {
+
+                    var pair = [regions[k].id, regions[j].id].sort().join(" ");
+
+                    if (overlap(rects[k], r) && !overlapping[pair]) {
+
+                        this.violation(
+                            "Regions " + regions[k].id + " and " + regions[j].id + " overlap at " + offsets[i] + "s",
+                            byID[regions[j].id]
+                        );
+
+                        overlapping[pair] = true;
+
+                    }
+
+                }
+
+            }
+
+        }
+
+        if (!this.profile.hrm) return;
+
+        var isds = this.hrm().isds;
+
+        for (var n = 0; n < isds.length; n++) {
+
+            if (isds[n].exceeded) {
+
+                this.violation(
+                    "ISD at " + isds[n].begin + "s exceeds the Hypothetical Render Model (" +
+                    isds[n].duration.toFixed(3) + "s needed, " + isds[n].available.toFixed(3) + "s available)"
+                );
+
+            }
+
+        }
+
+    };
+
+    var EPSILON = 1e-6;
+
+    /* returns the area of a region relative to the root container */
+
+    function regionRectangle(region) {
+
+        var origin = region.styleAttrs[imscStyles.byName.origin.qname];
+
+        var extent = region.styleAttrs[imscStyles.byName.extent.qname];
+
+        return {
+            x: origin.w.toUsedLength(1, 1),
+            y: origin.h.toUsedLength(1, 1),
+            w: extent.w.toUsedLength(1, 1),
+            h: extent.h.toUsedLength(1, 1)
+        };
+    }
+
+    function overlap(a, b) {
+
+        return a.x + a.w > b.x + EPSILON && b.x + b.w > a.x + EPSILON &&
+            a.y + a.h > b.y + EPSILON && b.y + b.h > a.y + EPSILON;
+
+    }
+
+})(typeof exports === 'undefined' ? this.imscValidator = {} : exports,
+    typeof sax === 'undefined' ? require("sax") : sax,
+    typeof imscDoc === 'undefined' ? require("./doc") : imscDoc,
+    typeof imscISD === 'undefined' ? require("./isd") : imscISD,
+    typeof imscHRM === 'undefined' ? require("./hrm") : imscHRM,
+    typeof imscNames === 'undefined' ? require("./names") : imscNames,
+    typeof imscStyles === 'undefined' ? require("./styles") : imscStyles,
+    typeof imscUtils === 'undefined' ? require("./utils") : imscUtils);
@@ -0,0 +1,1516 @@
+/* 
+ * Copyright (c) 2016, Pierre-Anthony Lemieux <pal@sandflow.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice, this
+ *   list of conditions and the following disclaimer.
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+/**
+ * @module imscVTT
+ */
+
+;
+(function (imscVTT, imscDoc, imscISD, imscNames, imscStyles, imscTTML, imscUtils) { // wrapper for non-node envs
+
+    /**
+     * Options that control the conversion to WebVTT
+     * @typedef {Object} VTTOptions
+     * @property {?number} aspectRatio Aspect ratio (width / height) of the video,
+     *                                 used when the document does not specify one.
+     *                                 Defaults to 16/9.
+     * @property {?number} endTime Time (in seconds) at which content with an
+     *                             indefinite end is removed. Such content is
+     *                             ignored if absent.
+     */
+
+    /**
+     * Converts a document returned by <pre>imscDoc.fromXML()</pre> into a WebVTT
+     * document. An ISD is generated at each of the time offsets returned by
+     * <pre>getMediaTimeEvents()</pre>, and each region of the ISD is mapped to a
+     * cue, whose settings are derived from the position and alignment of the region.
+     * 
+     * @param {Object} tt IMSC1 document
+     * @param {?VTTOptions} options Conversion options
+     * @param {?module:imscUtils.ErrorHandler} errorHandler Error callback
+     * @returns {string} WebVTT document
+     */
+
+    imscVTT.toVTT = function (tt, options, errorHandler) {
+
+        options = options || {};
+
+        var context = {
+            ar: tt.aspectRatio || options.aspectRatio || 16 / 9,
+            classes: {},
+            styles: [],
+            errorHandler: errorHandler
+        };
+
+        var events = tt.getMediaTimeEvents();
+
+        var cues = [];
+
+        /* cues active during the previous ISD, indexed by settings and payload */
+
+        var active = {};
+
+        for (var i = 0; i < events.length; i++) {
+
+            var isd = imscISD.generateISD(tt, events[i], errorHandler);
+
+            var end = i + 1 < events.length ? events[i + 1] : null;
+
+            var next_active = {};
+
+            for (var j = 0; j < isd.contents.length; j++) {
+
+                var cue = regionToCue(isd.contents[j], context);
+
+                if (cue === null) continue;
+
+                var key = cue.settings + "\n" + cue.payload;
+
+                if (key in active) {
+
+                    /* the cue continues from the previous ISD */
+
+                    cue = active[key];
+
+                } else {
+
+                    cue.begin = events[i];
+
+                    cues.push(cue);
+
+                }
+
+                cue.end = end;
+
+                next_active[key] = cue;
+
+            }
+
+            active = next_active;
+
+        }
+
+        /* serialize the cues */
+
+        var out = ["WEBVTT", ""];
+
+        if (context.styles.length > 0) {
+
+            out.push("STYLE");
+
+            Array.prototype.push.apply(out, context.styles);
+
+            out.push("");
+
+        }
+
+        for (var k = 0; k < cues.length; k++) {
+
+            var c = cues[k];
+
+            if (c.end === null) {
+
+                if (typeof options.endTime !== "number" || options.endTime <= c.begin) {
+
+                    imscUtils.reportWarning(errorHandler, "Ignoring content with an indefinite end at " + c.begin + "s", "indefinite-end");
+
+                    continue;
+
+                }
+
+                c.end = options.endTime;
+
+            }
+
+            out.push(imscUtils.formatTimestamp(c.begin, ".") + " --> " + imscUtils.formatTimestamp(c.end, ".") + (c.settings ? " " + c.settings : ""));
+
+            out.push(c.payload);
+
+            out.push("");
+
+        }
+
+        return out.join("\n");
+
+    };
+
+    /* WebVTT default classes for text and background colors */
+
+    var DEFAULT_COLOR_CLASSES = {
+        "255,255,255,255": "white",
+        "0,255,0,255": "lime",
+        "0,255,255,255": "cyan",
+        "255,0,0,255": "red",
+        "255,255,0,255": "yellow",
+        "255,0,255,255": "magenta",
+        "0,0,255,255": "blue",
+        "0,0,0,255": "black"
+    };
+
+    var BIDI_PDF = "\u202c";
+
+    var BIDI_PDI = "\u2069";
+
+    function regionToCue(region, context) {
+
+        /* collect the lines of all the paragraphs of the region */
+
+        var lines = [];
+
+        var p_elems = [];
+
+        collectParagraphs(region, p_elems, context);
+
+        for (var i = 0; i < p_elems.length; i++) {
+
+            var text = paragraphToText(p_elems[i], context);
+
+            Array.prototype.push.apply(lines, text.split("\n"));
+
+        }
+
+        /* blank lines would terminate the cue */
+
+        lines = lines.map(function (l) {
+            return l.trim().length === 0 ? " " : l;
+        });
+
+        while (lines.length > 0 && lines[lines.length - 1] === " ") {
+            lines.pop();
+        }
+
+        if (lines.length === 0) return null;
+
+        return {
+            begin: null,
+            end: null,
+            settings: regionToSettings(region, p_elems[0], context),
+            payload: lines.join("\n")
+        };
+    }
+
+    function collectParagraphs(element, p_elems, context) {
+
+        for (var i in element.contents) {
+            if (element.contents.hasOwnProperty(i)) {
+
+                var c = element.contents[i];
+
+                if (c.kind === 'p') {
+
+                    p_elems.push(c);
+
+                } else if (c.kind === 'image') {
+
+                    imscUtils.reportWarning(context.errorHandler, "Images cannot be converted to WebVTT (ignoring)", "unsupported-element");
+
+                } else if ('contents' in c) {
+
+                    collectParagraphs(c, p_elems, context);
+
+                }
+            }
+        }
+
+    }
+
+    /*
+     * Maps the position and alignment of a region to WebVTT cue settings
+     */
+
+    function regionToSettings(region, p, context) {
+
+        var ar = context.ar;
+
+        var extent = region.styleAttrs[imscStyles.byName.extent.qname];
+
+        var origin = region.styleAttrs[imscStyles.byName.origin.qname] ||
+            region.styleAttrs[imscStyles.byName.position.qname];
+
+        /* express the region in percentages of the root container */
+
+        var x = 100 * (origin.w.rw + origin.w.rh / ar);
+        var y = 100 * (origin.h.rh + origin.h.rw * ar);
+        var w = 100 * (extent.w.rw + extent.w.rh / ar);
+        var h = 100 * (extent.h.rh + extent.h.rw * ar);
+
+        var wm = region.styleAttrs[imscStyles.byName.writingMode.qname];
+
+        var da = region.styleAttrs[imscStyles.byName.displayAlign.qname];
+
+        var ta = p.styleAttrs[imscStyles.byName.textAlign.qname];
+
+        var settings = [];
+
+        /* the line axis is vertical in horizontal writing modes, and vice-versa */
+
+        var line_start, line_size, pos_start, pos_size;
+
+        if (wm === "tbrl" || wm === "tb" || wm === "tblr") {
+
+            settings.push(wm === "tblr" ? "vertical:lr" : "vertical:rl");
+
+            line_start = wm === "tblr" ? x : 100 - x - w;
+            line_size = w;
+            pos_start = y;
+            pos_size = h;
+
+        } else {
+
+            line_start = y;
+            line_size = h;
+            pos_start = x;
+            pos_size = w;
+
+        }
+
+        if (da === "after") {
+
+            settings.push("line:" + formatPercentage(line_start + line_size) + ",end");
+
+        } else if (da === "center") {
+
+            settings.push("line:" + formatPercentage(line_start + line_size / 2) + ",center");
+
+        } else {
+
+            settings.push("line:" + formatPercentage(line_start) + ",start");
+
+        }
+
+        if (ta === "center") {
+
+            settings.push("position:" + formatPercentage(pos_start + pos_size / 2) + ",center");
+
+            settings.push("align:center");
+
+        } else if (ta === "end") {
+
+            settings.push("position:" + formatPercentage(pos_start + pos_size) + ",line-right");
+
+            settings.push("align:end");
+
+        } else {
+
+            settings.push("position:" + formatPercentage(pos_start) + ",line-left");
+
+            settings.push("align:start");
+
+        }
+
+        settings.push("size:" + formatPercentage(pos_size));
+
+        return settings.join(" ");
+    }
+
+    function paragraphToText(p, context) {
+
+        var text = elementToText(p, context);
+
+        /* WebVTT determines the base direction from the text */
+
+        if (p.styleAttrs[imscStyles.byName.direction.qname] === "rtl") {
+
+            text = "\u200f" + text;
+
+        }
+
+        return text;
+    }
+
+    function elementToText(element, context) {
+
+        if (element.kind === 'br') {
+
+            return "\n";
+
+        }
+
+        var ruby = element.styleAttrs[imscStyles.byName.ruby.qname];
+
+        if (ruby === "delimiter") {
+
+            /* WebVTT does not support ruby fallback */
+
+            return "";
+
+        }
+
+        var inner;
+
+        if ('text' in element) {
+
+            inner = escapeText(element.text);
+
+        } else {
+
+            inner = "";
+
+            for (var i in element.contents) {
+                if (element.contents.hasOwnProperty(i)) {
+                    inner += elementToText(element.contents[i], context);
+                }
+            }
+
+        }
+
+        if (element.kind !== 'span') {
+
+            return inner;
+
+        }
+
+        /* ruby */
+
+        if (ruby === "container") {
+
+            return "<ruby>" + inner + "</ruby>";
+
+        } else if (ruby === "text") {
+
+            return "<rt>" + inner + "</rt>";
+
+        } else if (ruby === "baseContainer" || ruby === "textContainer") {
+
+            return inner;
+
+        }
+
+        /* styling of text spans */
+
+        if ('text' in element) {
+
+            inner = applyBidi(element, inner);
+
+            var fs = element.styleAttrs[imscStyles.byName.fontStyle.qname];
+
+            if (fs === "italic" || fs === "oblique") {
+                inner = "<i>" + inner + "</i>";
+            }
+
+            if (element.styleAttrs[imscStyles.byName.fontWeight.qname] === "bold") {
+                inner = "<b>" + inner + "</b>";
+            }
+
+            var td = element.styleAttrs[imscStyles.byName.textDecoration.qname];
+
+            if (td && td.indexOf("underline") !== -1) {
+                inner = "<u>" + inner + "</u>";
+            }
+
+            var classes = colorClasses(element, context);
+
+            if (classes.length > 0) {
+                inner = "<c." + classes.join(".") + ">" + inner + "</c>";
+            }
+
+        }
+
+        return inner;
+    }
+
+    function applyBidi(element, text) {
+
+        var ub = element.styleAttrs[imscStyles.byName.unicodeBidi.qname];
+
+        var rtl = element.styleAttrs[imscStyles.byName.direction.qname] === "rtl";
+
+        if (ub === "embed") {
+
+            return (rtl ? "\u202b" : "\u202a") + text + BIDI_PDF;
+
+        } else if (ub === "bidiOverride") {
+
+            return (rtl ? "\u202e" : "\u202d") + text + BIDI_PDF;
+
+        } else if (ub === "isolate") {
+
+            return (rtl ? "\u2067" : "\u2066") + text + BIDI_PDI;
+
+        }
+
+        return text;
+    }
+
+    /*
+     * Returns the classes that carry the color and background color of a span,
+     * defining a ::cue rule if no WebVTT default class is applicable
+     */
+
+    function colorClasses(element, context) {
+
+        var classes = [];
+
+        var c = element.styleAttrs[imscStyles.byName.color.qname];
+
+        if (c && c.toString() !== "255,255,255,255") {
+
+            classes.push(colorClass(c, "", "color", context));
+
+        }
+
+        var bgc = element.styleAttrs[imscStyles.byName.backgroundColor.qname];
+
+        /* the default background of cue text is rgba(0,0,0,0.8) */
+
+        if (bgc && bgc[3] !== 0 && bgc.toString() !== "0,0,0,204") {
+
+            classes.push(colorClass(bgc, "bg_", "background-color", context));
+
+        }
+
+        return classes;
+    }
+
+    function colorClass(c, prefix, property, context) {
+
+        var name = DEFAULT_COLOR_CLASSES[c.toString()];
+
+        if (name) return prefix + name;
+
+        name = prefix + "c" + c.map(function (v) {
+            return (v < 16 ? "0" : "") + v.toString(16);
+        }).join("");
+
+        if (!(name in context.classes)) {
+
+            context.classes[name] = true;
+
+            context.styles.push(
+                "::cue(." + name + ") { " + property + ": rgba(" + c[0] + "," + c[1] + "," + c[2] + "," +
+                parseFloat((c[3] / 255).toFixed(3)) + "); }"
+            );
+
+        }
+
+        return name;
+    }
+
+    function escapeText(str) {
+
+        return str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+    }
+
+    function formatPercentage(v) {
+
+        v = Math.min(100, Math.max(0, v));
+
+        return parseFloat(v.toFixed(2)).toString() + "%";
+
+    }
+
+    /**
+     * Parses a WebVTT document into the same opaque in-memory representation
+     * returned by <pre>imscDoc.fromXML()</pre>. Each cue is mapped to a
+     * <pre>p</pre> element, associated with a region that is derived either from
+     * the WebVTT region referenced by the cue or from its settings. Cue text
+     * tags are mapped to styled <pre>span</pre> elements, and cue timestamps
+     * to the begin time of the text that follows them.
+     * 
+     * @param {string} text WebVTT document
+     * @param {?module:imscUtils.ErrorHandler} errorHandler Error callback
+     * @returns {Object} Opaque in-memory representation of an IMSC1 document
+     */
+
+    imscVTT.fromVTT = function (text, errorHandler) {
+
+        var lines = text.replace(/^\uFEFF/, "").split(/\r\n|\r|\n/);
+
+        if (!/^WEBVTT([ \t].*)?$/.test(lines[0])) {
+
+            imscUtils.reportFatal(errorHandler, "Missing WEBVTT signature", "missing-header");
+
+        }
+
+        var regions = {};
+
+        var region_list = [];
+
+        var cues = [];
+
+        var i = 1;
+
+        /* skip the remainder of the header */
+
+        while (i < lines.length && lines[i] !== "") i++;
+
+        while (i < lines.length) {
+
+            /* skip blank lines between blocks */
+
+            if (lines[i] === "") {
+                i++;
+                continue;
+            }
+
+            /* collect the lines of the block */
+
+            var block = [];
+
+            while (i < lines.length && lines[i] !== "") {
+                block.push(lines[i++]);
+            }
+
+            if (/^NOTE([ \t]|$)/.test(block[0])) {
+
+                continue;
+
+            } else if (/^STYLE[ \t]*$/.test(block[0])) {
+
+                imscUtils.reportInfo(errorHandler, "Ignoring WebVTT STYLE block", "unsupported-feature");
+
+            } else if (/^REGION[ \t]*$/.test(block[0])) {
+
+                if (cues.length > 0) {
+
+                    imscUtils.reportWarning(errorHandler, "Ignoring REGION block after the first cue", "unsupported-feature");
+
+                    continue;
+
+                }
+
+                var r = parseRegionBlock(block.slice(1), errorHandler);
+
+                if (r.id === null || r.id in regions) {
+
+                    imscUtils.reportWarning(errorHandler, "Ignoring REGION block with duplicate or missing id", "invalid-id");
+
+                } else {
+
+                    regions[r.id] = r;
+
+                    region_list.push(r);
+
+                }
+
+            } else {
+
+                var cue = parseCueBlock(block, errorHandler);
+
+                if (cue !== null) {
+                    cues.push(cue);
+                }
+
+            }
+
+        }
+
+        return imscDoc.fromXML(cuesToTTML(cues, regions, region_list, errorHandler), errorHandler);
+
+    };
+
+    var TIMESTAMP_RE = /^(?:(\d{2,}):)?([0-5]\d):([0-5]\d)\.(\d{3})$/;
+
+    /* height of a line, in percentage of the video height, per the WebVTT rendering rules */
+
+    var LINE_HEIGHT = 5.33;
+
+    /* default background of the cue text, per the WebVTT rendering rules */
+
+    var CUE_BACKGROUND_COLOR = "rgba(0,0,0,204)";
+
+    function parseTimestamp(str) {
+
+        var m = TIMESTAMP_RE.exec(str);
+
+        if (m === null) return null;
+
+        return (m[1] === undefined ? 0 : parseInt(m[1]) * 3600) +
+            parseInt(m[2]) * 60 +
+            parseInt(m[3]) +
+            parseInt(m[4]) / 1000;
+    }
+
+    function parsePercentage(str) {
+
+        var m = /^(\d+(?:\.\d+)?)%$/.exec(str);
+
+        return m === null ? null : Math.min(100, parseFloat(m[1]));
+    }
+
+    function parsePercentagePair(str) {
+
+        var s = str.split(",");
+
+        if (s.length !== 2) return null;
+
+        var x = parsePercentage(s[0]);
+
+        var y = parsePercentage(s[1]);
+
+        return x === null || y === null ? null : [x, y];
+    }
+
+    function parseRegionBlock(block, errorHandler) {
+
+        var r = {
+            id: null,
+            width: 100,
+            lines: 3,
+            regionAnchor: [0, 100],
+            viewportAnchor: [0, 100],
+            scroll: null
+        };
+
+        var settings = block.join(" ").split(/[ \t]+/);
+
+        for (var i = 0; i < settings.length; i++) {
+
+            var c = settings[i].indexOf(":");
+
+            if (c <= 0) continue;
+
+            var name = settings[i].substring(0, c);
+
+            var value = settings[i].substring(c + 1);
+
+            var v = null;
+
+            if (name === "id") {
+
+                v = value.indexOf("-->") === -1 ? value : null;
+
+                if (v !== null) r.id = v;
+
+            } else if (name === "width") {
+
+                v = parsePercentage(value);
+
+                if (v !== null) r.width = v;
+
+            } else if (name === "lines") {
+
+                v = /^\d+$/.test(value) ? parseInt(value) : null;
+
+                if (v !== null) r.lines = v;
+
+            } else if (name === "regionanchor") {
+
+                v = parsePercentagePair(value);
+
+                if (v !== null) r.regionAnchor = v;
+
+            } else if (name === "viewportanchor") {
+
+                v = parsePercentagePair(value);
+
+                if (v !== null) r.viewportAnchor = v;
+
+            } else if (name === "scroll") {
+
+                v = value === "up" ? value : null;
+
+                if (v !== null) r.scroll = v;
+
+            }
+
+            if (v === null) {
+
+                imscUtils.reportWarning(errorHandler, "Ignoring malformed region setting " + settings[i], "malformed-input");
+
+            }
+
+        }
+
+        return r;
+    }
+
+    function parseCueBlock(block, errorHandler) {
+
+        /* the cue identifier is optional */
+
+        var t = block[0].indexOf("-->") === -1 ? 1 : 0;
+
+        if (t >= block.length || block[t].indexOf("-->") === -1) {
+
+            imscUtils.reportWarning(errorHandler, "Ignoring block without cue timings: " + block[0], "malformed-input");
+
+            return null;
+
+        }
+
+        var m = /^(\S+)[ \t]+-->[ \t]+(\S+)(.*)$/.exec(block[t]);
+
+        var begin = m === null ? null : parseTimestamp(m[1]);
+
+        var end = m === null ? null : parseTimestamp(m[2]);
+
+        if (begin === null || end === null) {
+
+            imscUtils.reportWarning(errorHandler, "Ignoring cue with malformed timings: " + block[t], "invalid-time");
+
+            return null;
+
+        }
+
+        var cue = {
+            begin: begin,
+            end: end,
+            vertical: null,
+            line: null,
+            lineAlign: "start",
+            position: null,
+            positionAlign: null,
+            size: 100,
+            align: "center",
+            region: null,
+            text: block.slice(t + 1).join("\n")
+        };
+
+        var settings = m[3].trim().split(/[ \t]+/);
+
+        for (var i = 0; i < settings.length; i++) {
+
+            if (settings[i] === "") continue;
+
+            if (!parseCueSetting(cue, settings[i])) {
+
+                imscUtils.reportWarning(errorHandler, "Ignoring malformed cue setting " + settings[i], "malformed-input");
+
+            }
+
+        }
+
+        return cue;
+    }
+
+    function parseCueSetting(cue, setting) {
+
+        var c = setting.indexOf(":");
+
+        if (c <= 0) return false;
+
+        var name = setting.substring(0, c);
+
+        var value = setting.substring(c + 1).split(",");
+
+        var v;
+
+        if (name === "vertical") {
+
+            if (value[0] !== "rl" && value[0] !== "lr") return false;
+
+            cue.vertical = value[0];
+
+        } else if (name === "line") {
+
+            if (/^-?\d+$/.test(value[0])) {
+
+                cue.line = {value: parseInt(value[0]), isPercentage: false};
+
+            } else if ((v = parsePercentage(value[0])) !== null) {
+
+                cue.line = {value: v, isPercentage: true};
+
+            } else {
+
+                return false;
+
+            }
+
+            if (value.length > 1) {
+
+                if (value[1] !== "start" && value[1] !== "center" && value[1] !== "end") return false;
+
+                cue.lineAlign = value[1];
+
+            }
+
+        } else if (name === "position") {
+
+            if ((v = parsePercentage(value[0])) === null) return false;
+
+            cue.position = v;
+
+            if (value.length > 1) {
+
+                if (value[1] !== "line-left" && value[1] !== "center" && value[1] !== "line-right") return false;
+
+                cue.positionAlign = value[1];
+
+            }
+
+        } else if (name === "size") {
+
+            if ((v = parsePercentage(value[0])) === null) return false;
+
+            cue.size = v;
+
+        } else if (name === "align") {
+
+            if (["start", "center", "end", "left", "right"].indexOf(value[0]) === -1) return false;
+
+            cue.align = value[0];
+
+        } else if (name === "region") {
+
+            cue.region = value[0];
+
+        } else {
+
+            return false;
+
+        }
+
+        return true;
+    }
+
+    /*
+     * Computes the region, expressed in percentages of the root container, in
+     * which a cue is rendered, from its settings
+     */
+
+    function cueSettingsToRegion(cue) {
+
+        /* position and size along the inline direction */
+
+        var pos = cue.position;
+
+        var pos_align = cue.positionAlign;
+
+        if (pos_align === null) {
+
+            pos_align = cue.align === "start" || cue.align === "left" ? "line-left" :
+                (cue.align === "end" || cue.align === "right" ? "line-right" : "center");
+
+        }
+
+        if (pos === null) {
+
+            pos = pos_align === "line-left" ? 0 : (pos_align === "line-right" ? 100 : 50);
+
+        }
+
+        var ip_start = pos_align === "line-left" ? pos : (pos_align === "line-right" ? pos - cue.size : pos - cue.size / 2);
+
+        ip_start = Math.max(0, Math.min(100 - cue.size, ip_start));
+
+        /* position and size along the block direction */
+
+        var bp_start = 0;
+
+        var bp_size = 100;
+
+        var da = "after";
+
+        if (cue.line === null) {
+
+            /* auto: bottom of the video */
+
+        } else if (cue.line.isPercentage) {
+
+            var l = cue.line.value;
+
+            if (cue.lineAlign === "start") {
+
+                bp_start = l;
+                bp_size = 100 - l;
+                da = "before";
+
+            } else if (cue.lineAlign === "center") {
+
+                bp_size = 2 * Math.min(l, 100 - l);
+                bp_start = l - bp_size / 2;
+                da = "center";
+
+            } else {
+
+                bp_size = l;
+
+            }
+
+        } else if (cue.line.value >= 0) {
+
+            /* line numbers count from the before edge */
+
+            bp_start = Math.min(100, cue.line.value * LINE_HEIGHT);
+            bp_size = 100 - bp_start;
+            da = "before";
+
+        } else {
+
+            /* negative line numbers count from the after edge */
+
+            bp_size = Math.max(0, 100 + (cue.line.value + 1) * LINE_HEIGHT);
+
+        }
+
+        var wm = "lrtb";
+
+        var x = ip_start, y = bp_start, w = cue.size, h = bp_size;
+
+        if (cue.vertical !== null) {
+
+            wm = cue.vertical === "rl" ? "tbrl" : "tblr";
+
+            x = cue.vertical === "rl" ? 100 - bp_start - bp_size : bp_start;
+            y = ip_start;
+            w = bp_size;
+            h = cue.size;
+
+        }
+
+        return {
+            id: null,
+            origin: [x, y],
+            extent: [w, h],
+            displayAlign: da,
+            writingMode: wm
+        };
+
+    }
+
+    function vttRegionToRegion(r) {
+
+        var h = r.lines * LINE_HEIGHT;
+
+        return {
+            id: r.id,
+            origin: [
+                r.viewportAnchor[0] - r.regionAnchor[0] * r.width / 100,
+                r.viewportAnchor[1] - r.regionAnchor[1] * h / 100
+            ],
+            extent: [r.width, h],
+            displayAlign: "after",
+            writingMode: "lrtb"
+        };
+    }
+
+    function cuesToTTML(cues, vtt_regions, vtt_region_list, errorHandler) {
+
+        /* regions of the document, indexed by their geometry */
+
+        var regions = {};
+
+        var region_list = [];
+
+        var region_ids = {};
+
+        function addRegion(r, preferred_id) {
+
+            var key = [r.origin, r.extent, r.displayAlign, r.writingMode].join(" ");
+
+            if (key in regions) return regions[key];
+
+            /* keep the WebVTT region identifier if it is a valid xml:id */
+
+            var id = preferred_id;
+
+            if (!id || !/^[A-Za-z_][\w.\-]*$/.test(id) || id in region_ids) {
+
+                id = "r" + (region_list.length + 1);
+
+                while (id in region_ids) id = "_" + id;
+
+            }
+
+            r.id = id;
+
+            region_ids[id] = true;
+
+            regions[key] = r;
+
+            region_list.push(r);
+
+            return r;
+        }
+
+        var cue_regions = [];
+
+        for (var i = 0; i < cues.length; i++) {
+
+            var region;
+
+            if (cues[i].region !== null && cues[i].region in vtt_regions) {
+
+                region = addRegion(vttRegionToRegion(vtt_regions[cues[i].region]), cues[i].region);
+
+            } else {
+
+                if (cues[i].region !== null) {
+                    imscUtils.reportWarning(errorHandler, "Cue references an unknown region " + cues[i].region, "unknown-reference");
+                }
+
+                region = addRegion(cueSettingsToRegion(cues[i]), null);
+
+            }
+
+            cue_regions.push(region);
+
+        }
+
+        /* the voices of the cues are mapped to agents */
+
+        var cue_roots = [];
+
+        var agents = {};
+
+        var agent_list = [];
+
+        function addVoices(node) {
+
+            if (node.tag === "v" && node.annotation && !agents.hasOwnProperty(node.annotation)) {
+
+                var id = "a" + (agent_list.length + 1);
+
+                while (id in region_ids) id = "_" + id;
+
+                agents[node.annotation] = id;
+
+                agent_list.push(node.annotation);
+
+            }
+
+            for (var n = 0; n < node.children.length; n++) {
+
+                if (typeof node.children[n] === "object" && 'children' in node.children[n]) addVoices(node.children[n]);
+
+            }
+
+        }
+
+        for (var l = 0; l < cues.length; l++) {
+
+            var root = parseCueText(cues[l].text, cues[l], errorHandler);
+
+            addVoices(root);
+
+            cue_roots.push(root);
+
+        }
+
+        var w = new imscTTML.XMLWriter("");
+
+        w.declaration();
+
+        w.open("tt", [
+            ["xmlns", imscNames.ns_tt],
+            ["xmlns:ttp", imscNames.ns_ttp],
+            ["xmlns:tts", imscNames.ns_tts],
+            ["xmlns:ttm", imscNames.ns_ttm],
+            ["xml:lang", ""],
+            ["ttp:contentProfiles", "http://www.w3.org/ns/ttml/profile/imsc1.1/text"]
+        ]);
+
+        w.open("head", []);
+
+        if (agent_list.length > 0) {
+
+            w.open("metadata", []);
+
+            for (var a = 0; a < agent_list.length; a++) {
+
+                w.open("ttm:agent", [["xml:id", agents[agent_list[a]]], ["type", "character"]]);
+
+                w.open("ttm:name", [["type", "full"]], false, true);
+
+                w.text(agent_list[a]);
+
+                w.close("ttm:name", false, true);
+
+                w.close("ttm:agent");
+
+            }
+
+            w.close("metadata");
+
+        }
+
+        w.open("styling", []);
+
+        w.empty("initial", [
+            ["tts:fontSize", imscUtils.formatNumber(LINE_HEIGHT / 1.2) + "rh"],
+            ["tts:lineHeight", "120%"]
+        ]);
+
+        w.close("styling");
+
+        w.open("layout", []);
+
+        for (var j = 0; j < region_list.length; j++) {
+
+            var r = region_list[j];
+
+            w.empty("region", [
+                ["xml:id", r.id],
+                ["tts:origin", imscUtils.formatNumber(r.origin[0]) + "% " + imscUtils.formatNumber(r.origin[1]) + "%"],
+                ["tts:extent", imscUtils.formatNumber(r.extent[0]) + "% " + imscUtils.formatNumber(r.extent[1]) + "%"],
+                ["tts:displayAlign", r.displayAlign],
+                ["tts:writingMode", r.writingMode],
+                ["tts:overflow", "visible"]
+            ]);
+
+        }
+
+        w.close("layout");
+
+        w.close("head");
+
+        w.open("body", []);
+
+        w.open("div", []);
+
+        for (var k = 0; k < cues.length; k++) {
+
+            w.open("p", [
+                ["region", cue_regions[k].id],
+                ["begin", imscUtils.formatNumber(cues[k].begin) + "s"],
+                ["end", imscUtils.formatNumber(cues[k].end) + "s"],
+                ["tts:textAlign", cues[k].align],
+                ["tts:backgroundColor", CUE_BACKGROUND_COLOR]
+            ], false, true);
+
+            cueTextToTTML(w, cues[k], cue_roots[k], agents);
+
+            w.close("p", false, true);
+
+        }
+
+        w.close("div");
+
+        w.close("body");
+
+        w.close("tt");
+
+        return w.toString();
+    }
+
+    /* maps the WebVTT default classes to colors */
+
+    var CLASS_COLORS = {};
+
+    for (var cc in DEFAULT_COLOR_CLASSES) {
+        if (DEFAULT_COLOR_CLASSES.hasOwnProperty(cc)) {
+            CLASS_COLORS[DEFAULT_COLOR_CLASSES[cc]] = "rgba(" + cc + ")";
+        }
+    }
+
+    var CUE_TAG_RE = /<(\d[^>]*)>|<(\/)?([^\s>.\/]+)((?:\.[^\s>.]+)*)(?:[ \t]+([^>]*))?>|([^<]+)/g;
+
+    var ENTITIES = {
+        "amp": "&", "lt": "<", "gt": ">", "lrm": "\u200e", "rlm": "\u200f", "nbsp": "\u00a0"
+    };
+
+    function decodeEntities(str) {
+
+        return str.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, function (match, e) {
+
+            if (e.charAt(0) === "#") {
+
+                var cp = e.charAt(1) === "x" ? parseInt(e.substring(2), 16) : parseInt(e.substring(1), 10);
+
+                /* as in HTML, a reference to U+0000 is replaced by U+FFFD, while
+                 * references to characters that cannot appear in XML are kept as is */
+
+                if (cp === 0) return "\ufffd";
+
+                if (!isXMLChar(cp)) return match;
+
+                return codePointToString(cp);
+
+            }
+
+            return e in ENTITIES ? ENTITIES[e] : match;
+        });
+
+    }
+
+    function isXMLChar(cp) {
+
+        return cp === 0x9 || cp === 0xA || cp === 0xD ||
+            (cp >= 0x20 && cp <= 0xD7FF) ||
+            (cp >= 0xE000 && cp <= 0xFFFD) ||
+            (cp >= 0x10000 && cp <= 0x10FFFF);
+
+    }
+
+    function codePointToString(cp) {
+
+        if (cp < 0x10000) return String.fromCharCode(cp);
+
+        cp -= 0x10000;
+
+        return String.fromCharCode(0xD800 + (cp >> 10), 0xDC00 + (cp & 0x3FF));
+
+    }
+
+    /*
+     * Tokenizes the cue text into a tree of nodes
+     */
+
+    function parseCueText(text, cue, errorHandler) {
+
+        var root = {tag: null, classes: [], annotation: null, children: []};
+
+        var stack = [root];
+
+        var m;
+
+        CUE_TAG_RE.lastIndex = 0;
+
+        while ((m = CUE_TAG_RE.exec(text)) !== null) {
+
+            if (m[6] !== undefined) {
+
+                stack[0].children.push(decodeEntities(m[6]));
+
+            } else if (m[1] !== undefined) {
+
+                /* cue timestamp */
+
+                var ts = parseTimestamp(m[1]);
+
+                if (ts === null) {
+
+                    imscUtils.reportWarning(errorHandler, "Ignoring malformed cue timestamp " + m[1], "invalid-time");
+
+                } else if (ts > cue.begin && ts < cue.end) {
+
+                    stack[0].children.push({timestamp: ts});
+
+                }
+
+            } else if (m[2] !== undefined) {
+
+                /* end tag, which also closes any unclosed descendants */
+
+                for (var i = 0; i < stack.length - 1; i++) {
+
+                    if (stack[i].tag === m[3]) {
+
+                        stack.splice(0, i + 1);
+
+                        break;
+
+                    }
+
+                }
+
+            } else if (["c", "i", "b", "u", "v", "lang", "ruby", "rt"].indexOf(m[3]) !== -1) {
+
+                /* rt elements are implicitly closed */
+
+                if (m[3] === "rt" && stack[0].tag === "rt") {
+                    stack.shift();
+                }
+
+                var node = {
+                    tag: m[3],
+                    classes: m[4] ? m[4].substring(1).split(".") : [],
+                    annotation: m[5] === undefined ? null : m[5].trim(),
+                    children: []
+                };
+
+                stack[0].children.push(node);
+
+                stack.unshift(node);
+
+            } else {
+
+                imscUtils.reportWarning(errorHandler, "Ignoring unknown cue tag " + m[3], "unsupported-element");
+
+            }
+
+        }
+
+        return root;
+    }
+
+    function cueTextToTTML(w, cue, root, agents) {
+
+        /* offset of the text that follows cue timestamps */
+
+        var state = {begin: null, cue: cue, agents: agents};
+
+        writeCueNodes(w, root.children, state);
+
+    }
+
+    function writeCueNodes(w, children, state) {
+
+        for (var i = 0; i < children.length; i++) {
+
+            var c = children[i];
+
+            if (typeof c === "string") {
+
+                writeCueText(w, c, state);
+
+            } else if ('timestamp' in c) {
+
+                state.begin = c.timestamp - state.cue.begin;
+
+            } else if (c.tag === "ruby") {
+
+                writeRuby(w, c, state);
+
+            } else {
+
+                var attrs = cueNodeStyles(c);
+
+                if (c.tag === "v" && c.annotation && state.agents.hasOwnProperty(c.annotation)) {
+
+                    attrs.unshift(["ttm:agent", state.agents[c.annotation]]);
+
+                }
+
+                w.open("span", attrs, true);
+
+                writeCueNodes(w, c.children, state);
+
+                w.close("span", true);
+
+            }
+
+        }
+
+    }
+
+    function writeCueText(w, text, state) {
+
+        var lines = text.split("\n");
+
+        for (var j = 0; j < lines.length; j++) {
+
+            if (j > 0) {
+                w.empty("br", [], true);
+            }
+
+            if (lines[j].length === 0) continue;
+
+            if (state.begin === null) {
+
+                w.text(lines[j]);
+
+            } else {
+
+                w.open("span", [["begin", imscUtils.formatNumber(state.begin) + "s"]], true);
+
+                w.text(lines[j]);
+
+                w.close("span", true);
+
+            }
+        }
+
+    }
+
+    function writeRuby(w, ruby, state) {
+
+        w.open("span", [["tts:ruby", "container"]], true);
+
+        var base = [];
+
+        function flushBase() {
+
+            if (base.length === 0) return;
+
+            w.open("span", [["tts:ruby", "base"]], true);
+
+            writeCueNodes(w, base, state);
+
+            w.close("span", true);
+
+            base = [];
+        }
+
+        for (var i = 0; i < ruby.children.length; i++) {
+
+            var c = ruby.children[i];
+
+            if (typeof c === "object" && c.tag === "rt") {
+
+                flushBase();
+
+                w.open("span", [["tts:ruby", "text"]], true);
+
+                writeCueNodes(w, c.children, state);
+
+                w.close("span", true);
+
+            } else {
+
+                base.push(c);
+
+            }
+
+        }
+
+        flushBase();
+
+        w.close("span", true);
+
+    }
+
+    function cueNodeStyles(node) {
+
+        var attrs = [];
+
+        if (node.tag === "b") {
+
+            attrs.push(["tts:fontWeight", "bold"]);
+
+        } else if (node.tag === "i") {
+
+            attrs.push(["tts:fontStyle", "italic"]);
+
+        } else if (node.tag === "u") {
+
+            attrs.push(["tts:textDecoration", "underline"]);
+
+        } else if (node.tag === "lang" && node.annotation !== null) {
+
+            attrs.push(["xml:lang", node.annotation]);
+
+        }
+
+        for (var i = 0; i < node.classes.length; i++) {
+
+            var cl = node.classes[i];
+
+            if (cl in CLASS_COLORS) {
+
+                attrs.push(["tts:color", CLASS_COLORS[cl]]);
+
+            } else if (cl.indexOf("bg_") === 0 && cl.substring(3) in CLASS_COLORS) {
+
+                attrs.push(["tts:backgroundColor", CLASS_COLORS[cl.substring(3)]]);
+
+            }
+
+        }
+
+        return attrs;
+    }
+
+})(typeof exports === 'undefined' ? this.imscVTT = {} : exports,
+    typeof imscDoc === 'undefined' ? require("./doc") : imscDoc,
+    typeof imscISD === 'undefined' ? require("./isd") : imscISD,
+    typeof imscNames === 'undefined' ? require("./names") : imscNames,
+    typeof imscStyles === 'undefined' ? require("./styles") : imscStyles,
+    typeof imscTTML === 'undefined' ? require("./ttml") : imscTTML,
+    typeof imscUtils === 'undefined' ? require("./utils") : imscUtils);
@@ -0,0 +1,36 @@
+if (typeof imscUtils === 'undefined')
+    imscUtils = require("../../main/js/utils.js");
+
+QUnit.test("Rational",
+    function (assert) {
+
+        var r = new imscUtils.Rational(2002, -60000);
+
+        assert.equal(r.num, -1001);
+        assert.equal(r.den, 30000);
+        assert.equal(r.toString(), "-1001/30000");
+
+        var f = new imscUtils.Rational(1001, 30000);
+
+        assert.equal(f.add(f).add(f).toString(), "1001/10000");
+        assert.equal(f.sub(1).toString(), "-28999/30000");
+        assert.equal(f.mul(30000).toString(), "1001");
+        assert.equal(f.div(new imscUtils.Rational(1, 3)).toString(), "1001/10000");
+
+        assert.ok(f.compare(new imscUtils.Rational(1, 30)) > 0);
+        assert.equal(f.add(f).compare(new imscUtils.Rational(2002, 30000)), 0);
+        assert.ok(f < 1);
+
+        assert.equal(new imscUtils.Rational(7, 2).floor(), 3);
+        assert.equal(new imscUtils.Rational(-7, 2).floor(), -4);
+        assert.equal(new imscUtils.Rational(6, 2).floor(), 3);
+
+        assert.equal(imscUtils.Rational.parseDecimal("12.3450").toString(), "2469/200");
+        assert.equal(imscUtils.Rational.parseDecimal("12").toString(), "12");
+        assert.equal(imscUtils.Rational.parseDecimal("1.2.3"), null);
+
+        assert.equal(imscUtils.Rational.from(2).toString(), "2");
+        assert.equal(imscUtils.Rational.from(2.5), null);
+        assert.equal(imscUtils.Rational.from(f), f);
+
+    });
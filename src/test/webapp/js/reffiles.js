@@ -26,7 +26,7 @@
 
 var genfiles_root = "generated";
 
-function asyncLoadFile(url) {
+function asyncLoadFile(url, responseType) {
 
     return new Promise(function (resolve, reject) {
 
@@ -34,6 +34,10 @@ function asyncLoadFile(url) {
 
         r.open('GET', url);
 
+        if (responseType) {
+            r.responseType = responseType;
+        }
+
         r.onload = function () {
             if (this.status >= 200 && this.status < 300) {
 
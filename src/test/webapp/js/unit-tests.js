@@ -39,33 +39,1545 @@ var errorHandler = {
     }
 };
 
-function getIMSC1Document(url, metadataHandler) {
+/* returns an error handler that passes the events of the levels listed in
+ * recordLevels to sink(msg, diagnostic), and throws the others */
+
+function recordingErrorHandler(recordLevels, sink) {
+
+    var handler = {};
+
+    ["info", "warn", "error", "fatal"].forEach(function (level) {
+
+        handler[level] = recordLevels.indexOf(level) === -1 ?
+            function (msg) {
+                throw msg;
+            } :
+            function (msg, diagnostic) {
+                sink(msg, diagnostic);
+            };
+
+    });
+
+    return handler;
+}
+
+function getIMSC1Document(url, metadataHandler, options) {
     return new asyncLoadFile(url).then(function (contents) {
-        return imsc.fromXML(contents, errorHandler, metadataHandler);
+        return imsc.fromXML(contents, errorHandler, metadataHandler, options);
     });
 }
 
 QUnit.test(
-    "Parse Time Expressions",
+    "Parse Time Expressions",
+    function (assert) {
+
+        return getIMSC1Document("unit-tests/timeExpressions.ttml").then(
+            function (doc) {
+
+                assert.close(doc.body.contents[0].contents[0].begin, 1.2, 1e-10);
+                assert.close(doc.body.contents[0].contents[1].begin, 72, 1e-10);
+                assert.close(doc.body.contents[0].contents[2].begin, 4320, 1e-10);
+                assert.close(doc.body.contents[0].contents[3].begin, 24 / 24000 * 1001, 1e-10);
+                assert.close(doc.body.contents[0].contents[4].begin, 2, 1e-10);
+                assert.close(doc.body.contents[0].contents[5].begin, 3723, 1e-10);
+                assert.close(doc.body.contents[0].contents[6].begin, 3723.235, 1e-10);
+                assert.close(doc.body.contents[0].contents[7].begin, 3723.235, 1e-10);
+                assert.close(doc.body.contents[0].contents[8].begin, 3600 + 2 * 60 + 3 + 20 / 24000 * 1001, 1e-10);
+                assert.close(doc.body.contents[0].contents[9].begin, 360000.1, 1e-10);
+                assert.close(doc.body.contents[0].contents[10].begin, 360000 + 100 / 24000 * 1001, 1e-10);
+            }
+        );
+
+    }
+);
+
+QUnit.test(
+    "Parse Sub-frames",
+    function (assert) {
+
+        var warnings = [];
+
+        var sfErrorHandler = recordingErrorHandler(["warn"], function (msg) {
+            warnings.push(msg);
+        });
+
+        return new asyncLoadFile("unit-tests/subFrames.ttml").then(
+            function (contents) {
+
+                var doc = imsc.fromXML(contents, sfErrorHandler);
+
+                assert.deepEqual(warnings, [
+                    "Fractional frame rate 29.97 at (3,102) (using ttp:frameRate=\"30\" and ttp:frameRateMultiplier=\"1000 1001\" instead)",
+                    "Negative begin value -1s at (9,18) (using 0)",
+                    "Malformed begin value 00:00:01.5:15 at (10,28) (using 0)"
+                ]);
+
+                assert.equal(doc.frameRate, 30);
+                assert.equal(doc.subFrameRate, 2);
+
+                assert.close(doc.body.contents[0].contents[0].begin, 1 + 15.5 * 1001 / 30000, 1e-10);
+                assert.close(doc.body.contents[0].contents[1].begin, 2.5, 1e-10);
+                assert.close(doc.body.contents[0].contents[2].begin, 3 + 15 * 1001 / 30000, 1e-10);
+                assert.equal(doc.body.contents[0].contents[3].begin, 0);
+                assert.equal(doc.body.contents[0].contents[4].begin, 0);
+
+                doc = imsc.fromXML(contents, sfErrorHandler, null, {rationalTime: true});
+
+                assert.equal(doc.body.contents[0].contents[0].begin.toString(), "91031/60000");
+            }
+        );
+
+    }
+);
+
+QUnit.test(
+    "Parse SMPTE Time Codes",
+    function (assert) {
+
+        return getIMSC1Document("unit-tests/smpteTimeBase.ttml").then(
+            function (doc) {
+
+                assert.equal(doc.timeBase, "smpte");
+                assert.equal(doc.dropMode, "dropNTSC");
+                assert.equal(doc.markerMode, "continuous");
+
+                assert.close(doc.body.contents[0].contents[0].begin, 30 / 30000 * 1001, 1e-10);
+                assert.close(doc.body.contents[0].contents[1].begin, 1800 / 30000 * 1001, 1e-10);
+                assert.close(doc.body.contents[0].contents[2].begin, 17982 / 30000 * 1001, 1e-10);
+                assert.close(doc.body.contents[0].contents[3].begin, 107892 / 30000 * 1001, 1e-10);
+                assert.close(doc.body.contents[0].contents[4].begin, 30 / 30000 * 1001, 1e-10);
+            }
+        );
+
+    }
+);
+
+QUnit.test(
+    "Parse Clock Times",
+    function (assert) {
+
+        return getIMSC1Document(
+            "unit-tests/clockTimeBase.ttml",
+            null,
+            {clockOrigin: Date.UTC(2020, 0, 1, 20, 0, 0)}
+        ).then(
+            function (doc) {
+
+                assert.equal(doc.timeBase, "clock");
+                assert.equal(doc.clockMode, "utc");
+
+                assert.close(doc.body.contents[0].contents[0].begin, 5, 1e-10);
+                assert.close(doc.body.contents[0].contents[0].end, 7.5, 1e-10);
+                assert.close(doc.body.contents[0].contents[1].begin, 60, 1e-10);
+                assert.close(doc.body.contents[0].contents[1].end, 62, 1e-10);
+                assert.close(doc.body.contents[0].contents[2].begin, -10, 1e-10);
+
+                /* without origin, clock times are offset from midnight */
+
+                return getIMSC1Document("unit-tests/clockTimeBase.ttml");
+            }
+        ).then(
+            function (doc) {
+
+                assert.close(doc.body.contents[0].contents[0].begin, 72005, 1e-10);
+                assert.close(doc.body.contents[0].contents[0].end, 72007.5, 1e-10);
+                assert.close(doc.body.contents[0].contents[1].begin, 72060, 1e-10);
+                assert.close(doc.body.contents[0].contents[1].end, 72062, 1e-10);
+                assert.close(doc.body.contents[0].contents[2].begin, 71990, 1e-10);
+
+                return getIMSC1Document(
+                    "unit-tests/clockTimeNested.ttml",
+                    null,
+                    {clockOrigin: Date.UTC(2020, 0, 1, 20, 0, 0)}
+                );
+            }
+        ).then(
+            function (doc) {
+
+                /* nested wall-clock times are not offset by the begin of their parent */
+
+                var div = doc.body.contents[0];
+
+                assert.close(div.begin, 2, 1e-10);
+                assert.close(div.end, 10, 1e-10);
+                assert.close(div.contents[0].begin, 5, 1e-10);
+                assert.close(div.contents[0].end, 7, 1e-10);
+            }
+        );
+
+    }
+);
+
+QUnit.test(
+    "Incremental Parsing",
+    function (assert) {
+
+        return new asyncLoadFile("unit-tests/timeExpressions.ttml").then(
+            function (contents) {
+
+                var parser = imsc.createParser(errorHandler);
+
+                for (var i = 0; i < contents.length; i += 17) {
+                    parser.write(contents.substring(i, i + 17));
+                }
+
+                assert.deepEqual(
+                    parser.close(),
+                    imsc.fromXML(contents, errorHandler)
+                );
+
+                parser = imsc.createParser();
+
+                assert.throws(
+                    function () {
+                        parser.write("<tt xmlns='http://www.w3.org/ns/ttml'><tt>");
+                    }
+                );
+
+                assert.throws(
+                    function () {
+                        parser.write("</tt></tt>");
+                    }
+                );
+            }
+        );
+
+    }
+);
+
+QUnit.test(
+    "Serialize to XML",
+    function (assert) {
+
+        return getIMSC1Document("unit-tests/serialization.ttml").then(
+            function (doc) {
+
+                var xml = imsc.toXML(doc, {indent: "  "});
+
+                var rt_doc = imsc.fromXML(xml, errorHandler);
+
+                assert.deepEqual(rt_doc.getMediaTimeEvents(), doc.getMediaTimeEvents());
+
+                assert.equal(rt_doc.lang, "fr");
+
+                var events = doc.getMediaTimeEvents();
+
+                /* the elements of the serialized document are at different places */
+
+                function stripSourceRanges(e) {
+
+                    delete e.sourceRange;
+
+                    if (e.contents) {
+                        e.contents.forEach(stripSourceRanges);
+                    }
+
+                    return e;
+                }
+
+                for (var i = 0; i < events.length; i++) {
+
+                    assert.deepEqual(
+                        stripSourceRanges(imsc.generateISD(rt_doc, events[i], errorHandler)),
+                        stripSourceRanges(imsc.generateISD(doc, events[i], errorHandler)),
+                        "ISD at " + events[i]
+                    );
+
+                }
+
+                return getIMSC1Document("unit-tests/serializationImage.ttml");
+            }
+        ).then(
+            function (doc) {
+
+                /* images created from smpte:backgroundImage have no times of their own */
+
+                var rt_doc = imsc.fromXML(imsc.toXML(doc), errorHandler);
+
+                assert.deepEqual(rt_doc.getMediaTimeEvents(), [0, 1, 3]);
+
+                var image = imsc.generateISD(rt_doc, 2).contents[0].contents[0].contents[0].contents[0];
+
+                assert.equal(image.kind, "image");
+                assert.equal(image.src, "image1.png");
+
+                return getIMSC1Document("unit-tests/serialization.ttml", null, {rationalTime: true});
+            }
+        ).then(
+            function (doc) {
+
+                /* exact times are serialized too */
+
+                var rt_doc = imsc.fromXML(imsc.toXML(doc), errorHandler, null, {rationalTime: true});
+
+                assert.deepEqual(rt_doc.getMediaTimeEvents(), [0, 1, 2, 10, 12, 15, 16]);
+                assert.deepEqual(rt_doc.getMediaTimeEvents(true).map(String), doc.getMediaTimeEvents(true).map(String));
+            }
+        );
+
+    }
+);
+
+QUnit.test(
+    "Export to WebVTT",
+    function (assert) {
+
+        return getIMSC1Document("unit-tests/vttExport.ttml").then(
+            function (doc) {
+
+                assert.equal(
+                    imsc.toVTT(doc, null, errorHandler),
+                    [
+                        "WEBVTT",
+                        "",
+                        "STYLE",
+                        "::cue(.cff000080) { color: rgba(255,0,0,0.502); }",
+                        "",
+                        "00:00:01.000 --> 00:00:03.000 line:90%,end position:50%,center align:center size:80%",
+                        "Hello <i>brave</i>",
+                        "<c.cff000080><b>new</b></c> world",
+                        "",
+                        "00:00:02.000 --> 00:00:03.000 line:10%,start position:20%,line-left align:start size:60%",
+                        "<ruby>\u6f22<rt>kan</rt></ruby> \u202babc\u202c",
+                        ""
+                    ].join("\n")
+                );
+            }
+        );
+
+    }
+);
+
+QUnit.test(
+    "Import WebVTT",
+    function (assert) {
+
+        var warnings = [];
+
+        var vttErrorHandler = recordingErrorHandler(["info", "warn"], function (msg) {
+            warnings.push(msg);
+        });
+
+        return new asyncLoadFile("unit-tests/webvtt.vtt").then(
+            function (contents) {
+
+                var doc = imsc.fromVTT(contents, vttErrorHandler);
+
+                assert.deepEqual(warnings, ["Ignoring WebVTT STYLE block", "Ignoring malformed cue setting bogus:1"]);
+
+                assert.deepEqual(doc.getMediaTimeEvents(), [0, 1, 2.5, 3, 4, 5, 62, 63, 64]);
+
+                var ps = doc.body.contents[0].contents;
+
+                assert.equal(ps.length, 4);
+
+                /* cue without settings */
+
+                assert.equal(ps[0].styleAttrs["http://www.w3.org/ns/ttml#styling textAlign"], "center");
+                assert.equal(ps[0].contents[1].styleAttrs["http://www.w3.org/ns/ttml#styling fontWeight"], "bold");
+                assert.equal(ps[0].contents[3].styleAttrs["http://www.w3.org/ns/ttml#styling fontStyle"], "italic");
+                assert.equal(ps[0].contents[3].text, "italic & more");
+                assert.equal(ps[0].contents[4].kind, "br");
+                assert.deepEqual(ps[0].contents[5].styleAttrs["http://www.w3.org/ns/ttml#styling color"], [255, 255, 0, 255]);
+                assert.deepEqual(ps[0].contents[5].styleAttrs["http://www.w3.org/ns/ttml#styling backgroundColor"], [0, 0, 255, 255]);
+
+                /* cue in a WebVTT region, with cue timestamps */
+
+                var fred = doc.head.layout.regions[ps[1].regionID];
+
+                assert.equal(ps[1].regionID, "fred");
+                assert.deepEqual(fred.styleAttrs["http://www.w3.org/ns/ttml#styling origin"], {w: {value: 10, unit: "%"}, h: {value: 74.01, unit: "%"}});
+                assert.deepEqual(fred.styleAttrs["http://www.w3.org/ns/ttml#styling extent"], {w: {value: 40, unit: "%"}, h: {value: 15.99, unit: "%"}});
+                assert.close(ps[1].contents[2].begin, 3, 1e-10);
+                assert.close(ps[1].contents[3].begin, 4, 1e-10);
+
+                /* voice */
+
+                assert.deepEqual(ps[1].contents[0].agents, ["a1"]);
+                assert.equal(doc.getAgents().length, 1);
+                assert.equal(doc.getAgents()[0].id, "a1");
+                assert.equal(doc.getAgents()[0].type, "character");
+                assert.equal(doc.getAgents()[0].names[0].text, "Fred");
+
+                /* cue with settings and ruby */
+
+                var r3 = doc.head.layout.regions[ps[2].regionID];
+
+                assert.deepEqual(r3.styleAttrs["http://www.w3.org/ns/ttml#styling origin"], {w: {value: 50, unit: "%"}, h: {value: 10, unit: "%"}});
+                assert.equal(r3.styleAttrs["http://www.w3.org/ns/ttml#styling displayAlign"], "before");
+                assert.equal(ps[2].contents[0].styleAttrs["http://www.w3.org/ns/ttml#styling ruby"], "container");
+                assert.equal(ps[2].contents[0].contents[1].styleAttrs["http://www.w3.org/ns/ttml#styling ruby"], "text");
+
+                /* vertical cue */
+
+                assert.equal(doc.head.layout.regions[ps[3].regionID].styleAttrs["http://www.w3.org/ns/ttml#styling writingMode"], "tbrl");
+
+                /* character references, which cannot produce characters that are invalid in XML */
+
+                assert.equal(ps[3].contents[0].text, "vertical &#x110000; \ufffd&#1;\ud83d\ude00");
+
+            }
+        );
+
+    }
+);
+
+QUnit.test(
+    "Import and Export SubRip",
+    function (assert) {
+
+        var warnings = [];
+
+        var srtErrorHandler = recordingErrorHandler(["warn"], function (msg) {
+            warnings.push(msg);
+        });
+
+        return new asyncLoadFile("unit-tests/subrip.srt").then(
+            function (contents) {
+
+                var doc = imsc.fromSRT(contents, srtErrorHandler);
+
+                assert.deepEqual(warnings, ["Ignoring unsupported tag <blink>", "Ignoring unsupported tag </blink>"]);
+
+                assert.deepEqual(doc.getMediaTimeEvents(), [0, 1, 4, 6.5, 7, 8]);
+
+                /* the default region is used */
+
+                assert.ok("" in doc.head.layout.regions);
+
+                var ps = doc.body.contents[0].contents;
+
+                assert.equal(ps.length, 3);
+
+                assert.equal(ps[0].contents[1].styleAttrs["http://www.w3.org/ns/ttml#styling fontStyle"], "italic");
+                assert.equal(ps[0].contents[3].styleAttrs["http://www.w3.org/ns/ttml#styling fontWeight"], "bold");
+                assert.deepEqual(ps[0].contents[3].contents[1].styleAttrs["http://www.w3.org/ns/ttml#styling color"], [255, 0, 0, 255]);
+                assert.equal(ps[0].contents[4].kind, "br");
+                assert.equal(ps[1].contents[0].styleAttrs["http://www.w3.org/ns/ttml#styling textDecoration"], "underline");
+                assert.deepEqual(ps[1].contents[2].styleAttrs["http://www.w3.org/ns/ttml#styling color"], [255, 255, 0, 255]);
+
+                assert.equal(
+                    imsc.toSRT(doc, srtErrorHandler),
+                    "1\n" +
+                    "00:00:01,000 --> 00:00:04,000\n" +
+                    "Hello <i>italic</i> and <b>bold </b><font color=\"#ff0000\"><b>red</b></font>\n" +
+                    "second line\n" +
+                    "\n" +
+                    "2\n" +
+                    "00:00:04,000 --> 00:00:06,500\n" +
+                    "<u>under</u> <font color=\"#ffff00\">yel</font> x\n" +
+                    "\n" +
+                    "3\n" +
+                    "00:00:07,000 --> 00:00:08,000\n" +
+                    "no number & 1 < 2\n"
+                );
+
+            }
+        );
+
+    }
+);
+
+QUnit.test(
+    "Import SCC",
+    function (assert) {
+
+        return new asyncLoadFile("unit-tests/scc.scc").then(
+            function (contents) {
+
+                var doc = imsc.fromSCC(contents, errorHandler);
+
+                /* each word is transmitted in one frame at 29.97 frames per second */
+
+                var events = doc.getMediaTimeEvents();
+
+                assert.equal(events.length, 8);
+                assert.close(events[1], 52 * 1001 / 30000, 1e-10);
+                assert.close(events[2], 120 * 1001 / 30000, 1e-10);
+                assert.close(events[6], 246 * 1001 / 30000, 1e-10);
+
+                assert.close(doc.cellLength.w.rw, 1 / 32, 1e-10);
+                assert.close(doc.cellLength.h.rh, 1 / 15, 1e-10);
+
+                var ps = doc.body.contents[0].contents;
+
+                assert.equal(ps.length, 6);
+
+                /* pop-on caption, with a mid-row code, an indent PAC, an extended and a special character */
+
+                var r14 = doc.head.layout.regions[ps[0].regionID];
+
+                assert.equal(ps[0].regionID, "r14c0");
+                assert.deepEqual(r14.styleAttrs["http://www.w3.org/ns/ttml#styling origin"], {w: {value: 10, unit: "%"}, h: {value: 79.3333, unit: "%"}});
+                assert.equal(ps[0].contents[0].text, "Hello");
+                assert.equal(ps[0].contents[1].text, " world");
+                assert.equal(ps[0].contents[1].styleAttrs["http://www.w3.org/ns/ttml#styling fontStyle"], "italic");
+                assert.equal(ps[1].regionID, "r15c4");
+                assert.equal(ps[1].contents[0].text, "caf\u00c9\u266a");
+
+                /* the erase command of the CC3 channel is ignored */
+
+                assert.close(ps[1].end, 120 * 1001 / 30000, 1e-10);
+
+                /* roll-up caption */
+
+                assert.equal(ps[2].regionID, "rollup14_15");
+                assert.equal(doc.head.layout.regions.rollup14_15.styleAttrs["http://www.w3.org/ns/ttml#styling displayAlign"], "after");
+                assert.equal(ps[3].contents[0].text, "ONE");
+                assert.equal(ps[4].contents[0].text, "TWO");
+                assert.equal(ps[4].regionID, "rollup14_15");
+
+                /* paint-on caption */
+
+                assert.equal(ps[5].regionID, "r1c0");
+                assert.deepEqual(ps[5].contents[0].styleAttrs["http://www.w3.org/ns/ttml#styling color"], [255, 0, 0, 255]);
+
+            }
+        );
+
+    }
+);
+
+QUnit.test(
+    "Import EBU STL",
+    function (assert) {
+
+        return new asyncLoadFile("unit-tests/ebustl.stl", "arraybuffer").then(
+            function (contents) {
+
+                var doc = imsc.fromSTL(contents, errorHandler);
+
+                /* times are offset by the start-of-programme time code, and the comment is ignored */
+
+                assert.deepEqual(doc.getMediaTimeEvents(), [0, 1, 3.48, 4, 6]);
+
+                var ps = doc.body.contents[0].contents;
+
+                assert.equal(ps.length, 2);
+
+                /* centred teletext subtitle, positioned on row 20 */
+
+                var vp20 = doc.head.layout.regions[ps[0].regionID];
+
+                assert.deepEqual(vp20.styleAttrs["http://www.w3.org/ns/ttml#styling origin"], {w: {value: 10, unit: "%"}, h: {value: 76.087, unit: "%"}});
+                assert.equal(ps[0].styleAttrs["http://www.w3.org/ns/ttml#styling textAlign"], "center");
+                assert.deepEqual(ps[0].styleAttrs["urn:ebu:tt:style linePadding"], {value: 0.5, unit: "c"});
+                assert.equal(ps[0].contents[0].text, "Caf\u00e9 au lait");
+                assert.deepEqual(ps[0].contents[0].styleAttrs["http://www.w3.org/ns/ttml#styling backgroundColor"], [0, 0, 0, 255]);
+                assert.equal(ps[0].contents[1].kind, "br");
+                assert.deepEqual(ps[0].contents[2].styleAttrs["http://www.w3.org/ns/ttml#styling color"], [255, 255, 0, 255]);
+
+                /* unchanged presentation, with text continued in an extension block */
+
+                assert.equal(ps[1].styleAttrs["urn:ebu:tt:style multiRowAlign"], "start");
+                assert.equal(ps[1].contents[2].styleAttrs["http://www.w3.org/ns/ttml#styling fontStyle"], "italic");
+                assert.equal(ps[1].contents[3].text, " text");
+
+            }
+        );
+
+    }
+);
+
+QUnit.test(
+    "Extract Documents from MP4",
+    function (assert) {
+
+        return new asyncLoadFile("unit-tests/stpp.mp4", "arraybuffer").then(
+            function (contents) {
+
+                var samples = imsc.fromMP4(contents, errorHandler);
+
+                assert.equal(samples.length, 2);
+
+                /* sample times are derived from the tfdt and trun boxes, and the moov timescale */
+
+                assert.equal(samples[0].begin, 10);
+                assert.equal(samples[0].end, 12);
+                assert.equal(samples[1].begin, 12);
+                assert.equal(samples[1].end, 14);
+
+                /* document times are offset by the start of the sample */
+
+                assert.deepEqual(samples[0].tt.getMediaTimeEvents(), [10, 10.5, 11.5]);
+                assert.deepEqual(samples[1].tt.getMediaTimeEvents(), [12, 14]);
+
+                var isd = imsc.generateISD(samples[0].tt, 11);
+
+                assert.equal(isd.contents[0].contents[0].contents[0].contents[0].contents[0].text, "Caf\u00e9");
+
+                /* images are carried as sub-samples */
+
+                assert.deepEqual(Object.keys(samples[0].images), []);
+                assert.deepEqual(Object.keys(samples[1].images), ["urn:mpeg:14496-30:subs:1"]);
+                assert.equal(samples[1].images["urn:mpeg:14496-30:subs:1"].type, "image/png");
+                assert.equal(
+                    samples[1].imgResolver("urn:mpeg:14496-30:subs:1"),
+                    "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR4nGP4z8DwHwAFAAH/iZk9HQAAAABJRU5ErkJggg=="
+                );
+
+                /* times already on the track timeline */
+
+                var absolute = imsc.fromMP4(contents, errorHandler, null, {sampleRelativeTimes: false});
+
+                assert.deepEqual(absolute[0].tt.getMediaTimeEvents(), [0, 0.5, 1.5]);
+
+            }
+        );
+
+    }
+);
+
+QUnit.test(
+    "Shift, Scale and Clip Documents",
+    function (assert) {
+
+        return new asyncLoadFile("unit-tests/retiming.ttml").then(
+            function (contents) {
+
+                var doc = imsc.fromXML(contents, errorHandler);
+
+                assert.deepEqual(doc.getMediaTimeEvents(), [0, 1, 1.5, 2.5, 3, 4]);
+
+                /* shift */
+
+                assert.deepEqual(imsc.fromXML(contents, errorHandler).shift(10, errorHandler).getMediaTimeEvents(), [10, 11, 11.5, 12.5, 13, 14]);
+
+                assert.throws(
+                    function () {
+                        doc.shift(NaN, errorHandler);
+                    }
+                );
+
+                assert.deepEqual(doc.getMediaTimeEvents(), [0, 1, 1.5, 2.5, 3, 4]);
+
+                /* scale */
+
+                var scaled = imsc.fromXML(contents, errorHandler).scale(2, errorHandler);
+
+                assert.deepEqual(scaled.getMediaTimeEvents(), [0, 2, 3, 5, 6, 8]);
+                assert.equal(scaled.body.contents[0].contents[1].end, Number.POSITIVE_INFINITY);
+
+                assert.throws(
+                    function () {
+                        doc.scale(0, errorHandler);
+                    }
+                );
+
+                /* clip */
+
+                var clipped = imsc.fromXML(contents, errorHandler).clip(2, 5, errorHandler);
+
+                assert.deepEqual(clipped.getMediaTimeEvents(), [2, 2.5, 3, 4, 5]);
+
+                assert.equal(imsc.generateISD(clipped, 1).contents.length, 0);
+                assert.deepEqual(
+                    imsc.generateISD(clipped, 2).contents[0].contents[0].contents[0].contents[0].contents[0].styleAttrs["http://www.w3.org/ns/ttml#styling color"],
+                    [255, 0, 0, 255]
+                );
+                assert.equal(imsc.generateISD(clipped, 4.5).contents[0].contents[0].contents[0].contents[0].contents[0].text, "Indefinite end");
+                assert.equal(imsc.generateISD(clipped, 5).contents.length, 0);
+
+            }
+        );
+
+    }
+);
+
+QUnit.test(
+    "Merge Documents",
+    function (assert) {
+
+        var infos = [];
+
+        var mergeErrorHandler = recordingErrorHandler(["info"], function (msg) {
+            infos.push(msg);
+        });
+
+        return Promise.all([
+            asyncLoadFile("unit-tests/merge/segment1.ttml"),
+            asyncLoadFile("unit-tests/merge/segment2.ttml"),
+            asyncLoadFile("unit-tests/merge/segment3.ttml")
+        ]).then(
+            function (contents) {
+
+                var docs = contents.map(function (c) {
+                    return imsc.fromXML(c, errorHandler);
+                });
+
+                var doc = imsc.merge(docs, mergeErrorHandler);
+
+                assert.deepEqual(infos, ["Merging paragraph repeated at 10s"]);
+
+                assert.deepEqual(doc.getMediaTimeEvents(), [0, 2, 5, 8, 10, 12, 13, 15, 20, 21, 22, 30]);
+
+                /* identical regions are shared, conflicting ones are renamed */
+
+                assert.deepEqual(Object.keys(doc.head.layout.regions), ["r1", "r2", "r2_1", "default"]);
+
+                /* the paragraph repeated at the segment boundary is extended */
+
+                var isd = imsc.generateISD(doc, 11);
+
+                assert.equal(isd.contents.length, 1);
+                assert.equal(isd.contents[0].id, "r1");
+                assert.equal(isd.contents[0].contents[0].contents[0].contents[0].contents[0].contents[0].text, "Repeated");
+
+                /* lengths are expressed in the cell resolution of the merged document */
+
+                isd = imsc.generateISD(doc, 14);
+
+                assert.equal(isd.contents[0].id, "r2_1");
+                assert.deepEqual(
+                    doc.body.contents[1].contents[1].contents[0].styleAttrs["http://www.w3.org/ns/ttml#styling fontSize"],
+                    {"unit": "c", "value": 1}
+                );
+
+                /* initial values are preserved */
+
+                isd = imsc.generateISD(doc, 21.5);
+
+                assert.equal(isd.contents[0].id, "default");
+                assert.deepEqual(
+                    isd.contents[0].contents[0].contents[0].contents[0].contents[0].contents[0].styleAttrs["http://www.w3.org/ns/ttml#styling color"],
+                    [255, 255, 0, 255]
+                );
+
+                /* inputs are left untouched */
+
+                assert.deepEqual(docs[0].getMediaTimeEvents(), [0, 2, 5, 8, 10]);
+
+                return asyncLoadFile("unit-tests/merge/segment4.ttml").then(
+                    function (contents) {
+
+                        /* widths and heights are converted with their own ratios */
+
+                        var wide = imsc.merge([docs[0], imsc.fromXML(contents, errorHandler)], mergeErrorHandler);
+
+                        var r3 = wide.head.layout.regions.r3;
+
+                        assert.deepEqual(r3.styleAttrs["http://www.w3.org/ns/ttml#styling origin"], {w: {value: 4, unit: "c"}, h: {value: 2, unit: "c"}});
+                        assert.deepEqual(r3.styleAttrs["http://www.w3.org/ns/ttml#styling extent"], {w: {value: 16, unit: "c"}, h: {value: 4, unit: "c"}});
+                        assert.deepEqual(r3.styleAttrs["http://www.w3.org/ns/ttml#styling padding"], [{value: 1, unit: "c"}, {value: 1, unit: "c"}]);
+
+                    }
+                );
+
+            }
+        );
+
+    }
+);
+
+QUnit.test(
+    "Split Documents",
+    function (assert) {
+
+        return new asyncLoadFile("unit-tests/split.ttml").then(
+            function (contents) {
+
+                var doc = imsc.fromXML(contents, errorHandler);
+
+                var segments = imsc.split(doc, 5, errorHandler);
+
+                assert.deepEqual(
+                    segments.map(function (s) {
+                        return [s.begin, s.end];
+                    }),
+                    [[0, 5], [5, 10], [10, 15]]
+                );
+
+                assert.deepEqual(segments[0].tt.getMediaTimeEvents(), [0, 1, 3, 4, 5]);
+                assert.deepEqual(segments[1].tt.getMediaTimeEvents(), [5, 6, 7, 10]);
+                assert.deepEqual(segments[2].tt.getMediaTimeEvents(), [10, 12, 15]);
+
+                /* content straddling a boundary is duplicated and clipped */
+
+                assert.equal(segments[0].tt.body.contents[0].contents.length, 2);
+                assert.equal(segments[0].tt.body.contents[0].contents[1].end, 5);
+                assert.equal(segments[1].tt.body.contents[0].contents.length, 1);
+                assert.equal(segments[1].tt.body.contents[0].contents[0].begin, 5);
+
+                /* styles and animations are preserved */
+
+                assert.deepEqual(
+                    imsc.generateISD(segments[0].tt, 2).contents[0].contents[0].contents[0].contents[0].contents[0].styleAttrs["http://www.w3.org/ns/ttml#styling color"],
+                    [255, 255, 0, 255]
+                );
+
+                assert.deepEqual(
+                    imsc.generateISD(segments[1].tt, 5.5).contents[0].contents[0].contents[0].contents[0].contents[0].styleAttrs["http://www.w3.org/ns/ttml#styling color"],
+                    [255, 0, 0, 255]
+                );
+
+                assert.equal(imsc.generateISD(segments[1].tt, 8).contents.length, 0);
+
+                /* segments can be serialized */
+
+                var segment = imsc.fromXML(imsc.toXML(segments[2].tt), errorHandler);
+
+                assert.deepEqual(segment.getMediaTimeEvents(), [10, 12, 15]);
+
+                /* the original document is not modified */
+
+                assert.deepEqual(doc.getMediaTimeEvents(), [0, 1, 3, 4, 5, 6, 7, 12]);
+
+                assert.throws(
+                    function () {
+                        imsc.split(doc, 0, errorHandler);
+                    }
+                );
+
+            }
+        );
+
+    }
+);
+
+QUnit.test(
+    "Rational Time",
+    function (assert) {
+
+        return new asyncLoadFile("unit-tests/rationalTime.ttml").then(
+            function (contents) {
+
+                /* float times result in near-duplicate events */
+
+                var doc = imsc.fromXML(contents, errorHandler);
+
+                assert.equal(doc.getMediaTimeEvents().length, 6);
+
+                doc = imsc.fromXML(contents, errorHandler, null, {rationalTime: true});
+
+                assert.deepEqual(
+                    doc.getMediaTimeEvents(true).map(String),
+                    ["0", "1001/30000", "1001/10000", "1001/7500", "1001/5000"]
+                );
+
+                assert.deepEqual(doc.getMediaTimeEvents(), [0, 1001 / 30000, 1001 / 10000, 1001 / 7500, 1001 / 5000]);
+
+                assert.deepEqual(doc.getMediaTimeEventFrames(), [0, 1, 3, 4, 6]);
+
+                assert.deepEqual(doc.getMediaTimeEventFrames(new imsc.Rational(25, 1)), [0, 0, 2, 3, 5]);
+
+                /* ISDs can be generated at exact offsets */
+
+                var isd = imsc.generateISD(doc, new imsc.Rational(1001, 10000));
+
+                assert.equal(isd.contents[0].contents[0].contents[0].contents.length, 3);
+
+                assert.equal(imsc.generateISD(doc, new imsc.Rational(1001, 5000)).contents.length, 0);
+
+                /* exact times are serialized in ticks */
+
+                var xml = imsc.toXML(doc);
+
+                assert.ok(xml.indexOf('ttp:tickRate="30000"') !== -1);
+
+                assert.deepEqual(
+                    imsc.fromXML(xml, errorHandler, null, {rationalTime: true}).getMediaTimeEvents(true).map(String),
+                    ["0", "1001/30000", "1001/10000", "1001/7500", "1001/5000"]
+                );
+
+                /* retiming preserves exact times */
+
+                doc.shift(1).scale(new imsc.Rational(1, 2));
+
+                assert.equal(doc.getMediaTimeEvents(true)[1].toString(), "31001/60000");
+
+                /* mixed-rate arithmetic remains exact, and unsafe integers are detected */
+
+                var t = new imsc.Rational(0, 1);
+
+                for (var i = 0; i < 1000; i++) {
+                    t = t.add(new imsc.Rational(1001, 30000)).add(new imsc.Rational(1, 25)).add(new imsc.Rational(1001, 24000));
+                }
+
+                assert.equal(t.mul(new imsc.Rational(3, 1000)).toString(), "13809/40000");
+
+                assert.throws(
+                    function () {
+                        new imsc.Rational(1, 4294967311).mul(new imsc.Rational(1, 4294967357));
+                    },
+                    RangeError
+                );
+
+            }
+        );
+
+    }
+);
+
+QUnit.test(
+    "Validate Documents",
+    function (assert) {
+
+        var warnings = [];
+
+        var validationErrorHandler = recordingErrorHandler(["warn"], function (msg) {
+            warnings.push(msg);
+        });
+
+        return Promise.all([
+            asyncLoadFile("unit-tests/validation/imsc1Text.ttml"),
+            asyncLoadFile("unit-tests/validation/ebuttd.ttml"),
+            asyncLoadFile("unit-tests/split.ttml")
+        ]).then(
+            function (contents) {
+
+                var imsc1 = "http://www.w3.org/ns/ttml/profile/imsc1/text";
+
+                /* IMSC 1.0.1 Text */
+
+                var report = imsc.validate(contents[0], validationErrorHandler);
+
+                assert.deepEqual(report.profiles, [imsc1]);
+                assert.notOk(report.conforms);
+
+                /* r1 and r2 overlap at 1s and 2s, which is reported once */
+
+                assert.deepEqual(report.violations, [
+                    {profile: imsc1, message: "Parameter attribute ttp:subFrameRate is not permitted", line: 4, column: 21},
+                    {profile: imsc1, message: "Styling attribute tts:shear is not permitted", line: 7, column: 39},
+                    {profile: imsc1, message: "Time expression 10f requires ttp:frameRate", line: 23, column: 39},
+                    {profile: imsc1, message: "5 regions are presented at 1s (at most 4 permitted)", line: 14, column: 65},
+                    {profile: imsc1, message: "Regions r1 and r2 overlap at 1s", line: 11, column: 66},
+                    {profile: imsc1, message: "Region r4 extends outside the root container", line: 13, column: 66}
+                ]);
+
+                /* EBU-TT-D, designated using ebuttm:conformsToStandard */
+
+                report = imsc.validate(contents[1], validationErrorHandler);
+
+                assert.deepEqual(report.profiles, ["urn:ebu:tt:distribution:2014-01"]);
+
+                assert.deepEqual(
+                    report.violations.map(function (v) {
+                        return v.message;
+                    }),
+                    [
+                        "Time expression 3s is not a clock time with fraction",
+                        "Styling attribute tts:textOutline is not permitted",
+                        "Element set is not permitted"
+                    ]
+                );
+
+                /* profiles specified by the caller */
+
+                report = imsc.validate(contents[2], validationErrorHandler, {profiles: ["urn:example:unknown", imsc1]});
+
+                assert.deepEqual(report.profiles, [imsc1]);
+                assert.ok(report.conforms);
+                assert.deepEqual(warnings, ["Unknown profile urn:example:unknown (ignoring)"]);
+
+            }
+        );
+
+    }
+);
+
+QUnit.test(
+    "Hypothetical Render Model",
+    function (assert) {
+
+        var warnings = [];
+
+        var hrmErrorHandler = recordingErrorHandler(["warn"], function (msg) {
+            warnings.push(msg);
+        });
+
+        return new asyncLoadFile("unit-tests/hrm.ttml").then(
+            function (contents) {
+
+                var doc = imsc.fromXML(contents, errorHandler);
+
+                var report = imsc.checkHRM(doc, hrmErrorHandler);
+
+                assert.notOk(report.conforms);
+
+                assert.deepEqual(
+                    report.isds.map(function (r) {
+                        return [r.begin, r.paint, r.glyphs, r.exceeded];
+                    }),
+                    [[0, 2, 12, false], [1, 2, 12, false], [1.9, 1, 0, false], [2, 3, 7, true], [3, 1, 0, false]]
+                );
+
+                /* the first ISD is rendered within the initial painting delay */
+
+                assert.equal(report.isds[0].available, 1);
+
+                /* glyphs of the previous ISD are copied from the glyph buffer */
+
+                assert.ok(report.isds[1].duration < report.isds[0].duration);
+
+                /* clearing the root container takes 1/12s */
+
+                assert.close(report.isds[2].duration, 1 / 12, 1e-10);
+
+                assert.deepEqual(warnings, ["ISD at 2s requires 0.265s to render (0.100s available)"]);
+
+                /* the HRM is applied when validating against IMSC profiles */
+
+                assert.deepEqual(
+                    imsc.validate(contents, hrmErrorHandler).violations.map(function (v) {
+                        return v.message;
+                    }),
+                    ["ISD at 2s exceeds the Hypothetical Render Model (0.265s needed, 0.100s available)"]
+                );
+
+                return asyncLoadFile("unit-tests/hrmInitial.ttml");
+            }
+        ).then(
+            function (contents) {
+
+                /* the first ISD can exceed the initial painting delay */
+
+                var doc = imsc.fromXML(contents, errorHandler);
+
+                warnings = [];
+
+                var report = imsc.checkHRM(doc, hrmErrorHandler);
+
+                assert.notOk(report.conforms);
+                assert.ok(report.isds[0].exceeded);
+                assert.deepEqual(warnings, ["ISD at 0s requires 1.267s to render (1.000s available)"]);
+
+                assert.ok(imsc.checkHRM(doc, hrmErrorHandler, {initialPaintingDelay: 2}).conforms);
+
+            }
+        );
+
+    }
+);
+
+QUnit.test(
+    "Structured Diagnostics",
     function (assert) {
 
-        return getIMSC1Document("unit-tests/timeExpressions.ttml").then(
-            function (doc) {
+        var diagnostics = [];
+
+        var diagErrorHandler = recordingErrorHandler(["warn", "error"], function (msg, diagnostic) {
+            assert.strictEqual(typeof msg, "string");
+            assert.strictEqual(String(diagnostic), msg);
+            diagnostics.push(diagnostic);
+        });
+
+        return new asyncLoadFile("unit-tests/diagnostics.ttml").then(
+            function (contents) {
+
+                imsc.fromXML(contents, diagErrorHandler);
+
+                assert.deepEqual(
+                    diagnostics.map(function (d) {
+                        return [d.severity, d.code, d.path, d.id, d.line, d.column];
+                    }),
+                    [
+                        ["warning", "invalid-attribute", "/tt[1]", null, 2, 169],
+                        ["error", "invalid-id", "/tt[1]/head[1]/layout[1]/region[2]", "r1", 6, 75],
+                        ["warning", "invalid-time", "/tt[1]/body[1]/div[1]/p[2]", "p2", 12, 48]
+                    ]
+                );
+
+                assert.equal(diagnostics[2].message, "Malformed end value 2 s at (12,48) (ignoring)");
+
+                /* handlers that only take the message are still called with a string */
+
+                var messages = [];
+
+                imsc.fromXML(contents, {
+                    warn: function (msg) {
+                        messages.push(msg);
+                    }
+                });
+
+                assert.deepEqual(messages, [
+                    "Malformed frame rate attribute twenty at (2,169) (using initial value instead)",
+                    "Malformed end value 2 s at (12,48) (ignoring)"
+                ]);
+
+                /* fatal events are thrown as strings */
+
+                assert.throws(
+                    function () {
+                        imsc.fromXML("<tt xmlns='http://www.w3.org/ns/ttml'><body><p/></body></tt>", null);
+                    },
+                    function (e) {
+                        return e === "Parent of <p> element is not <div> at (1,48)";
+                    }
+                );
+
+            }
+        );
+
+    }
+);
+
+QUnit.test(
+    "Source Ranges",
+    function (assert) {
+
+        return new asyncLoadFile("unit-tests/sourceRanges.ttml").then(
+            function (contents) {
+
+                var doc = imsc.fromXML(contents, errorHandler);
+
+                var isd = imsc.generateISD(doc, 0.5, errorHandler);
+
+                function source(e) {
+                    return contents.substring(e.sourceRange.start.offset, e.sourceRange.end.offset);
+                }
+
+                var region = isd.contents[0];
+
+                assert.equal(source(region), '<region xml:id="r1" tts:origin="10% 10%" tts:extent="80% 80%"/>');
+
+                var p = region.contents[0].contents[0].contents[0];
+
+                assert.deepEqual(p.sourceRange, {
+                    start: {offset: 321, line: 10, column: 12},
+                    end: {offset: 420, line: 12, column: 16}
+                });
+
+                assert.equal(source(p.contents[0]), '<span tts:color="red">Red</span>');
+
+                assert.equal(source(p.contents[1]), '<br/>');
+
+                /* anonymous spans are not elements */
+
+                assert.notOk("sourceRange" in p.contents[2]);
+
+                /* ranges do not depend on how the document is split into chunks */
+
+                var parser = imsc.createParser(errorHandler);
+
+                for (var i = 0; i < contents.length; i += 10) {
+                    parser.write(contents.substring(i, i + 10));
+                }
+
+                var chunkedISD = imsc.generateISD(parser.close(), 0.5, errorHandler);
+
+                assert.deepEqual(chunkedISD.contents[0].contents[0].contents[0].contents[0].sourceRange, p.sourceRange);
+
+            }
+        );
+
+    }
+);
+
+QUnit.test(
+    "Recover Malformed Documents",
+    function (assert) {
+
+        var reports = [];
+
+        var recoveryErrorHandler = recordingErrorHandler(["warn", "error"], function (msg, diagnostic) {
+            reports.push([diagnostic.code, msg]);
+        });
+
+        return new asyncLoadFile("unit-tests/recovery.ttml").then(
+            function (contents) {
+
+                assert.throws(
+                    function () {
+                        imsc.fromXML(contents, null);
+                    },
+                    function (e) {
+                        return e === "Parent of <p> element is not <div> at (9,31)";
+                    }
+                );
+
+                var doc = imsc.fromXML(contents, recoveryErrorHandler, null, {recover: true});
+
+                assert.deepEqual(reports, [
+                    ["invalid-parent", "Wrapping the <p> element in an implicit <div> element at (9,31)"],
+                    ["invalid-parent", "Wrapping the <p> element in an implicit <div> element at (10,31)"],
+                    ["invalid-parent", "Wrapping the <span> element in an implicit <p> element at (12,38)"],
+                    ["invalid-parent", "Ignoring the <font> parent of the <p> element at (13,53)"],
+                    ["invalid-parent", "Ignoring misplaced <div> element at (14,40)"],
+                    ["malformed-xml", "Recovering from malformed XML: Unexpected close tag at (14,78)"],
+                    ["malformed-xml", "Recovering from malformed XML: Unexpected close tag at (16,14)"],
+                    ["unclosed-element", "Closing unclosed <tt> element"]
+                ]);
+
+                assert.deepEqual(doc.getMediaTimeEvents(), [0, 1, 2, 3, 4, 5, 6]);
+
+                /* consecutive orphan paragraphs share an implicit div */
+
+                assert.equal(doc.body.contents.length, 2);
+
+                assert.equal(doc.body.contents[0].contents.length, 2);
+
+                function text(offset) {
+
+                    var p = imsc.generateISD(doc, offset, errorHandler).contents[0].contents[0].contents[0].contents[0];
+
+                    return p.contents.map(function (s) {
+                        return s.text || s.contents[0].text;
+                    }).join("");
+                }
+
+                assert.equal(text(0.5), "Orphan paragraph");
+                assert.equal(text(2.5), "Orphan span");
+                assert.equal(text(3.5), "In");
+                assert.equal(text(4.5), "and unclosed");
+                assert.equal(text(5.5), "Unclosed");
+
+            }
+        );
+
+    }
+);
+
+QUnit.test(
+    "Animate Styles",
+    function (assert) {
+
+        return new asyncLoadFile("unit-tests/animate.ttml").then(
+            function (contents) {
+
+                var doc = imsc.fromXML(contents, errorHandler);
+
+                var ORIGIN = "http://www.w3.org/ns/ttml#styling origin";
+                var OPACITY = "http://www.w3.org/ns/ttml#styling opacity";
+                var COLOR = "http://www.w3.org/ns/ttml#styling color";
+                var FONTSIZE = "http://www.w3.org/ns/ttml#styling fontSize";
+
+                function region(d, offset) {
+                    return imsc.generateISD(d, offset, errorHandler).contents[0];
+                }
+
+                /* computed styles of the span of each paragraph */
+
+                function spans(d, offset) {
+                    return region(d, offset).contents[0].contents[0].contents.map(function (p) {
+                        return p.contents[0].styleAttrs;
+                    });
+                }
+
+                function fontSizes(offset) {
+                    return spans(doc, offset).slice(2).map(function (s) {
+                        return Math.round(s[FONTSIZE].rh * 15 * 1000) / 1000;
+                    });
+                }
+
+                /* linear interpolation of the region origin and opacity, frozen at the end */
+
+                assert.close(region(doc, 1).styleAttrs[ORIGIN].h.rh, 0.25, 1e-10);
+                assert.close(region(doc, 1).styleAttrs[ORIGIN].w.rw, 0.25, 1e-10);
+                assert.equal(region(doc, 0.5).styleAttrs[OPACITY], 0.25);
+                assert.equal(region(doc, 8).styleAttrs[OPACITY], 1);
+
+                /* linear colors */
+
+                assert.deepEqual(spans(doc, 2)[0][COLOR], [127.5, 127.5, 127.5, 255]);
+
+                /* discrete colors at key times */
+
+                assert.deepEqual(
+                    [0.5, 1.5, 3.5].map(function (t) {
+                        return spans(doc, t)[1][COLOR];
+                    }),
+                    [[255, 0, 0, 255], [0, 255, 0, 255], [0, 0, 255, 255]]
+                );
+
+                /* the animation is removed at its end unless frozen */
+
+                assert.deepEqual(spans(doc, 4)[0][COLOR], [255, 255, 255, 255]);
+                assert.deepEqual(spans(doc, 4)[1][COLOR], [255, 255, 255, 255]);
+
+                /* paced, spline and repeated animations */
+
+                assert.deepEqual(fontSizes(0), [1, 1, 1]);
+                assert.deepEqual(fontSizes(1), [2, 1.187, 1]);
+                assert.deepEqual(fontSizes(2), [3, 1.631, 2]);
+                assert.deepEqual(fontSizes(3), [4, 2.244, 1]);
+                assert.deepEqual(fontSizes(4), [1, 1, 2]);
+                assert.deepEqual(fontSizes(6), [1, 1, 3]);
+
+                /* animations survive serialization and clipping */
+
+                var rt_doc = imsc.fromXML(imsc.toXML(doc), errorHandler);
+
+                var clipped_doc = imsc.fromXML(contents, errorHandler).clip(1.5, 10);
+
+                [1.5, 2.5, 3.5, 4.5].forEach(function (t) {
+                    assert.deepEqual(spans(rt_doc, t), spans(doc, t), "serialized at " + t);
+                    assert.deepEqual(spans(clipped_doc, t), spans(doc, t), "clipped at " + t);
+                });
+
+            }
+        );
+
+    }
+);
+
+QUnit.test(
+    "Animation Intervals",
+    function (assert) {
+
+        return new asyncLoadFile("unit-tests/animationIntervals.ttml").then(
+            function (contents) {
+
+                var doc = imsc.fromXML(contents, errorHandler);
+
+                /* steps of finite discrete animations are events */
+
+                assert.deepEqual(doc.getMediaTimeEvents(), [0, 1, 2, 3, 4, 5, 8, 10, 12, 14, 20, 30]);
+
+                /* indefinite discrete animations are continuous until their parent ends */
+
+                assert.deepEqual(
+                    doc.getAnimationIntervals(),
+                    [{begin: 1, end: 3, frameRate: 25}, {begin: 5, end: 20, frameRate: 25}]
+                );
+
+                assert.deepEqual(
+                    imsc.fromXML(contents, errorHandler).clip(1.5, 3).getAnimationIntervals(),
+                    [{begin: 1.5, end: 3, frameRate: 25}]
+                );
+
+                /* rational documents */
+
+                var rdoc = imsc.fromXML(contents, errorHandler, null, {rationalTime: true});
+
+                assert.deepEqual(rdoc.getAnimationIntervals(), doc.getAnimationIntervals());
+
+                var exact = rdoc.getAnimationIntervals(true);
+
+                assert.ok(exact[1].end instanceof imsc.Rational);
+                assert.equal(exact[1].end.compare(new imsc.Rational(20, 1)), 0);
+                assert.equal(exact[0].frameRate.compare(new imsc.Rational(25, 1)), 0);
+
+            }
+        );
+    }
+);
+
+QUnit.test(
+    "Agents and Roles",
+    function (assert) {
+
+        var reports = [];
+
+        var agentErrorHandler = recordingErrorHandler(["warn"], function (msg, diagnostic) {
+            reports.push(diagnostic.code);
+        });
+
+        return new asyncLoadFile("unit-tests/agents.ttml").then(
+            function (contents) {
+
+                /* the metadata handler continues to receive ttm:agent elements */
+
+                var tags = [];
+
+                var doc = imsc.fromXML(contents, agentErrorHandler, {
+                    onOpenTag: function (ns, name) {
+                        tags.push(name);
+                    }
+                });
+
+                assert.deepEqual(tags, ["agent", "name", "actor", "agent", "name", "name", "agent", "name"]);
+
+                assert.deepEqual(reports, ["invalid-attribute", "invalid-attribute", "unknown-reference", "unsupported-value"]);
+
+                assert.deepEqual(doc.getAgents(), [
+                    {id: "alice", type: "character", names: [{type: "full", text: "Alice"}], actor: "jane"},
+                    {id: "jane", type: "person", names: [{type: "full", text: "Jane Doe"}, {type: "family", text: "Doe"}], actor: null},
+                    {id: "bob", type: "other", names: [{type: "other", text: "Bob"}], actor: null}
+                ]);
+
+                /* the agents returned are copies */
+
+                doc.getAgents()[0].names.push({type: "alias", text: "Al"});
+
+                assert.equal(doc.getAgents()[0].names.length, 1);
+
+                /* agents and roles are carried into the ISD */
+
+                function paragraph(tt, offset) {
+                    return imsc.generateISD(tt, offset).contents[0].contents[0].contents[0].contents[0];
+                }
+
+                var p = paragraph(doc, 0);
+
+                assert.deepEqual(p.agents, ["alice"]);
+                assert.deepEqual(p.roles, ["dialog"]);
+
+                p = paragraph(doc, 1);
+
+                assert.notOk("agents" in p);
+                assert.deepEqual(p.roles, ["sound", "x-ambient"]);
+
+                p = paragraph(doc, 2);
+
+                assert.deepEqual(p.agents, ["alice", "bob"]);
+                assert.notOk("roles" in p);
+                assert.deepEqual(p.contents[1].roles, ["thought"]);
+
+                /* agents survive serialization */
+
+                var rt = imsc.fromXML(imsc.toXML(doc), errorHandler);
+
+                assert.deepEqual(rt.getAgents(), doc.getAgents());
+                assert.deepEqual(paragraph(rt, 2).agents, ["alice", "bob"]);
+
+            }
+        );
+    }
+);
+
+QUnit.test(
+    "Document Metadata",
+    function (assert) {
+
+        var reports = [];
+
+        var metadataErrorHandler = recordingErrorHandler(["warn"], function (msg, diagnostic) {
+            reports.push([diagnostic.code, msg]);
+        });
+
+        return new asyncLoadFile("unit-tests/metadata.ttml").then(
+            function (contents) {
+
+                var doc = imsc.fromXML(contents, metadataErrorHandler);
+
+                assert.deepEqual(reports, [
+                    ["duplicate-element", "Ignoring duplicate <ttm:title> element at (11,23)"]
+                ]);
+
+                /* metadata of the body is not document metadata */
+
+                assert.deepEqual(doc.getMetadata(), {
+                    title: "Episode 1",
+                    desc: "Subtitles of the first episode",
+                    copyright: "Example Broadcasting",
+                    ebuttm: {
+                        conformsToStandard: [
+                            "urn:ebu:tt:distribution:2014-01",
+                            "http://www.w3.org/ns/ttml/profile/imsc1/text"
+                        ],
+                        originalSourceServiceIdentifier: ["Live subtitling"]
+                    },
+                    smpte: {
+                        channel: "CC1",
+                        programName: "Example",
+                        origin: "http://www.smpte-ra.org/mdd/2010/cea608",
+                        mode: "Preserved"
+                    }
+                });
+
+                /* the metadata returned is a copy */
+
+                doc.getMetadata().ebuttm.conformsToStandard.pop();
+
+                assert.equal(doc.getMetadata().ebuttm.conformsToStandard.length, 2);
+
+                /* metadata elements can be children of the head */
+
+                assert.deepEqual(doc.getAgents().map(function (a) {
+                    return a.id;
+                }), ["narrator"]);
+
+                /* the metadata is retained when the document is modified */
+
+                assert.equal(doc.clip(0, 0.5).getMetadata().title, "Episode 1");
+
+                assert.equal(imsc.merge([doc, imsc.fromXML(contents, null)]).getMetadata().copyright, "Example Broadcasting");
+
+                assert.equal(imsc.fromXML(imsc.toXML(doc), errorHandler).getMetadata().desc, "Subtitles of the first episode");
 
-                assert.close(doc.body.contents[0].contents[0].begin, 1.2, 1e-10);
-                assert.close(doc.body.contents[0].contents[1].begin, 72, 1e-10);
-                assert.close(doc.body.contents[0].contents[2].begin, 4320, 1e-10);
-                assert.close(doc.body.contents[0].contents[3].begin, 24 / 24000 * 1001, 1e-10);
-                assert.close(doc.body.contents[0].contents[4].begin, 2, 1e-10);
-                assert.close(doc.body.contents[0].contents[5].begin, 3723, 1e-10);
-                assert.close(doc.body.contents[0].contents[6].begin, 3723.235, 1e-10);
-                assert.close(doc.body.contents[0].contents[7].begin, 3723.235, 1e-10);
-                assert.close(doc.body.contents[0].contents[8].begin, 3600 + 2 * 60 + 3 + 20 / 24000 * 1001, 1e-10);
-                assert.close(doc.body.contents[0].contents[9].begin, 360000.1, 1e-10);
-                assert.close(doc.body.contents[0].contents[10].begin, 360000 + 100 / 24000 * 1001, 1e-10);
             }
         );
+    }
+);
+
+QUnit.test(
+    "Conditional Content",
+    function (assert) {
+
+        var reports = [];
+
+        var conditionErrorHandler = recordingErrorHandler(["error"], function (msg, diagnostic) {
+            reports.push([diagnostic.code, msg]);
+        });
+
+        return new asyncLoadFile("unit-tests/condition.ttml").then(
+            function (contents) {
+
+                var doc = imsc.fromXML(contents, conditionErrorHandler);
+
+                /* invalid conditions are ignored */
+
+                assert.deepEqual(reports, [
+                    ["invalid-attribute", "Invalid condition expression parameter('sdh'  (ignoring) at (18,80)"]
+                ]);
+
+                var COLOR = "http://www.w3.org/ns/ttml#styling color";
+
+                /* text of the paragraphs of each region of the ISD */
+
+                function regions(isd) {
+
+                    var r = {};
+
+                    isd.contents.forEach(function (region) {
+                        r[region.id] = region.contents.length === 0 ? [] : region.contents[0].contents[0].contents.map(function (p) {
+                            return p.contents[0].text;
+                        });
+                    });
+
+                    return r;
+                }
+
+                /* default parameters, regions without selected content are not active */
+
+                var isd = imsc.generateISD(doc, 0);
+
+                assert.deepEqual(regions(isd), {bottom: ["Dialogue"]});
+                assert.notOk(isd.displayForcedOnlyMode);
+
+                /* the forced parameter also enables displayForcedOnlyMode */
 
+                isd = imsc.generateISD(doc, 0, null, {
+                    parameters: {forced: true, sdh: true},
+                    media: {"aspect-ratio": 16 / 9}
+                });
+
+                assert.deepEqual(regions(isd), {
+                    bottom: ["Dialogue", "[door slams]"],
+                    top: ["Forced narrative"],
+                    wide: ["Wide"]
+                });
+                assert.ok(isd.displayForcedOnlyMode);
+
+                /* set elements are conditional too */
+
+                assert.deepEqual(isd.contents[2].contents[0].contents[0].contents[0].contents[0].styleAttrs[COLOR], [255, 255, 0, 255]);
+
+                isd = imsc.generateISD(doc, 0, null, {parameters: {userLanguage: "fr"}, media: {"aspect-ratio": 4 / 3}});
+
+                assert.deepEqual(regions(isd), {bottom: ["Dialogue"], top: ["Forced narrative"]});
+
+                isd = imsc.generateISD(doc, 3);
+
+                assert.deepEqual(regions(isd), {bottom: ["Colored", "Invalid"]});
+                assert.deepEqual(isd.contents[0].contents[0].contents[0].contents[0].contents[0].styleAttrs[COLOR], [255, 255, 255, 255]);
+
+                isd = imsc.generateISD(doc, 3, null, {parameters: {playbackRate: 2}});
+
+                assert.deepEqual(isd.contents[0].contents[0].contents[0].contents[0].contents[0].styleAttrs[COLOR], [255, 0, 0, 255]);
+
+                /* conditions survive serialization */
+
+                var rt = imsc.fromXML(imsc.toXML(doc), null);
+
+                assert.deepEqual(
+                    regions(imsc.generateISD(rt, 0, null, {parameters: {sdh: true}})),
+                    {bottom: ["Dialogue", "[door slams]"]}
+                );
+
+            }
+        );
     }
 );
 
@@ -167,4 +1679,31 @@ QUnit.test(
         return getIMSC1Document("unit-tests/metadataHandler.ttml", mh);
 
     }
+);
+
+QUnit.test(
+    "Body Region",
+    function (assert) {
+
+        return new asyncLoadFile("unit-tests/bodyRegion.ttml").then(
+            function (contents) {
+
+                var doc = imsc.fromXML(contents, errorHandler);
+
+                var isd = imsc.generateISD(doc, 0);
+
+                /* content is associated with the region of the body, and content
+                 * associated with another region is pruned by its body ancestor */
+
+                assert.equal(isd.contents.length, 1);
+                assert.equal(isd.contents[0].id, "r1");
+
+                var div = isd.contents[0].contents[0].contents[0];
+
+                assert.equal(div.contents.length, 1);
+                assert.equal(div.contents[0].contents[0].text, "Inherits the region of the body");
+
+            }
+        );
+    }
 );
\ No newline at end of file